@@ -52,7 +52,7 @@ async function exec() {
 		}
 
 		const argv = minimist(process.argv.slice(2), {
-			string: ["input", "output", "formats", "config", "pathprefix", "port", "to", "incremental", "loader"],
+			string: ["input", "output", "formats", "config", "pathprefix", "port", "to", "incremental", "loader", "manifest", "workers", "profile"],
 			boolean: [
 				"quiet",
 				"version",
@@ -61,6 +61,7 @@ async function exec() {
 				"help",
 				"serve",
 				"ignore-initial",
+				"drafts",
 			],
 			default: {
 				quiet: null,
@@ -105,7 +106,11 @@ async function exec() {
 			pathPrefix: argv.pathprefix,
 			runMode: argv.serve ? "serve" : argv.watch ? "watch" : "build",
 			dryRun: argv.dryrun,
+			drafts: argv.drafts,
 			loader: argv.loader,
+			manifest: argv.manifest,
+			workers: argv.workers,
+			profile: argv.profile,
 		});
 
 		// override with ErrorHandler instance in Core
@@ -116,11 +121,19 @@ async function exec() {
 
 		await core.init();
 
-		if (argv.to === "json") {
+		if (argv.to === "json" || argv.to === "ndjson") {
 			// override logging output
 			core.setIsVerbose(false);
 		}
 
+		if (argv.to === "ndjson") {
+			// stdout is reserved for the event feed, remaining log output goes to stderr
+			const { Console } = require("node:console");
+			core.logger.overrideLogger(new Console(process.stderr));
+
+			core.setBuildEventStream(process.stdout);
+		}
+
 		// Only relevant for watch/serve
 		core.setIgnoreInitial(argv["ignore-initial"]);
 
@@ -135,7 +148,7 @@ async function exec() {
 
 		if (argv.serve || argv.watch) {
 			if(argv.to === "json") {
-				throw new SimpleError("--to=json is not compatible with --serve or --watch.");
+				throw new SimpleError("--to=json is not compatible with --serve or --watch. Use --to=ndjson instead.");
 			}
 
 			await core.watch();
@@ -155,12 +168,22 @@ async function exec() {
 			// `fs:templates` will skip passthrough copy
 			if (!argv.to || argv.to === "fs" || argv.to.startsWith("fs:")) {
 				await core.write(argv.to);
+			} else if (argv.to === "ndjson") {
+				await core.write();
 			} else if (argv.to === "json") {
-				let result = await core.toJSON()
+				let result;
+				try {
+					result = await core.toJSON();
+				} catch(error) {
+					// Structured errors on stdout, the error is logged to stderr as usual
+					const { getErrorPayload } = await import("./src/Errors/ErrorPayload.js");
+					console.log(JSON.stringify({ errors: [getErrorPayload(error)] }, null, 2));
+					throw error;
+				}
 				console.log(JSON.stringify(result, null, 2));
 			} else {
 				throw new SimpleError(
-					`Invalid --to value: ${argv.to}. Supported values: \`fs\` (default), \`json\`.`,
+					`Invalid --to value: ${argv.to}. Supported values: \`fs\` (default), \`json\`, \`ndjson\`.`,
 				);
 			}
 		}
@@ -1,14 +1,20 @@
 import ConsoleLogger from "../Util/ConsoleLogger.js";
+import isAsyncFunction from "../Util/IsAsyncFunction.js";
 import BenchmarkGroup from "./BenchmarkGroup.js";
+import Profiler from "./Profiler.js";
+import RenderBudget from "./RenderBudget.js";
 
 class BenchmarkManager {
 	constructor() {
 		this.benchmarkGroups = {};
 		this.start = this.getNewTimestamp();
+		this.profiler = new Profiler();
+		this.renderBudget = new RenderBudget();
 	}
 
 	reset() {
 		this.start = this.getNewTimestamp();
+		this.profiler.reset();
 
 		for (var j in this.benchmarkGroups) {
 			this.benchmarkGroups[j].reset();
@@ -71,6 +77,71 @@ class BenchmarkManager {
 		return this.getAll();
 	}
 
+	/**
+	 * Wraps a filter or shortcode callback to time it (until its promise settles) for `--profile`
+	 * and `setRenderBudget`. Async functions stay async functions.
+	 *
+	 * @param {"filters"|"shortcodes"} kind
+	 * @param {string} name
+	 * @param {function} callback
+	 * @returns {function}
+	 */
+	wrapCallback(kind, name, callback) {
+		let isEnabled = () => this.profiler.isEnabled() || this.renderBudget.isEnabled();
+		let record = (context, start) => {
+			let duration = this.getNewTimestamp() - start;
+			this.profiler.addCallbackTime(kind, name, duration);
+			this.renderBudget.addCallbackTime(context?.page, kind, name, duration);
+		};
+		let getNewTimestamp = () => this.getNewTimestamp();
+
+		if (isAsyncFunction(callback)) {
+			return /** @this {any} */ async function (...args) {
+				if (!isEnabled()) {
+					return callback.call(this, ...args);
+				}
+
+				let start = getNewTimestamp();
+				try {
+					return await callback.call(this, ...args);
+				} finally {
+					record(this, start);
+				}
+			};
+		}
+
+		return /** @this {any} */ function (...args) {
+			if (!isEnabled()) {
+				return callback.call(this, ...args);
+			}
+
+			let start = getNewTimestamp();
+			let ret = callback.call(this, ...args);
+			if (typeof ret?.then === "function") {
+				return ret.finally(() => record(this, start));
+			}
+
+			record(this, start);
+			return ret;
+		};
+	}
+
+	// Timing report for `--profile`, includes the totals from every benchmark group
+	getProfileReport(metadata = {}) {
+		let benchmarks = {};
+		for (let [groupName, group] of Object.entries(this.benchmarkGroups)) {
+			benchmarks[groupName] = {};
+			for (let [type, bench] of Object.entries(group.benchmarks)) {
+				benchmarks[groupName][type] = {
+					calls: bench.getTimesCalled(),
+					ms: Math.round(bench.getTotal() * 1000) / 1000,
+				};
+			}
+		}
+
+		return this.profiler.getReport(Object.assign({}, metadata, { benchmarks }));
+	}
+
 	finish() {
 		let totalTimeSpentBenchmarking = this.getNewTimestamp() - this.start;
 		for (var j in this.benchmarkGroups) {
@@ -0,0 +1,241 @@
+// Per-template phases, in build order
+const TEMPLATE_PHASES = ["read", "compile", "render", "layout", "transform", "write"];
+
+// Trace viewer rows for everything that isn’t a template
+const THREADS = {
+	build: "Build",
+	data: "Data files",
+	passthrough: "Passthrough copy",
+};
+
+function round(ms) {
+	return Math.round(ms * 1000) / 1000;
+}
+
+function sortByTime(entries) {
+	return entries.sort((a, b) => b.ms - a.ms);
+}
+
+/*
+ * Records timing spans for `--profile`: template phases (read, compile, render, layout, transform,
+ * write), data files, and passthrough copy, with aggregate timings for filters and shortcodes.
+ * Records nothing unless enabled.
+ */
+class Profiler {
+	static VERSION = 1;
+
+	#enabled = false;
+	#start = performance.now();
+	#spans = [];
+	#aggregates = {
+		filters: new Map(),
+		shortcodes: new Map(),
+	};
+
+	enable(enabled = true) {
+		this.#enabled = Boolean(enabled);
+	}
+
+	isEnabled() {
+		return this.#enabled;
+	}
+
+	reset() {
+		this.#start = performance.now();
+		this.#spans = [];
+		for (let aggregate of Object.values(this.#aggregates)) {
+			aggregate.clear();
+		}
+	}
+
+	/**
+	 * Start a timing span.
+	 *
+	 * @param {string} category - A template phase (e.g. `render`), `data`, or `passthrough`
+	 * @param {string} name - Input path of the template, data file, or copied file
+	 * @param {object} [args] - Extra details, e.g. `{ type: "Permalink" }`
+	 * @returns {function} Call to end the span (optionally with more `args`)
+	 */
+	start(category, name, args = {}) {
+		if (!this.#enabled) {
+			return () => {};
+		}
+
+		let start = performance.now();
+		return (endArgs = {}) => {
+			this.#spans.push({
+				category,
+				name,
+				start,
+				duration: performance.now() - start,
+				args: Object.assign({}, args, endArgs),
+			});
+		};
+	}
+
+	/**
+	 * Aggregate timings for filters and shortcodes (via `BenchmarkManager->wrapCallback`).
+	 *
+	 * @param {"filters"|"shortcodes"} kind
+	 * @param {string} name
+	 * @param {number} duration
+	 */
+	addCallbackTime(kind, name, duration) {
+		if (!this.#enabled) {
+			return;
+		}
+
+		let aggregate = this.#aggregates[kind];
+		let entry = aggregate.get(name);
+		if (!entry) {
+			entry = { name, calls: 0, ms: 0 };
+			aggregate.set(name, entry);
+		}
+		entry.calls++;
+		entry.ms += duration;
+	}
+
+	getTemplates() {
+		let templates = new Map();
+		for (let { category, name, duration } of this.#spans) {
+			if (!TEMPLATE_PHASES.includes(category)) {
+				continue;
+			}
+
+			if (!templates.has(name)) {
+				let entry = { inputPath: name };
+				for (let phase of TEMPLATE_PHASES) {
+					entry[phase] = 0;
+				}
+				entry.ms = 0;
+				templates.set(name, entry);
+			}
+
+			let entry = templates.get(name);
+			entry[category] += duration;
+			entry.ms += duration;
+		}
+
+		return sortByTime(
+			Array.from(templates.values()).map((entry) => {
+				for (let key of [...TEMPLATE_PHASES, "ms"]) {
+					entry[key] = round(entry[key]);
+				}
+				return entry;
+			}),
+		);
+	}
+
+	#getSpans(category) {
+		return this.#spans
+			.filter((span) => span.category === category)
+			.map(({ name, duration, args }) => {
+				return { inputPath: name, ...args, ms: round(duration) };
+			});
+	}
+
+	// Directory and template data files are read for every template that uses them
+	#getDataFiles() {
+		let files = new Map();
+		for (let { category, name, duration, args } of this.#spans) {
+			if (category !== "data") {
+				continue;
+			}
+			if (!files.has(name)) {
+				files.set(name, { inputPath: name, ...args, calls: 0, ms: 0 });
+			}
+			let entry = files.get(name);
+			entry.calls++;
+			entry.ms += duration;
+		}
+
+		return sortByTime(
+			Array.from(files.values()).map((entry) => {
+				entry.ms = round(entry.ms);
+				return entry;
+			}),
+		);
+	}
+
+	#getAggregate(kind) {
+		return sortByTime(
+			Array.from(this.#aggregates[kind].values()).map(({ name, calls, ms }) => {
+				return { name, calls, ms: round(ms) };
+			}),
+		);
+	}
+
+	/**
+	 * Chrome trace event format (https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU/),
+	 * one row (thread) per template.
+	 *
+	 * @returns {Array<object>}
+	 */
+	getTraceEvents() {
+		let end = performance.now();
+		let threadIds = new Map();
+		let events = [];
+
+		let getThreadId = (threadName) => {
+			if (!threadIds.has(threadName)) {
+				let tid = threadIds.size + 1;
+				threadIds.set(threadName, tid);
+				events.push({
+					name: "thread_name",
+					ph: "M",
+					pid: 1,
+					tid,
+					args: { name: threadName },
+				});
+			}
+			return threadIds.get(threadName);
+		};
+
+		let addEvent = (name, category, start, duration, threadName, args) => {
+			events.push({
+				name,
+				cat: category,
+				ph: "X",
+				ts: Math.round((start - this.#start) * 1000),
+				dur: Math.round(duration * 1000),
+				pid: 1,
+				tid: getThreadId(threadName),
+				args,
+			});
+		};
+
+		addEvent("Build", "build", this.#start, end - this.#start, THREADS.build, {});
+
+		for (let { category, name, start, duration, args } of this.#spans) {
+			if (TEMPLATE_PHASES.includes(category)) {
+				let label = args.type ? `${category} (${args.type})` : category;
+				addEvent(label, category, start, duration, name, args);
+			} else {
+				addEvent(name, category, start, duration, THREADS[category] || category, args);
+			}
+		}
+
+		return events;
+	}
+
+	/**
+	 * @param {object} [metadata] - Added to the report, e.g. build counts
+	 * @returns {object} JSON report, also a valid Chrome trace file (via `traceEvents`)
+	 */
+	getReport(metadata = {}) {
+		return {
+			version: Profiler.VERSION,
+			...metadata,
+			duration: round(performance.now() - this.#start),
+			templates: this.getTemplates(),
+			filters: this.#getAggregate("filters"),
+			shortcodes: this.#getAggregate("shortcodes"),
+			data: this.#getDataFiles(),
+			passthrough: this.#getSpans("passthrough"),
+			traceEvents: this.getTraceEvents(),
+			displayTimeUnit: "ms",
+		};
+	}
+}
+
+export default Profiler;
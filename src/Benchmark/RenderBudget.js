@@ -0,0 +1,211 @@
+import BaseError from "../Errors/BaseError.js";
+
+class RenderBudgetExceededError extends BaseError {
+	/** @type {Array<object>} Pages over the per-page budget */
+	pages = [];
+}
+
+const DEFAULT_OPTIONS = {
+	perPageMs: undefined,
+	totalMs: undefined,
+	slowest: 10,
+	onExceeded: "warn",
+};
+
+// Heaviest filters and shortcodes listed for each slow page
+const CALLBACKS_PER_PAGE = 3;
+
+const CALLBACK_LABELS = {
+	filters: "filter",
+	shortcodes: "shortcode",
+};
+
+function round(ms) {
+	return Math.round(ms * 1000) / 1000;
+}
+
+function sortByTime(entries) {
+	return entries.sort((a, b) => b.ms - a.ms);
+}
+
+/*
+ * Per-page render timings (content, layouts, and transforms) for `setRenderBudget`. Lists the
+ * slowest pages with their layout chain and heaviest filters and shortcodes after each build, and
+ * warns (or fails the build) when a page or the build exceeds its budget.
+ */
+class RenderBudget {
+	static ON_EXCEEDED = ["warn", "error"];
+
+	#options;
+	#pages = new Map();
+
+	/** @param {{perPageMs?: number, totalMs?: number, slowest?: number, onExceeded?: "warn"|"error"}} [options] - via `setRenderBudget`, `undefined` disables */
+	setOptions(options) {
+		this.#options = options ? Object.assign({}, DEFAULT_OPTIONS, options) : undefined;
+	}
+
+	isEnabled() {
+		return Boolean(this.#options);
+	}
+
+	reset() {
+		this.#pages.clear();
+	}
+
+	#getPage(inputPath, url) {
+		let key = `${inputPath}::${url}`;
+		if (!this.#pages.has(key)) {
+			this.#pages.set(key, {
+				inputPath,
+				url,
+				ms: 0,
+				layouts: [],
+				callbacks: new Map(),
+			});
+		}
+		return this.#pages.get(key);
+	}
+
+	/**
+	 * @param {{inputPath: string, url: string|false}} pageEntry
+	 * @param {number} ms
+	 */
+	addPageTime(pageEntry, ms) {
+		if (!this.isEnabled()) {
+			return;
+		}
+
+		this.#getPage(pageEntry.inputPath, pageEntry.url).ms += ms;
+	}
+
+	/**
+	 * @param {{inputPath: string, url: string|false}} pageEntry
+	 * @param {Array<string>} layouts - Layout chain, innermost first
+	 */
+	setPageLayouts(pageEntry, layouts) {
+		if (!this.isEnabled()) {
+			return;
+		}
+
+		this.#getPage(pageEntry.inputPath, pageEntry.url).layouts = layouts;
+	}
+
+	/**
+	 * @param {object|function} page - `this.page` in the filter or shortcode
+	 * @param {"filters"|"shortcodes"} kind
+	 * @param {string} name
+	 * @param {number} ms
+	 */
+	addCallbackTime(page, kind, name, ms) {
+		if (!this.isEnabled()) {
+			return;
+		}
+
+		// Liquid `strictVariables` sets `this.page` lazily
+		if (typeof page === "function") {
+			page = page();
+		}
+		// Not called while rendering a page (e.g. from a data file)
+		if (!page?.inputPath) {
+			return;
+		}
+
+		let { callbacks } = this.#getPage(page.inputPath, page.url);
+		let key = `${kind}:${name}`;
+		if (!callbacks.has(key)) {
+			callbacks.set(key, { kind, name, calls: 0, ms: 0 });
+		}
+
+		let entry = callbacks.get(key);
+		entry.calls++;
+		entry.ms += ms;
+	}
+
+	/**
+	 * @param {number} [count] - Defaults to the `slowest` option, `Infinity` for every page
+	 * @returns {Array<{inputPath: string, url: string|false, ms: number, layouts: Array<string>, callbacks: Array<object>}>}
+	 */
+	getSlowestPages(count = this.#options?.slowest ?? DEFAULT_OPTIONS.slowest) {
+		return sortByTime(Array.from(this.#pages.values()))
+			.slice(0, count)
+			.map(({ inputPath, url, ms, layouts, callbacks }) => {
+				return {
+					inputPath,
+					url,
+					ms: round(ms),
+					layouts,
+					callbacks: sortByTime(Array.from(callbacks.values()))
+						.slice(0, CALLBACKS_PER_PAGE)
+						.map((entry) => Object.assign({}, entry, { ms: round(entry.ms) })),
+				};
+			});
+	}
+
+	static formatPage({ inputPath, url, ms, layouts, callbacks }) {
+		let str = `${Math.round(ms)}ms ${inputPath}${url ? ` (${url})` : ""}`;
+		if (layouts.length > 0) {
+			str += ` via ${layouts.join(" → ")}`;
+		}
+		if (callbacks.length > 0) {
+			str += `, heaviest: ${callbacks
+				.map(
+					({ kind, name, calls, ms }) =>
+						`${name} (${CALLBACK_LABELS[kind]}) ${Math.round(ms)}ms ${calls}×`,
+				)
+				.join(", ")}`;
+		}
+		return str;
+	}
+
+	/**
+	 * Logs the slowest pages and checks the budget.
+	 *
+	 * @param {number} totalMs - Duration of the build
+	 * @param {import("../Util/ConsoleLogger.js").default} [logger]
+	 * @throws {RenderBudgetExceededError} when over budget with `onExceeded: "error"`
+	 */
+	check(totalMs, logger) {
+		if (!this.isEnabled()) {
+			return;
+		}
+
+		let { perPageMs, totalMs: totalBudgetMs, slowest, onExceeded } = this.#options;
+
+		let slowestPages = this.getSlowestPages(slowest);
+		if (slowestPages.length > 0) {
+			logger?.info(
+				[
+					`Slowest ${slowestPages.length === 1 ? "page" : `${slowestPages.length} pages`}:`,
+					...slowestPages.map((page) => `  ${RenderBudget.formatPage(page)}`),
+				].join("\n"),
+			);
+		}
+
+		let problems = [];
+		let pagesOverBudget = [];
+		if (perPageMs !== undefined) {
+			pagesOverBudget = this.getSlowestPages(Infinity).filter(({ ms }) => ms > perPageMs);
+			for (let page of pagesOverBudget) {
+				problems.push(`${RenderBudget.formatPage(page)} (budget: ${perPageMs}ms per page)`);
+			}
+		}
+		if (totalBudgetMs !== undefined && totalMs > totalBudgetMs) {
+			problems.push(`Build took ${Math.round(totalMs)}ms (budget: ${totalBudgetMs}ms)`);
+		}
+
+		if (problems.length === 0) {
+			return;
+		}
+
+		let message = `Render budget exceeded (via \`setRenderBudget\`):\n${problems.map((str) => `  ${str}`).join("\n")}`;
+		if (onExceeded === "error") {
+			let error = new RenderBudgetExceededError(message);
+			error.pages = pagesOverBudget;
+			throw error;
+		}
+
+		logger?.warn(message);
+	}
+}
+
+export default RenderBudget;
@@ -0,0 +1,412 @@
+import path from "node:path";
+import fs from "node:fs";
+import { TemplatePath, createHashHexSync } from "@11ty/eleventy-utils";
+
+import eventBus from "./EventBus.js";
+import GlobalDependencyMap from "./GlobalDependencyMap.js";
+import JavaScriptDependencies from "./Util/JavaScriptDependencies.js";
+import { getCorePackageJson, getWorkingProjectPackageJsonPath } from "./Util/ImportJsonSync.js";
+import { createDebug } from "./Util/DebugLogUtil.js";
+
+const pkg = getCorePackageJson();
+const debug = createDebug("BuildCache");
+
+/*
+ * Persists file hashes, the dependency graph, and rendered output between builds so that
+ * a cold build (e.g. in CI with a restored cache directory) only renders templates with
+ * changed inputs. Anything the cache can’t reason about falls back to a full build.
+ */
+class BuildCache {
+	// Bump this when the shape of the manifest changes
+	static VERSION = 1;
+	static MANIFEST_FILENAME = "manifest.json";
+	static OUTPUT_DIRECTORY = "output";
+
+	#templateConfig;
+	#fileSystemSearch;
+	#templateData;
+	#extensionMap;
+	#hashes = new Map();
+	#manifest;
+	#configHash;
+	#isIncremental = false;
+
+	constructor(templateConfig) {
+		if (!templateConfig || templateConfig.constructor.name !== "TemplateConfig") {
+			throw new Error("Internal error: Missing or invalid `templateConfig` argument.");
+		}
+
+		this.#templateConfig = templateConfig;
+	}
+
+	get config() {
+		return this.#templateConfig.getConfig();
+	}
+
+	get options() {
+		return this.config.buildCache || {};
+	}
+
+	get directory() {
+		return this.options.directory;
+	}
+
+	get manifestPath() {
+		return path.join(this.directory, BuildCache.MANIFEST_FILENAME);
+	}
+
+	setFileSystemSearch(fileSystemSearch) {
+		this.#fileSystemSearch = fileSystemSearch;
+	}
+
+	set templateData(templateData) {
+		this.#templateData = templateData;
+	}
+
+	set extensionMap(extensionMap) {
+		this.#extensionMap = extensionMap;
+	}
+
+	isEnabled() {
+		return Boolean(this.options.enabled);
+	}
+
+	reset() {
+		this.#hashes = new Map();
+		this.#manifest = undefined;
+		this.#configHash = undefined;
+		this.#isIncremental = false;
+	}
+
+	static normalize(filePath) {
+		return TemplatePath.addLeadingDotSlash(TemplatePath.normalize(filePath));
+	}
+
+	getCachedOutputPath(outputPath) {
+		return path.join(this.directory, BuildCache.OUTPUT_DIRECTORY, createHashHexSync(outputPath));
+	}
+
+	// `false` for files that don’t exist (deleted or virtual)
+	getFileHash(filePath) {
+		if (!this.#hashes.has(filePath)) {
+			let hash = false;
+			try {
+				hash = createHashHexSync(fs.readFileSync(filePath));
+			} catch (e) {
+				debug("Could not read %o for hashing: %o", filePath, e.message);
+			}
+			this.#hashes.set(filePath, hash);
+		}
+
+		return this.#hashes.get(filePath);
+	}
+
+	async getConfigHash() {
+		let files = [];
+		let configPath = this.#templateConfig.getActiveConfigPath();
+		if (configPath) {
+			files.push(configPath);
+
+			let deps = await JavaScriptDependencies.getDependencies(
+				[configPath],
+				this.#templateConfig.getIsProjectUsingEsm(),
+			);
+			files.push(...deps);
+		}
+
+		// Upgrading dependencies (including Eleventy) invalidates the cache
+		let packageJsonPath = getWorkingProjectPackageJsonPath();
+		if (packageJsonPath) {
+			files.push(packageJsonPath);
+		}
+
+		let content = [
+			String(BuildCache.VERSION),
+			pkg.version,
+			JSON.stringify(this.#templateConfig.directories.getUserspaceInstance()),
+			this.config.pathPrefix,
+		];
+
+		for (let file of files) {
+			content.push(file, String(this.getFileHash(file)));
+		}
+
+		return createHashHexSync(...content);
+	}
+
+	// Non-template files that can affect output
+	async getTrackedFiles(templatePaths) {
+		let files = new Set(templatePaths);
+		let isEsm = this.#templateConfig.getIsProjectUsingEsm();
+
+		if (this.#templateData) {
+			let dataFiles = TemplatePath.addLeadingDotSlashArray(
+				await this.#templateData.getGlobalDataFiles(),
+			);
+
+			for (let templatePath of templatePaths) {
+				for (let localDataPath of await this.#templateData.getLocalDataPaths(templatePath)) {
+					if (this.#templateData.exists(localDataPath)) {
+						dataFiles.push(localDataPath);
+					}
+				}
+			}
+
+			for (let file of dataFiles) {
+				files.add(file);
+			}
+
+			for (let file of await JavaScriptDependencies.getDependencies(dataFiles, isEsm)) {
+				files.add(file);
+			}
+		}
+
+		if (this.#fileSystemSearch) {
+			let { includes, layouts } = this.#templateConfig.directories;
+			let globs = [includes, layouts].filter(Boolean).map((dir) => `${dir}**`);
+			let results = await this.#fileSystemSearch.search("build-cache", globs, {
+				ignore: ["**/node_modules/**", ".git/**"],
+			});
+
+			for (let file of TemplatePath.addLeadingDotSlashArray(results)) {
+				files.add(file);
+			}
+		}
+
+		// Layouts and JavaScript dependencies
+		for (let node of this.config.uses.map.overallOrder()) {
+			if (!GlobalDependencyMap.isCollection(node)) {
+				files.add(node);
+			}
+		}
+
+		let normalized = new Set();
+		for (let file of files) {
+			normalized.add(BuildCache.normalize(file));
+		}
+		return normalized;
+	}
+
+	readManifest() {
+		try {
+			return JSON.parse(fs.readFileSync(this.manifestPath, "utf8"));
+		} catch (e) {
+			debug("No usable build cache manifest at %o: %o", this.manifestPath, e.message);
+		}
+	}
+
+	/**
+	 * Returns the list of templates that need to be rendered or `undefined` if a full build is required.
+	 *
+	 * @param {Array<string>} templatePaths - All full template paths in the project
+	 * @returns {Promise<Array<string>|undefined>}
+	 */
+	async getIncrementalFiles(templatePaths) {
+		this.reset();
+
+		this.#configHash = await this.getConfigHash();
+
+		let manifest = this.readManifest();
+		if (!manifest) {
+			return;
+		}
+
+		if (manifest.version !== BuildCache.VERSION || manifest.configHash !== this.#configHash) {
+			debug("Build cache invalidated by configuration changes, running a full build.");
+			return;
+		}
+
+		let templatePathSet = new Set(templatePaths.map((entry) => BuildCache.normalize(entry)));
+		let changed = new Set();
+
+		for (let [file, hash] of Object.entries(manifest.files)) {
+			let currentHash = this.getFileHash(file);
+			if (currentHash === hash) {
+				continue;
+			}
+
+			// Clears in-memory caches, same as a file change in watch/serve
+			eventBus.emit("buildawesome.resourcemodified", file);
+
+			// Deleted templates change collections, deleted data files change the data cascade
+			if (currentHash === false) {
+				debug("%o was deleted, running a full build.", file);
+				return;
+			}
+
+			changed.add(file);
+		}
+
+		for (let outputPaths of Object.values(manifest.outputs)) {
+			if (outputPaths.find((outputPath) => !fs.existsSync(this.getCachedOutputPath(outputPath)))) {
+				debug("Build cache is missing rendered output, running a full build.");
+				return;
+			}
+		}
+
+		for (let file of await this.getTrackedFiles(templatePaths)) {
+			if (!templatePathSet.has(file) && !(file in manifest.files)) {
+				debug("%o was added, running a full build.", file);
+				return;
+			}
+		}
+
+		for (let templatePath of templatePathSet) {
+			// New templates and virtual templates (they have no file to hash)
+			if (!(templatePath in manifest.files) || !this.getFileHash(templatePath)) {
+				changed.add(templatePath);
+			}
+		}
+
+		this.config.uses.restore(manifest.graph);
+
+		let files = new Set();
+		for (let file of changed) {
+			if (templatePathSet.has(file)) {
+				files.add(file);
+				continue;
+			}
+
+			// Data files and includes are not in the dependency graph
+			if (!this.config.uses.hasNode(file)) {
+				debug("%o changed and is not in the dependency graph, running a full build.", file);
+				this.config.uses.reset();
+				return;
+			}
+
+			let node = this.config.uses.normalizeNode(file);
+			for (let dependant of this.config.uses.map.dependantsOf(node)) {
+				dependant = BuildCache.normalize(dependant);
+				if (templatePathSet.has(dependant)) {
+					files.add(dependant);
+				}
+			}
+		}
+
+		this.#manifest = manifest;
+		this.#isIncremental = true;
+
+		debug("Build cache found %o changed templates: %o", files.size, files);
+
+		return Array.from(files);
+	}
+
+	// Not part of the dependency graph in build mode
+	async #addJavaScriptDependenciesToGraph(templatePaths) {
+		if (this.#templateConfig.shouldSpiderJavaScriptDependencies()) {
+			return;
+		}
+
+		let isEsm = this.#templateConfig.getIsProjectUsingEsm();
+		for (let templatePath of templatePaths) {
+			if (!(await this.#extensionMap?.shouldSpiderJavaScriptDependencies(templatePath))) {
+				continue;
+			}
+
+			let deps = await JavaScriptDependencies.getDependencies([templatePath], isEsm);
+			this.config.uses.addDependency(templatePath, deps);
+		}
+	}
+
+	#restoreOutput(outputs, writtenInputPaths, writtenOutputPaths) {
+		let restoreCount = 0;
+		for (let [inputPath, outputPaths] of Object.entries(outputs)) {
+			if (writtenInputPaths.has(inputPath)) {
+				continue;
+			}
+
+			for (let outputPath of outputPaths) {
+				if (writtenOutputPaths.has(outputPath)) {
+					continue;
+				}
+
+				fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+				fs.copyFileSync(this.getCachedOutputPath(outputPath), outputPath);
+				restoreCount++;
+			}
+		}
+
+		debug("Restored %o files from the build cache.", restoreCount);
+	}
+
+	#pruneOutput(outputs) {
+		let dir = path.join(this.directory, BuildCache.OUTPUT_DIRECTORY);
+		let used = new Set();
+		for (let outputPaths of Object.values(outputs)) {
+			for (let outputPath of outputPaths) {
+				used.add(path.basename(this.getCachedOutputPath(outputPath)));
+			}
+		}
+
+		for (let filename of fs.readdirSync(dir)) {
+			if (!used.has(filename)) {
+				fs.rmSync(path.join(dir, filename));
+			}
+		}
+	}
+
+	/**
+	 * Copies output for templates skipped by the cache and persists the cache for the next build.
+	 *
+	 * @param {Array<string>} templatePaths - All full template paths in the project
+	 * @param {Array<object>} results - Written templates from `TemplateWriter->write()`
+	 */
+	async save(templatePaths, results) {
+		templatePaths = templatePaths.map((entry) => BuildCache.normalize(entry));
+
+		let outputs = {};
+		let writtenInputPaths = new Set();
+		let writtenOutputPaths = new Set();
+		for (let { inputPath, outputPath } of results) {
+			inputPath = BuildCache.normalize(inputPath);
+			writtenInputPaths.add(inputPath);
+			writtenOutputPaths.add(outputPath);
+		}
+
+		if (this.#isIncremental) {
+			for (let templatePath of templatePaths) {
+				if (!writtenInputPaths.has(templatePath) && this.#manifest.outputs[templatePath]) {
+					outputs[templatePath] = this.#manifest.outputs[templatePath];
+				}
+			}
+
+			this.#restoreOutput(outputs, writtenInputPaths, writtenOutputPaths);
+		}
+
+		fs.mkdirSync(path.join(this.directory, BuildCache.OUTPUT_DIRECTORY), { recursive: true });
+
+		for (let { inputPath, outputPath, content } of results) {
+			inputPath = BuildCache.normalize(inputPath);
+			if (!outputs[inputPath]) {
+				outputs[inputPath] = [];
+			}
+			outputs[inputPath].push(outputPath);
+
+			fs.writeFileSync(this.getCachedOutputPath(outputPath), content);
+		}
+
+		this.#pruneOutput(outputs);
+
+		await this.#addJavaScriptDependenciesToGraph(templatePaths);
+
+		let files = {};
+		for (let file of await this.getTrackedFiles(templatePaths)) {
+			// Hashes are from before the build, files modified mid-build are rendered again next time
+			files[file] = this.getFileHash(file);
+		}
+
+		let manifest = {
+			version: BuildCache.VERSION,
+			configHash: this.#configHash || (await this.getConfigHash()),
+			files,
+			outputs,
+			graph: this.config.uses.stringify(),
+		};
+
+		fs.writeFileSync(this.manifestPath, JSON.stringify(manifest));
+
+		this.reset();
+	}
+}
+
+export default BuildCache;
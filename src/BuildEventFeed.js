@@ -0,0 +1,71 @@
+import { getErrorPayload } from "./Errors/ErrorPayload.js";
+
+/*
+ * Writes newline-delimited JSON records to a stream for every build (used by `--to=ndjson`):
+ * `build-start`, one `page` record per written page (the same shape as `--to=json` entries),
+ * `build-end`, and `error` (the same shape as `--to=json` and development server errors). Works
+ * with watch and serve, one set of records per rebuild.
+ */
+class BuildEventFeed {
+	#stream;
+
+	constructor(stream) {
+		if (!stream || typeof stream.write !== "function") {
+			throw new Error("Internal error: Missing or invalid `stream` argument.");
+		}
+
+		this.#stream = stream;
+	}
+
+	#write(type, record = {}) {
+		this.#stream.write(JSON.stringify({ type, ...record }) + "\n");
+	}
+
+	static getPageRecord({ url, inputPath, outputPath, rawInput, content, data }) {
+		let record = {
+			url,
+			inputPath,
+			outputPath,
+			rawInput,
+			content,
+		};
+
+		if (Buffer.isBuffer(content)) {
+			record.content = content.toString("base64");
+			record.contentEncoding = "base64";
+		}
+
+		if (data !== undefined) {
+			record.data = data;
+		}
+
+		return record;
+	}
+
+	buildStart({ runMode, incremental, files = [] } = {}) {
+		this.#write("build-start", {
+			runMode,
+			incremental: Boolean(incremental),
+			files,
+		});
+	}
+
+	pages(templates = []) {
+		for (let entry of templates) {
+			this.#write("page", BuildEventFeed.getPageRecord(entry));
+		}
+	}
+
+	buildEnd({ duration, ...metadata } = {}) {
+		this.#write("build-end", {
+			...metadata,
+			duration: Math.round(duration),
+		});
+	}
+
+	error(error) {
+		this.#write("error", getErrorPayload(error));
+	}
+}
+
+export default BuildEventFeed;
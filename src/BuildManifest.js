@@ -0,0 +1,179 @@
+import path from "node:path";
+import fs from "node:fs";
+import { TemplatePath, isPlainObject } from "@11ty/eleventy-utils";
+
+import { getCorePackageJson } from "./Util/ImportJsonSync.js";
+import { createDebug } from "./Util/DebugLogUtil.js";
+
+const pkg = getCorePackageJson();
+const debug = createDebug("BuildManifest");
+
+/*
+ * Writes a JSON description of a build: every page’s input and output, layouts, data files,
+ * collections, passthrough copy, and the dependency graph.
+ */
+class BuildManifest {
+	static VERSION = 1;
+
+	#templateConfig;
+	#templateData;
+	#outputPathOverride;
+
+	constructor(templateConfig) {
+		if (!templateConfig || templateConfig.constructor.name !== "TemplateConfig") {
+			throw new Error("Internal error: Missing or invalid `templateConfig` argument.");
+		}
+
+		this.#templateConfig = templateConfig;
+	}
+
+	get config() {
+		return this.#templateConfig.getConfig();
+	}
+
+	set templateData(templateData) {
+		this.#templateData = templateData;
+	}
+
+	// via --manifest on the command line, takes precedence over `setBuildManifest`
+	setOutputPathOverride(outputPath) {
+		this.#outputPathOverride = outputPath;
+	}
+
+	get outputPath() {
+		return this.#outputPathOverride || this.config.buildManifest;
+	}
+
+	isEnabled() {
+		return Boolean(this.outputPath);
+	}
+
+	static normalize(filePath) {
+		return TemplatePath.addLeadingDotSlash(TemplatePath.relativePath(filePath));
+	}
+
+	static getPageKey(inputPath, outputPath) {
+		return `${TemplatePath.addLeadingDotSlash(inputPath)}::${outputPath}`;
+	}
+
+	getCollectionsLookup(collectionsData = {}) {
+		let lookup = {};
+		for (let name in collectionsData) {
+			// skip custom collections set in configuration files that have arbitrary types
+			if (!Array.isArray(collectionsData[name])) {
+				continue;
+			}
+
+			for (let item of collectionsData[name]) {
+				if (!isPlainObject(item) || !("inputPath" in item)) {
+					continue;
+				}
+
+				let key = BuildManifest.getPageKey(item.inputPath, item.outputPath);
+				if (!lookup[key]) {
+					lookup[key] = new Set();
+				}
+				lookup[key].add(name);
+			}
+		}
+		return lookup;
+	}
+
+	// Global, directory, and template data files the template depends on (via the dependency graph)
+	async getDataFiles(inputPath, globalDataFiles) {
+		let dependencies = this.config.uses.getDependencies(inputPath);
+		if (!this.#templateData || !dependencies) {
+			return [];
+		}
+
+		let dataFiles = [...globalDataFiles];
+		for (let localDataPath of await this.#templateData.getLocalDataPaths(inputPath)) {
+			if (this.#templateData.exists(localDataPath)) {
+				dataFiles.push(TemplatePath.addLeadingDotSlash(localDataPath));
+			}
+		}
+
+		let uses = new Set(dependencies);
+		return dataFiles.filter((file) => uses.has(this.config.uses.normalizeNode(file)));
+	}
+
+	getPassthroughCopy(passthroughCopyResults = []) {
+		let entries = [];
+		for (let result of passthroughCopyResults) {
+			for (let src in result?.map || {}) {
+				entries.push({
+					inputPath: BuildManifest.normalize(src),
+					outputPath: BuildManifest.normalize(result.map[src]),
+				});
+			}
+		}
+		return entries;
+	}
+
+	getDependencies() {
+		let graph = this.config.uses.map;
+		let dependencies = {};
+		for (let node of graph.overallOrder()) {
+			let deps = graph.directDependenciesOf(node);
+			if (deps.length > 0) {
+				dependencies[node] = deps;
+			}
+		}
+		return dependencies;
+	}
+
+	async generate({ templateMap, passthroughCopy } = {}) {
+		let globalDataFiles = [];
+		if (this.#templateData) {
+			globalDataFiles = TemplatePath.addLeadingDotSlashArray(
+				await this.#templateData.getGlobalDataFiles(),
+			);
+		}
+
+		let collectionsLookup = this.getCollectionsLookup(templateMap?.collectionsData);
+		let pages = [];
+		for (let entry of templateMap?.getMap() || []) {
+			let dataFiles = await this.getDataFiles(entry.inputPath, globalDataFiles);
+
+			for (let page of entry._pages || []) {
+				let layouts = [];
+				if (page.template.templateUsesLayouts(page.data)) {
+					let layout = page.template.getLayout(page.data[this.config.keys.layout]);
+					layouts = await layout.getLayoutChain();
+				}
+
+				pages.push({
+					inputPath: page.inputPath,
+					outputPath: page.outputPath,
+					url: page.url,
+					layouts,
+					dataFiles,
+					collections: Array.from(
+						collectionsLookup[BuildManifest.getPageKey(page.inputPath, page.outputPath)] || [],
+					).sort(),
+				});
+			}
+		}
+
+		return {
+			version: BuildManifest.VERSION,
+			generator: `${pkg.name}@${pkg.version}`,
+			pages,
+			passthroughCopy: this.getPassthroughCopy(passthroughCopy),
+			dependencies: this.getDependencies(),
+		};
+	}
+
+	async write(buildResults) {
+		let manifest = await this.generate(buildResults);
+
+		fs.mkdirSync(path.dirname(this.outputPath), { recursive: true });
+		fs.writeFileSync(this.outputPath, JSON.stringify(manifest, null, 2));
+
+		debug("Wrote build manifest to %o (%o pages)", this.outputPath, manifest.pages.length);
+
+		return manifest;
+	}
+}
+
+export default BuildManifest;
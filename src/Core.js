@@ -12,9 +12,9 @@ import BaseError from "./Errors/BaseError.js";
 // Utils
 import { createDebug } from "./Util/DebugLogUtil.js";
 import checkPassthroughCopyBehavior from "./Util/PassthroughCopyBehaviorCheck.js";
-import PathPrefixer from "./Util/PathPrefixer.js";
 import PathNormalizer from "./Util/PathNormalizer.js";
 import { isGlobMatch } from "./Util/GlobMatcher.js";
+import { getReloadEvent } from "./Util/ServerReload.js";
 import eventBus from "./EventBus.js";
 
 const debug = createDebug("Core");
@@ -188,51 +188,21 @@ export default class Core extends CoreFs {
 			let newWatchTargets = this.watchTargets.getNewTargetsSinceLastReset();
 			this.watcher.watchTargets(newWatchTargets);
 
-			// Is a CSS input file and is not in the includes folder
-			// TODO check output path file extension of this template (not input path)
-			// TODO add additional API for this, maybe a config callback?
-			let onlyCssChanges = this.watchQueue.hasAllQueueFiles((path) => {
-				return (
-					path.endsWith(".css") &&
-					// TODO how to make this work with relative includes?
-					!TemplatePath.startsWithSubPath(path, this.eleventyFiles.getIncludesDir())
-				);
+			let reloadEvent = getReloadEvent({
+				files: queue,
+				templates: templateResults.flat().filter((entry) => Boolean(entry)),
+				passthroughCopies: passthroughCopyResults,
+				strategy: this.config.serverReloadStrategy,
+				includesDir: this.eleventyFiles.getIncludesDir(),
+				outputDir: this.outputDir,
+				pathPrefix: this.config.pathPrefix,
 			});
 
-			// Maps passthrough copy files to output URLs for CSS live reload
-			let stylesheetUrls = new Set();
-			for (let entry of passthroughCopyResults) {
-				for (let filepath in entry.map) {
-					if (
-						filepath.endsWith(".css") &&
-						queue.includes(TemplatePath.addLeadingDotSlash(filepath))
-					) {
-						stylesheetUrls.add(
-							"/" + TemplatePath.stripLeadingSubPath(entry.map[filepath], this.outputDir),
-						);
-					}
-				}
+			if (reloadEvent) {
+				await this.eleventyServe.reload(reloadEvent);
+			} else {
+				debug("Skipping reload, no reload strategy for %o", queue);
 			}
-
-			let normalizedPathPrefix = PathPrefixer.normalizePathPrefix(this.config.pathPrefix);
-			let matchingTemplates = templateResults
-				.flat()
-				.filter((entry) => Boolean(entry))
-				.map((entry) => {
-					// only `url`, `inputPath`, and `content` are used: https://github.com/11ty/eleventy-dev-server/blob/1c658605f75224fdc76f68aebe7a412eeb4f1bc9/client/reload-client.js#L140
-					entry.url = PathPrefixer.joinUrlParts(normalizedPathPrefix, entry.url);
-					delete entry.rawInput; // Issue #3481
-					return entry;
-				});
-
-			await this.eleventyServe.reload({
-				files: queue,
-				subtype: onlyCssChanges ? "css" : undefined,
-				build: {
-					stylesheets: Array.from(stylesheetUrls),
-					templates: matchingTemplates,
-				},
-			});
 		} catch (error) {
 			this.eleventyServe.sendError({
 				error,
@@ -547,6 +517,9 @@ Arguments:
      --pathprefix='/'
        Change all url template filters to use this subdirectory.
 
+     --drafts
+       Include drafts (\`draft: true\`) and scheduled content (a future \`publishDate\`). Always included with watch/serve.
+
      --dryrun
        Don’t write any files. Useful in DEBUG mode, for example: \`DEBUG=Eleventy* npx @11ty/eleventy --dryrun\`
 
@@ -554,11 +527,23 @@ Arguments:
        Set to "esm" to force ESM mode, "cjs" to force CommonJS mode, or "auto" (default) to infer it from package.json.
 
      --to=json
-       Change the output to JSON (default: \`fs\`)
+       Change the output to JSON (default: \`fs\`). Build errors are written as \`{ "errors": [] }\`
 
      --to=fs:templates
        Writes templates, skips passthrough copy
 
+     --to=ndjson
+       Writes files and streams newline-delimited JSON build records to stdout (works with --watch and --serve). Build errors are \`error\` records (the same shape as \`--to=json\` errors)
+
+     --manifest=manifest.json
+       Write a JSON manifest of every input and output file (and their dependencies) after the build
+
+     --workers=4
+       Render templates that don’t use collections on this many worker threads
+
+     --profile=profile.json
+       Write a JSON timing report after each build (also opens as a trace in Chrome DevTools or Perfetto)
+
      --help`;
 	}
 
@@ -603,6 +588,11 @@ export {
 	default as HtmlBasePlugin,
 	default as EleventyHtmlBasePlugin,
 } from "./Plugins/HtmlBasePlugin.js";
+export { default as SitemapPlugin } from "./Plugins/SitemapPlugin.js";
+export { default as FeedPlugin } from "./Plugins/FeedPlugin.js";
+export { default as LinkCheckPlugin } from "./Plugins/LinkCheckPlugin.js";
+export { default as RedirectsPlugin } from "./Plugins/RedirectsPlugin.js";
+export { default as ComponentsPlugin } from "./Plugins/ComponentsPlugin.js";
 export { TransformPlugin as InputPathToUrlTransformPlugin } from "./Plugins/InputPathToUrl.js";
 export { IdAttributePlugin } from "./Plugins/IdAttributePlugin.js";
 
@@ -1,4 +1,11 @@
+import fs from "node:fs";
+import path from "node:path";
+
 import { CoreMinimal } from "./CoreMinimal.js";
+import BuildCache from "./BuildCache.js";
+import BuildManifest from "./BuildManifest.js";
+import OutputCleanup from "./OutputCleanup.js";
+import RenderPool from "./RenderPool.js";
 import FileSystemSearch from "./FileSystemSearch.js";
 import { Files } from "./Files.js";
 import TemplatePassthroughManager from "./TemplatePassthroughManager.js";
@@ -33,8 +40,53 @@ export class CoreFs extends CoreMinimal {
 		this.eleventyFiles.templateData = this.templateData;
 		this.eleventyFiles.init();
 
+		this.buildCache = new BuildCache(this.eleventyConfig);
+		this.buildCache.setFileSystemSearch(this.fileSystemSearch);
+		this.buildCache.templateData = this.templateData;
+		this.buildCache.extensionMap = this.extensionMap;
+
+		this.buildManifest = new BuildManifest(this.eleventyConfig);
+		this.buildManifest.templateData = this.templateData;
+		this.buildManifest.setOutputPathOverride(this.options.manifest);
+
+		this.outputCleanup = new OutputCleanup(this.eleventyConfig);
+		this.outputCleanup.logger = this.logger;
+
+		this.renderPool = new RenderPool(this.eleventyConfig);
+		this.renderPool.logger = this.logger;
+		this.renderPool.setWorkerCountOverride(this.options.workers);
+		this.renderPool.setCoreArguments(this.rawInput, this.rawOutput, this.options);
+
 		this.writer.setPassthroughManager(this.passthroughManager);
 		this.writer.setEleventyFiles(this.eleventyFiles);
+		this.writer.setBuildCache(this.buildCache);
+		this.writer.setBuildManifest(this.buildManifest);
+		this.writer.setOutputCleanup(this.outputCleanup);
+		this.writer.setRenderPool(this.renderPool);
+	}
+
+	async executeBuild(to = "fs") {
+		let returnObj = await super.executeBuild(to);
+
+		if (this.options.profile) {
+			this.#writeProfile(this.options.profile);
+		}
+
+		return returnObj;
+	}
+
+	#writeProfile(outputPath) {
+		let { copyCount, copySize, skipCount, writeCount, renderCount } = this.writer.getMetadata();
+		let report = this.bench.getProfileReport({
+			buildawesome: CoreMinimal.getVersion(),
+			runMode: this.runMode,
+			incremental: this.isIncremental,
+			counts: { copyCount, copySize, skipCount, writeCount, renderCount },
+		});
+
+		fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+		fs.writeFileSync(outputPath, JSON.stringify(report));
+		this.logger.info(`Wrote build profile to ${outputPath}`);
 	}
 
 	/**
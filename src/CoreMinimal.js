@@ -8,11 +8,13 @@ import ExtensionMap from "./ExtensionMap.js";
 import { ErrorHandler } from "./Errors/ErrorHandler.js";
 import TemplateConfig from "./TemplateConfig.js";
 import TemplateEngineManager from "./Engines/TemplateEngineManager.js";
+import BuildEventFeed from "./BuildEventFeed.js";
 
 /* Utils */
 import { createDebug } from "./Util/DebugLogUtil.js";
 import { readableFileSize } from "./Util/FileSize.js";
 import simplePlural from "./Util/Pluralize.js";
+import { getUnpublishedSummary } from "./Util/Publishing.js";
 import ConsoleLogger from "./Util/ConsoleLogger.js";
 import ProjectDirectories from "./Util/ProjectDirectories.js";
 import {
@@ -60,6 +62,8 @@ export class CoreMinimal {
 	#isEsm;
 	/** @type {string} */
 	#activeConfigurationPath;
+	/** @type {BuildEventFeed|undefined} */
+	#buildEventFeed;
 
 	// Support both new Eleventy(options) and new Eleventy(input, output, options)
 	#normalizeConstructorArguments(...args) {
@@ -93,11 +97,15 @@ export class CoreMinimal {
 	 * @property {'cli'|'script'=} source
 	 * @property {'build'|'serve'|'watch'=} runMode
 	 * @property {boolean=} dryRun
+	 * @property {boolean=} drafts
 	 * @property {string=} configPath
 	 * @property {string=} pathPrefix
 	 * @property {boolean=} quietMode
 	 * @property {Function=} config
 	 * @property {string=} inputDir
+	 * @property {string=} manifest
+	 * @property {string=} profile
+	 * @property {number|string=} workers
 
 	 * @param {string} [input] - Directory or filename for input/sources files.
 	 * @param {string} [output] - Directory serving as the target for writing the output files.
@@ -158,6 +166,13 @@ export class CoreMinimal {
 		 */
 		this.isDryRun = options.dryRun ?? false;
 
+		/**
+		 * @type {boolean}
+		 * @description Include drafts and scheduled content in a build (always included in watch/serve)
+		 * @default false
+		 */
+		this.isIncludingDrafts = options.drafts ?? false;
+
 		/**
 		 * @type {boolean}
 		 * @description Is this an incremental build? (only operates on a subset of input files)
@@ -245,6 +260,7 @@ export class CoreMinimal {
 			this.configPath ?? this.eleventyConfig.getLocalProjectConfigFile();
 
 		this.eleventyConfig.setRunMode(this.runMode);
+		this.eleventyConfig.setIncludeUnpublished(this.isIncludingDrafts);
 		this.eleventyConfig.setProjectUsingEsm(this.isEsm);
 		this.eleventyConfig.setLogger(this.logger);
 		this.eleventyConfig.setDirectories(this.directories);
@@ -299,6 +315,9 @@ export class CoreMinimal {
 		 */
 		this.bench = this.config.benchmarkManager;
 		this.bench.setLogger(this.logger);
+		// via --profile on the command line
+		this.bench.profiler.enable(Boolean(this.options.profile));
+		this.bench.renderBudget.setOptions(this.config.renderBudget);
 
 		if (performance) {
 			debug("Eleventy warm up time: %o (ms)", performance.now());
@@ -754,14 +773,31 @@ Verbose Output: ${this.verboseMode}`;
 		throw new Error("Feature removed in v4: https://github.com/11ty/eleventy/issues/3382");
 	}
 
+	/**
+	 * Writes newline-delimited JSON records for every build to a stream (via `--to=ndjson`).
+	 *
+	 * @param {{write: Function}} stream - e.g. `process.stdout`
+	 */
+	setBuildEventStream(stream) {
+		this.#buildEventFeed = new BuildEventFeed(stream);
+	}
+
 	/*
-	 * If the active queue has a mix of template/non-template files (includes, etc), swap to run a full build
+	 * Non-template files (includes, layouts, data files) are supported if the dependency graph knows the templates using them
+	 * If the active queue has any other non-template files, swap to run a full build
 	 */
 	isIncrementalBuildPossible(queuedFiles = []) {
-		let hasNonTemplateFiles = Boolean(
-			queuedFiles.find((path) => !this.directories.isTemplateFile(path)),
+		let hasUnknownFiles = Boolean(
+			queuedFiles.find((path) => {
+				// Queued paths are relative to the project root
+				let inputPath = this.directories.getInputPathRelativeToInputDirectory(path);
+				return (
+					!this.directories.isTemplateFile(inputPath) &&
+					!this.eleventyConfig.usesGraph.hasNode(path)
+				);
+			}),
 		);
-		if (hasNonTemplateFiles) {
+		if (hasUnknownFiles) {
 			return false;
 		}
 
@@ -801,6 +837,8 @@ Verbose Output: ${this.verboseMode}`;
 
 		let returnObj;
 		let hasError = false;
+		let buildStart = this.getNewTimestamp();
+		this.bench.renderBudget.reset();
 		let outputMode = String(to);
 		// normalize fs:templates or fs:copy to `fs`
 		if (outputMode.includes(":")) {
@@ -825,6 +863,12 @@ Verbose Output: ${this.verboseMode}`;
 
 			await this.config.events.emit("buildawesome.before", eventsArg);
 
+			this.#buildEventFeed?.buildStart({
+				runMode: this.runMode,
+				incremental: this.isIncremental,
+				files: incrementalFiles,
+			});
+
 			let promise;
 			if (to === "fs") {
 				promise = this.writer.write();
@@ -840,9 +884,24 @@ Verbose Output: ${this.verboseMode}`;
 
 			let resolved = await promise;
 
+			// via `setRenderBudget`, throws when over budget with `onExceeded: "error"`
+			this.bench.renderBudget.check(this.getNewTimestamp() - buildStart, this.logger);
+
 			// Passing the processed output to the buildawesome.after event (2.0+)
 			eventsArg.results = resolved.templates;
 
+			if (this.#buildEventFeed) {
+				this.#buildEventFeed.pages(resolved.templates);
+
+				let { copyCount, skipCount, writeCount } = this.writer.getMetadata();
+				this.#buildEventFeed.buildEnd({
+					writeCount,
+					copyCount,
+					skipCount,
+					duration: this.getNewTimestamp() - buildStart,
+				});
+			}
+
 			if (to === "json" || to === "fs:templates") {
 				// Backwards compat
 				returnObj = resolved.templates;
@@ -863,6 +922,8 @@ Verbose Output: ${this.verboseMode}`;
 		} catch (error) {
 			hasError = true;
 
+			this.#buildEventFeed?.error(error);
+
 			// Issue #2405: Don’t change the exitCode for programmatic scripts
 			let errorSeverity = this.source === "script" ? "error" : "fatal";
 			this.errorHandler.once(errorSeverity, error, "Problem writing Eleventy templates");
@@ -908,6 +969,7 @@ Open an issue: https://github.com/11ty/buildawesome/issues/new`);
 			copySize,
 			skipCount,
 			writeCount,
+			unpublished,
 			// renderCount, // files that render (costly) but may not write to disk
 		} = this.writer.getMetadata();
 
@@ -924,6 +986,10 @@ Open an issue: https://github.com/11ty/buildawesome/issues/new`);
 			}`,
 		);
 
+		if (unpublished.length) {
+			slashRet.push(`Skipped ${getUnpublishedSummary(unpublished)} (use --drafts to include)`);
+		}
+
 		// slashRet.push(
 		// 	`${renderCount} rendered`
 		// )
@@ -1,13 +1,21 @@
 import lodash from "@11ty/lodash-custom";
 
 import { createDebug } from "../Util/DebugLogUtil.js";
+import BaseError from "../Errors/BaseError.js";
+import ErrorUtil from "../Errors/ErrorUtil.js";
 import ComputedDataQueue from "./ComputedDataQueue.js";
 import ComputedDataTemplateString from "./ComputedDataTemplateString.js";
 import ComputedDataProxy from "./ComputedDataProxy.js";
+import { ResolveConfigurationData } from "./ResolveConfigurationData.js";
 
 const { set: lodashSet, get: lodashGet } = lodash;
 const debug = createDebug("ComputedData");
 
+class ComputedDataError extends BaseError {}
+
+// Derived from `permalink`, not `eleventyComputed`
+const PERMALINK_KEYS = ["page.url", "page.outputPath"];
+
 class ComputedData {
 	constructor(config) {
 		this.computed = {};
@@ -93,7 +101,12 @@ class ComputedData {
 			let computed = lodashGet(this.computed, key);
 
 			if (typeof computed === "function") {
-				let ret = await computed(data);
+				let ret;
+				try {
+					ret = await computed(data);
+				} catch (e) {
+					throw this.#getError(e, key, data);
+				}
 				lodashSet(data, key, ret);
 			} else if (computed !== undefined) {
 				lodashSet(data, key, computed);
@@ -101,6 +114,30 @@ class ComputedData {
 		}
 	}
 
+	#getError(e, key, data) {
+		// Premature `templateContent` use is retried later
+		if (e instanceof ComputedDataError || ErrorUtil.isPrematureTemplateContentError(e)) {
+			return e;
+		}
+
+		let dataPath;
+		if (PERMALINK_KEYS.includes(key)) {
+			dataPath = this.config?.keys?.permalink ?? "permalink";
+		} else {
+			// `buildawesomeComputed` or `eleventyComputed`, whichever is used in the data
+			let computedKey = this.config?.keys?.computed ?? "buildawesomeComputed";
+			let locations = ResolveConfigurationData.getEligibleLocations(computedKey);
+			dataPath = `${locations.find((name) => data?.[name] !== undefined) ?? computedKey}.${key}`;
+		}
+		let error = new ComputedDataError(
+			`Having trouble computing \`${dataPath}\`${data?.page?.inputPath ? ` for ${data.page.inputPath}` : ""}`,
+			e,
+		);
+		// Data cascade location, used by `getErrorPayload`
+		error.dataPath = dataPath;
+		return error;
+	}
+
 	async setupData(data, orderFilter) {
 		await this.resolveVarOrder(data);
 
@@ -2,6 +2,7 @@ import lodash from "@11ty/lodash-custom";
 
 import ReservedData from "../Util/ReservedData.js";
 import BaseError from "../Errors/BaseError.js";
+import RemoteData from "./RemoteData.js";
 
 const { set: lodashSet } = lodash;
 
@@ -14,6 +15,7 @@ export default class ConfigurationGlobalData {
 		}
 		this.templateConfig = templateConfig;
 		this.config = this.templateConfig.getConfig();
+		this.remoteData = new RemoteData(this.templateConfig);
 	}
 
 	async getData() {
@@ -34,6 +36,11 @@ export default class ConfigurationGlobalData {
 			}
 		}
 
+		// via eleventyConfig.addRemoteData
+		for (let [key, value] of Object.entries(await this.remoteData.getData())) {
+			lodashSet(globalData, key, value);
+		}
+
 		if (this.config.freezeReservedData) {
 			// TODO-ish might come from the `config` callback too
 			ReservedData.check(globalData, this.templateConfig.getActiveConfigPath());
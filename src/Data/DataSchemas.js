@@ -0,0 +1,143 @@
+import { isPlainObject, TemplatePath } from "@11ty/eleventy-utils";
+
+import BaseError from "../Errors/BaseError.js";
+import JsonSchemaValidator from "../Util/JsonSchemaValidator.js";
+import { LoadContent } from "../Util/Require.js";
+import { createDebug } from "../Util/DebugLogUtil.js";
+import simplePlural from "../Util/Pluralize.js";
+
+const debug = createDebug("DataSchemas");
+
+class DataSchemaError extends BaseError {}
+
+/*
+ * Declarative (JSON Schema) data validation. Schemas are assigned to pages via the data cascade
+ * (`buildawesomeDataSchema` set to a schema object or a project-relative `.json` file path) or per
+ * collection via `addDataSchema()`. Violations are collected across all pages and reported once.
+ */
+class DataSchemas {
+	#templateConfig;
+	#validators = new Map();
+	#violations = [];
+	#collectionLookup = new Map();
+
+	constructor(templateConfig) {
+		if (!templateConfig || templateConfig.constructor.name !== "TemplateConfig") {
+			throw new Error("Internal error: Missing or invalid `templateConfig` argument.");
+		}
+
+		this.#templateConfig = templateConfig;
+	}
+
+	get config() {
+		return this.#templateConfig.getConfig();
+	}
+
+	// Functions are data schema callbacks, handled in TemplateMap
+	static isJsonSchema(schema) {
+		return typeof schema === "string" || typeof schema === "boolean" || isPlainObject(schema);
+	}
+
+	static getLabel(schema) {
+		if (typeof schema === "string") {
+			return TemplatePath.addLeadingDotSlash(schema);
+		}
+		return schema?.$id || schema?.title || "inline schema";
+	}
+
+	#getValidator(schema) {
+		if (!this.#validators.has(schema)) {
+			let schemaObject = schema;
+			if (typeof schema === "string") {
+				let rawInput = LoadContent(schema);
+				if (rawInput === undefined) {
+					throw new DataSchemaError(`Could not find the JSON Schema file: ${schema}`);
+				}
+
+				try {
+					schemaObject = JSON.parse(rawInput);
+				} catch (e) {
+					throw new DataSchemaError(`Invalid JSON in the JSON Schema file: ${schema}`, e);
+				}
+			}
+
+			this.#validators.set(schema, new JsonSchemaValidator(schemaObject));
+		}
+
+		return this.#validators.get(schema);
+	}
+
+	setCollections(collectionsData = {}) {
+		this.#collectionLookup = new Map();
+		for (let name of Object.keys(this.config.dataSchemas || {})) {
+			if (Array.isArray(collectionsData[name])) {
+				this.#collectionLookup.set(name, new Set(collectionsData[name]));
+			}
+		}
+	}
+
+	// Schemas assigned via `addDataSchema`, keyed by collection name
+	getSchemasForPage(pageEntry) {
+		let schemas = [];
+		for (let [name, pages] of this.#collectionLookup) {
+			if (pages.has(pageEntry)) {
+				schemas.push(...this.config.dataSchemas[name]);
+			}
+		}
+		return schemas;
+	}
+
+	/**
+	 * @param {object} pageEntry
+	 * @param {Array<object|string>} schemas - JSON Schema objects or file paths
+	 */
+	validate(pageEntry, schemas = []) {
+		for (let schema of schemas) {
+			for (let violation of this.#getValidator(schema).validate(pageEntry.data)) {
+				this.#violations.push({
+					inputPath: pageEntry.inputPath,
+					url: pageEntry.url,
+					schema: DataSchemas.getLabel(schema),
+					...violation,
+				});
+			}
+		}
+	}
+
+	getViolations() {
+		return this.#violations;
+	}
+
+	getReport() {
+		let lines = [];
+		let previousPage;
+		for (let { inputPath, url, schema, instancePath, message } of this.#violations) {
+			let page = `${inputPath}${url ? ` (${url})` : ""}`;
+			if (page !== previousPage) {
+				lines.push(page);
+				previousPage = page;
+			}
+			lines.push(`  ${instancePath || "/"} ${message} (via ${schema})`);
+		}
+		return lines.join("\n");
+	}
+
+	// Throws once with every violation in the project
+	throwIfInvalid() {
+		let count = this.#violations.length;
+		if (count === 0) {
+			return;
+		}
+
+		debug("Found %o data schema violations", count);
+
+		let error = new DataSchemaError(
+			`Data schema validation failed with ${count} ${simplePlural(count, "error", "errors")}:\n${this.getReport()}`,
+		);
+		error.violations = this.#violations;
+		throw error;
+	}
+}
+
+export { DataSchemaError };
+export default DataSchemas;
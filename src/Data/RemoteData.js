@@ -0,0 +1,184 @@
+import path from "node:path";
+import fs from "node:fs";
+import { createHashHexSync } from "@11ty/eleventy-utils";
+
+import BaseError from "../Errors/BaseError.js";
+import { createDebug } from "../Util/DebugLogUtil.js";
+
+const debug = createDebug("RemoteData");
+
+class RemoteDataError extends BaseError {}
+
+/*
+ * Global data fetched from a URL at build time (via `addRemoteData`). Responses are cached on
+ * disk (next to the build cache) for `duration`. When the network is unavailable (or in
+ * `offline` mode) an expired cache entry is used instead of failing the build.
+ */
+class RemoteData {
+	static CACHE_DIRECTORY = "remote-data";
+
+	static DURATION_UNITS = {
+		s: 1000,
+		m: 1000 * 60,
+		h: 1000 * 60 * 60,
+		d: 1000 * 60 * 60 * 24,
+		w: 1000 * 60 * 60 * 24 * 7,
+		y: 1000 * 60 * 60 * 24 * 365,
+	};
+
+	#templateConfig;
+	#benchmarks;
+
+	constructor(templateConfig) {
+		if (!templateConfig || templateConfig.constructor.name !== "TemplateConfig") {
+			throw new Error("Internal error: Missing or invalid `templateConfig` argument.");
+		}
+
+		this.#templateConfig = templateConfig;
+		this.#benchmarks = {
+			data: this.config.benchmarkManager.get("Data"),
+			aggregate: this.config.benchmarkManager.get("Aggregate"),
+		};
+	}
+
+	get config() {
+		return this.#templateConfig.getConfig();
+	}
+
+	get sources() {
+		return this.config.remoteData || {};
+	}
+
+	// e.g. `30s`, `5m`, `1h`, `1d`, `1w`, `1y`, or `*` (never expires)
+	static getDurationMs(duration) {
+		if (duration === "*") {
+			return Infinity;
+		}
+
+		let match = String(duration).match(/^(\d+(?:\.\d+)?)([smhdwy])?$/);
+		if (!match) {
+			throw new RemoteDataError(
+				`Invalid remote data \`duration\`: ${JSON.stringify(duration)}. Expected a number with a unit (e.g. \`1d\`) or \`*\`.`,
+			);
+		}
+
+		return parseFloat(match[1]) * RemoteData.DURATION_UNITS[match[2] || "s"];
+	}
+
+	static async parse(response, type) {
+		if (type === "json") {
+			return response.json();
+		}
+		// `text` and `xml` are returned as strings
+		return response.text();
+	}
+
+	getCachePath(source) {
+		let directory =
+			source.directory || path.join(this.config.buildCache.directory, RemoteData.CACHE_DIRECTORY);
+		return path.join(directory, `${createHashHexSync(`${source.type}:${source.url}`)}.json`);
+	}
+
+	#readCache(cachePath) {
+		try {
+			return JSON.parse(fs.readFileSync(cachePath, "utf8"));
+		} catch (e) {
+			debug("No cache entry at %o: %o", cachePath, e.message);
+		}
+	}
+
+	#writeCache(cachePath, entry) {
+		fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+		fs.writeFileSync(cachePath, JSON.stringify(entry));
+	}
+
+	async #fetch(source) {
+		let response = await fetch(source.url, source.fetchOptions);
+		if (!response.ok) {
+			throw new RemoteDataError(
+				`Bad response for ${source.url} (${response.status}): ${response.statusText}`,
+			);
+		}
+		return RemoteData.parse(response, source.type);
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {object} source - Options passed to `addRemoteData`
+	 * @returns {Promise<{value: *, status: "cached"|"fetched"|"offline"|"stale"}>}
+	 */
+	async get(name, source) {
+		let cachePath = this.getCachePath(source);
+		let cached = this.#readCache(cachePath);
+		let durationMs = RemoteData.getDurationMs(source.duration);
+
+		if (cached && Date.now() - cached.cachedAt < durationMs) {
+			this.#benchmarks.data.get(`Remote data \`${name}\` (cached)`).incrementCount();
+			return { value: cached.body, status: "cached" };
+		}
+
+		if (source.offline) {
+			if (!cached) {
+				throw new RemoteDataError(
+					`Remote data \`${name}\` is in offline mode but has no cached response for ${source.url}`,
+				);
+			}
+
+			this.#benchmarks.data.get(`Remote data \`${name}\` (offline)`).incrementCount();
+			return { value: cached.body, status: "offline" };
+		}
+
+		let bench = this.#benchmarks.data.get(`Remote data \`${name}\` (network)`);
+		bench.before();
+		try {
+			let body = await this.#fetch(source);
+			this.#writeCache(cachePath, {
+				url: String(source.url),
+				type: source.type,
+				cachedAt: Date.now(),
+				body,
+			});
+
+			return { value: body, status: "fetched" };
+		} catch (e) {
+			if (!cached) {
+				throw new RemoteDataError(`Could not fetch remote data \`${name}\` from ${source.url}`, e);
+			}
+
+			// Network is unavailable: use the expired response
+			this.#templateConfig.logger?.warn(
+				`Using an expired cached response for remote data \`${name}\` (${source.url}): ${e.message}`,
+			);
+			this.#benchmarks.data.get(`Remote data \`${name}\` (stale)`).incrementCount();
+			return { value: cached.body, status: "stale" };
+		} finally {
+			bench.after();
+		}
+	}
+
+	async getData() {
+		let entries = Object.entries(this.sources);
+		if (entries.length === 0) {
+			return {};
+		}
+
+		let aggregateBench = this.#benchmarks.aggregate.get("Remote Data");
+		aggregateBench.before();
+
+		let data = {};
+		await Promise.all(
+			entries.map(async ([name, source]) => {
+				let { value, status } = await this.get(name, source);
+				debug("Remote data %o from %o (%o)", name, String(source.url), status);
+				data[name] = value;
+			}),
+		);
+
+		aggregateBench.after();
+
+		return data;
+	}
+}
+
+export { RemoteDataError };
+export default RemoteData;
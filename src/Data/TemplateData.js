@@ -49,6 +49,7 @@ class TemplateData {
 
 	#rawImports;
 	#globalData;
+	#globalDataFileKeys;
 	#templateDirectoryData = {};
 
 	constructor(templateConfig) {
@@ -65,6 +66,7 @@ class TemplateData {
 			data: this.config.benchmarkManager.get("Data"),
 			aggregate: this.config.benchmarkManager.get("Aggregate"),
 		};
+		this.profiler = this.config.benchmarkManager.profiler;
 
 		this.isEsm = false;
 		this.initialGlobalData = new ConfigurationGlobalData(this.templateConfig);
@@ -165,6 +167,7 @@ class TemplateData {
 
 	clearData() {
 		this.#globalData = null;
+		this.#globalDataFileKeys = null;
 		this.configApiGlobalData = null;
 		this.#templateDirectoryData = {};
 	}
@@ -328,6 +331,21 @@ class TemplateData {
 		return folders;
 	}
 
+	// Global data file => top level data key, e.g. `./_data/site/nav.json` => `site`
+	async getGlobalDataFileKeys() {
+		if (!this.#globalDataFileKeys) {
+			this.#globalDataFileKeys = this.getGlobalDataFiles().then((files) => {
+				return new Map(
+					TemplatePath.addLeadingDotSlashArray(files).map((file) => {
+						return [file, this.getObjectPathForDataFile(file)[0]];
+					}),
+				);
+			});
+		}
+
+		return this.#globalDataFileKeys;
+	}
+
 	async getAllGlobalData() {
 		let globalData = {};
 
@@ -338,7 +356,9 @@ class TemplateData {
 		let dataFileConflicts = {};
 
 		for (let file of Object.values(files)) {
+			let endProfile = this.profiler.start("data", file, { global: true });
 			let data = await this.getDataValue(file);
+			endProfile();
 			let objectPathTarget = this.getObjectPathForDataFile(file);
 
 			// Since we're joining directory paths and an array is not usable as an objectkey since two identical arrays are not double equal,
@@ -454,7 +474,9 @@ class TemplateData {
 
 		let dataSource = {};
 		for (let path of localDataPaths) {
+			let endProfile = this.profiler.start("data", path, { global: false });
 			let dataForPath = await this.getDataValue(path);
+			endProfile();
 			if (!isPlainObject(dataForPath)) {
 				debug(
 					"Warning: Template and Directory data files expect an object to be returned, instead `%o` returned `%o`",
@@ -539,7 +561,9 @@ class TemplateData {
 				return parser(path, path);
 			}
 		} catch (e) {
-			throw new TemplateDataParseError(`Having trouble parsing data file ${path}`, e);
+			let error = new TemplateDataParseError(`Having trouble parsing data file ${path}`, e);
+			error.inputPath = path;
+			throw error;
 		}
 	}
 
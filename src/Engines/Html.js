@@ -9,6 +9,11 @@ export default class Html extends TemplateEngine {
 		return true;
 	}
 
+	// Without a preprocessor template engine the content is static
+	parseForIncludes() {
+		return [];
+	}
+
 	async #getPreEngine(preTemplateEngine) {
 		return this.engineManager.getEngine(preTemplateEngine, this.extensionMap);
 	}
@@ -1,3 +1,4 @@
+import path from "node:path";
 import moo from "moo";
 import { Tokenizer, TokenKind, evalToken, Liquid as LiquidJs } from "liquidjs";
 import { TemplatePath } from "@11ty/eleventy-utils";
@@ -14,6 +15,8 @@ export default class Liquid extends TemplateEngine {
 		"ignore:whitespace": /[, \t]+/, // includes comma separator
 	};
 
+	static includeTagNames = ["include", "render", "layout"];
+
 	constructor(name, eleventyConfig) {
 		super(name, eleventyConfig);
 
@@ -292,6 +295,56 @@ export default class Liquid extends TemplateEngine {
 		return symbols;
 	}
 
+	/* Outputs the file names used by `include`, `render`, and `layout` tags (`undefined` if not a string literal) */
+	parseForIncludes(str) {
+		if (!str) {
+			return [];
+		}
+
+		let tokens;
+		try {
+			tokens = new Tokenizer(str).readTopLevelTokens();
+		} catch {
+			// Syntax errors are reported when the template is compiled
+			return [undefined];
+		}
+
+		let names = [];
+		for (let token of tokens) {
+			if (token.kind !== TokenKind.Tag || !Liquid.includeTagNames.includes(token.name)) {
+				continue;
+			}
+
+			let args = token.args.trim();
+			if (token.name === "layout" && args === "none") {
+				continue;
+			}
+
+			let literal = args.match(/^(["'])(.*?)\1/);
+			if (literal) {
+				names.push(literal[2]);
+			} else if (this.liquidLib.options?.dynamicPartials === false) {
+				names.push(args.match(/^[^\s,]+/)?.[0]);
+			} else {
+				names.push(undefined);
+			}
+		}
+		return names;
+	}
+
+	// Relative to the current template, then the `partials` (or `root`) directories
+	getIncludeCandidates(name, inputPath) {
+		let { partials, root, extname } = this.liquidLib.options || {};
+		let dirs = [TemplatePath.getDirFromFilePath(inputPath), ...(partials || root || [])];
+		let names = [name];
+		if (extname && !path.extname(name)) {
+			names.push(name + extname);
+		}
+
+		let candidates = dirs.flatMap((dir) => names.map((entry) => TemplatePath.join(dir, entry)));
+		return Array.from(new Set(candidates));
+	}
+
 	// Don’t return a boolean if permalink is a function (see TemplateContent->renderPermalink)
 	/** @returns {boolean|undefined} */
 	permalinkNeedsCompilation(str) {
@@ -15,6 +15,11 @@ export default class Markdown extends TemplateEngine {
 		return true;
 	}
 
+	// Without a preprocessor template engine the content is static
+	parseForIncludes() {
+		return [];
+	}
+
 	setLibrary(mdLib) {
 		this.mdLib = mdLib || markdownIt(this.getMarkdownOptions());
 
@@ -16,6 +16,8 @@ const debug = createDebug("Nunjucks");
 
 class BuildAwesomeNunjucksError extends BaseError {}
 
+const INCLUDE_TAGS_REGEX = /\b(?:include|extends|import|from)\b/;
+
 export default class Nunjucks extends TemplateEngine {
 	constructor(name, eleventyConfig) {
 		super(name, eleventyConfig);
@@ -447,6 +449,47 @@ export default class Nunjucks extends TemplateEngine {
 		return uniqueSymbols;
 	}
 
+	/* Outputs the template names used by `include`, `extends`, `import`, and `from` (`undefined` if not a string literal) */
+	parseForIncludes(str) {
+		if (!str || !INCLUDE_TAGS_REGEX.test(str)) {
+			return [];
+		}
+
+		const { parser, nodes } = NunjucksLib;
+		let obj;
+		try {
+			obj = parser.parse(str, this._getParseExtensions());
+		} catch (e) {
+			// Syntax errors are reported when the template is compiled
+			debug("Unable to parse for includes: %o", e.message);
+			return [undefined];
+		}
+		if (!obj) {
+			return [];
+		}
+
+		let names = [];
+		for (let type of [nodes.Include, nodes.Extends, nodes.Import, nodes.FromImport]) {
+			for (let { template } of obj.findAll(type)) {
+				if (template instanceof nodes.Literal && typeof template.value === "string") {
+					names.push(template.value);
+				} else {
+					names.push(undefined);
+				}
+			}
+		}
+		return names;
+	}
+
+	// Same lookup as the FileSystemLoader, `./` and `../` are relative to the current template
+	getIncludeCandidates(name, inputPath) {
+		if (name.startsWith("./") || name.startsWith("../")) {
+			return [TemplatePath.join(TemplatePath.getDirFromFilePath(inputPath), name)];
+		}
+
+		return this.#getFileSystemDirs().map((dir) => TemplatePath.join(dir, name));
+	}
+
 	async compile(str, inputPath) {
 		let tmpl;
 
@@ -0,0 +1,224 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { TemplatePath } from "@11ty/eleventy-utils";
+
+import ErrorUtil from "./ErrorUtil.js";
+
+const CODE_FRAME_LINES = 2;
+const NUNJUCKS_FILE_REGEX = /^\((.+?)\)/;
+const JSON_POSITION_REGEX = /\(line (\d+) column (\d+)\)/;
+const STACK_FRAME_REGEX = /^\s*at (?:.*? \()?(.+?):(\d+):(\d+)\)?$/;
+
+function normalizePath(filePath) {
+	if (path.isAbsolute(filePath)) {
+		filePath = path.relative(process.cwd(), filePath);
+	}
+	return TemplatePath.addLeadingDotSlash(TemplatePath.normalize(filePath));
+}
+
+function isSameFile(a, b) {
+	return Boolean(a && b) && path.resolve(a) === path.resolve(b);
+}
+
+/**
+ * Errors from outermost to innermost, following `originalError`, `cause`, and errors embedded in
+ * messages by `ErrorUtil.convertErrorToString`.
+ *
+ * @param {Error} error
+ * @returns {Array<Error|object>}
+ */
+export function getErrorChain(error) {
+	let chain = [];
+	let ref = error;
+	while (ref && !chain.includes(ref)) {
+		chain.push(ref);
+
+		let nextRef = ref.originalError ?? ref.cause;
+		if (!nextRef && ErrorUtil.hasEmbeddedError(ref.message)) {
+			nextRef = ErrorUtil.deconvertErrorToObject(ref);
+		}
+		ref = nextRef;
+	}
+	return chain;
+}
+
+// Line and column (1-based) in a file as reported by a template language, front matter, or a stack trace
+function getPosition(error, templatePath) {
+	// Liquid: `file` is the include file for errors in includes
+	if (typeof error.token?.getPosition === "function") {
+		let [line, column] = error.token.getPosition();
+		return {
+			file: error.token.file || templatePath,
+			line,
+			column,
+			isContentRelative: true,
+		};
+	}
+
+	// Nunjucks: parse errors are 1-based, runtime errors (wrapping the original error) are 0-based
+	if (error.name === "Template render error" && error.lineno && error.colno) {
+		let offset = error.originalError ? 1 : 0;
+		return {
+			file: NUNJUCKS_FILE_REGEX.exec(error.message)?.[1] || templatePath,
+			line: error.lineno + offset,
+			column: error.colno + offset,
+			isContentRelative: true,
+		};
+	}
+
+	// YAML (front matter and data files), 0-based from the start of the file
+	if (typeof error.mark?.line === "number") {
+		return {
+			file: templatePath,
+			line: error.mark.line + 1,
+			column: error.mark.column + 1,
+		};
+	}
+
+	// JSON data files
+	let jsonMatch = error.name === "SyntaxError" && JSON_POSITION_REGEX.exec(error.message);
+	if (jsonMatch) {
+		return {
+			file: templatePath,
+			line: parseInt(jsonMatch[1], 10),
+			column: parseInt(jsonMatch[2], 10),
+		};
+	}
+
+	// JavaScript: first stack frame in the template or data file
+	if (templatePath && typeof error.stack === "string") {
+		for (let frame of error.stack.split("\n")) {
+			let match = STACK_FRAME_REGEX.exec(frame);
+			if (!match) {
+				continue;
+			}
+
+			let [, file, line, column] = match;
+			// Cache busting query parameters, e.g. `?_cache_bust=…`
+			file = file.split("?")[0];
+			if (file.startsWith("file:")) {
+				file = fileURLToPath(file);
+			}
+			if (isSameFile(file, templatePath)) {
+				return {
+					file: templatePath,
+					line: parseInt(line, 10),
+					column: parseInt(column, 10),
+				};
+			}
+		}
+	}
+}
+
+/**
+ * Source lines around a location, the line with the error is marked with `>` (and the column with `^`).
+ *
+ * @param {string} content - File content
+ * @param {number} line - 1-based
+ * @param {number} [column] - 1-based
+ * @returns {string}
+ */
+export function getCodeFrame(content, line, column) {
+	let lines = String(content).split(/\r?\n/);
+	let start = Math.max(1, line - CODE_FRAME_LINES);
+	let end = Math.min(lines.length, line + CODE_FRAME_LINES);
+	let gutterWidth = String(end).length;
+
+	let frame = [];
+	for (let j = start; j <= end; j++) {
+		let gutter = String(j).padStart(gutterWidth);
+		frame.push(`${j === line ? ">" : " "} ${gutter} | ${lines[j - 1]}`.trimEnd());
+		if (j === line && column > 0) {
+			frame.push(`  ${" ".repeat(gutterWidth)} | ${" ".repeat(column - 1)}^`);
+		}
+	}
+	return frame.join("\n");
+}
+
+function readFile(filePath) {
+	try {
+		return fs.readFileSync(filePath, "utf8");
+	} catch {
+		// Missing or virtual file
+	}
+}
+
+/**
+ * Serializable error details for the development server and `--to=json`: the error chain, the
+ * source file and location (with a code frame), and the data cascade location for computed data.
+ *
+ * Every key used by `chain` entries is also a top-level key (the development server serializes
+ * errors with a property name allowlist).
+ *
+ * @param {Error} error
+ * @returns {{name: string, message: string, stack?: string, inputPath?: string, line?: number, column?: number, codeFrame?: string, dataPath?: string, chain: Array<object>}}
+ */
+export function getErrorPayload(error) {
+	let chain = getErrorChain(error);
+
+	let templatePath;
+	let lineOffset;
+	let location;
+	let dataPath;
+	for (let ref of chain) {
+		// Template errors know their file and where the content starts (after front matter)
+		if (ref.inputPath) {
+			templatePath = ref.inputPath;
+			lineOffset = ref.lineOffset;
+		}
+		if (ref.dataPath) {
+			dataPath = ref.dataPath;
+		}
+
+		// The innermost known location wins
+		let position = getPosition(ref, templatePath);
+		if (!position?.file) {
+			continue;
+		}
+
+		let line = position.line;
+		if (position.isContentRelative && isSameFile(position.file, templatePath)) {
+			// e.g. computed data or permalink strings, not the template file content
+			if (lineOffset === undefined) {
+				continue;
+			}
+			line += lineOffset;
+		}
+
+		location = {
+			inputPath: normalizePath(position.file),
+			line,
+			column: position.column,
+		};
+	}
+
+	let rootCause = chain[chain.length - 1];
+	let payload = {
+		name: error?.name,
+		message: ErrorUtil.cleanMessage(error?.message).trim(),
+		stack: rootCause?.stack,
+		inputPath: location?.inputPath ?? (templatePath ? normalizePath(templatePath) : undefined),
+		line: location?.line,
+		column: location?.column,
+		codeFrame: undefined,
+		dataPath,
+		chain: chain.map((ref) => {
+			return {
+				name: ref.name,
+				message: ErrorUtil.cleanMessage(ref.message).trim(),
+				inputPath: ref.inputPath ? normalizePath(ref.inputPath) : undefined,
+				dataPath: ref.dataPath,
+			};
+		}),
+	};
+
+	if (location) {
+		let content = readFile(location.inputPath);
+		if (content !== undefined) {
+			payload.codeFrame = getCodeFrame(content, location.line, location.column);
+		}
+	}
+
+	return payload;
+}
@@ -15,6 +15,11 @@ class GlobalDependencyMap {
 	#map;
 	#templateConfig;
 	#cachedUserConfigurationCollectionApiNames;
+	// Finer-grained dependencies for individual pages of a paginated template (e.g. taxonomy term pages)
+	// template inputPath => { scope: Set, pages: Map(url => { current: Set, previous: Set }) }
+	#pageDependencies = new Map();
+	// Template inputPath => whether its includes are fully known, see `addFileDependencies`
+	#fileDependencies = new Map();
 
 	static isCollection(entry) {
 		return entry.startsWith(this.COLLECTION_PREFIX);
@@ -32,6 +37,8 @@ class GlobalDependencyMap {
 
 	reset() {
 		this.#map = undefined;
+		this.#pageDependencies = new Map();
+		this.#fileDependencies = new Map();
 	}
 
 	setIsEsm(isEsm) {
@@ -374,6 +381,70 @@ class GlobalDependencyMap {
 		this.map.addTemplate(from, consumes, publishes);
 	}
 
+	/**
+	 * Includes and data files used by a template (from `Template->getFileDependencies`)
+	 *
+	 * @param {string} inputPath - Template
+	 * @param {{files: Array<string>, isComplete: boolean}} dependencies - `isComplete` is false when the template may use other includes too
+	 */
+	addFileDependencies(inputPath, { files = [], isComplete = true } = {}) {
+		this.addDependency(inputPath, files);
+		this.#fileDependencies.set(this.normalizeNode(inputPath), isComplete);
+	}
+
+	// Any non-template file may be used by templates with dynamic includes (or template languages we can’t scan)
+	#isUsedByIncompleteTemplate(fullTemplateInputPath, comparisonFile) {
+		return (
+			this.#fileDependencies.get(fullTemplateInputPath) === false &&
+			!this.#fileDependencies.has(comparisonFile)
+		);
+	}
+
+	/**
+	 * @param {string} inputPath - Paginated template
+	 * @param {object} pages - Page url => input paths the page depends on
+	 * @param {Array<string>} scope - Every input path considered for the page dependencies (e.g. the paginated collection)
+	 */
+	setPageDependencies(inputPath, pages = {}, scope = []) {
+		inputPath = this.normalizeNode(inputPath);
+
+		let previous = this.#pageDependencies.get(inputPath);
+		let entry = {
+			scope: new Set(scope.map((node) => this.normalizeNode(node))),
+			pages: new Map(),
+		};
+
+		for (let [url, dependencies] of Object.entries(pages)) {
+			entry.pages.set(url, {
+				current: new Set(dependencies.map((node) => this.normalizeNode(node))),
+				// Templates removed from a page in this build are relevant too
+				previous: previous?.pages.get(url)?.current,
+			});
+		}
+
+		this.#pageDependencies.set(inputPath, entry);
+	}
+
+	isPageRelevantTo(inputPath, url, changedFiles = []) {
+		let entry = this.#pageDependencies.get(this.normalizeNode(inputPath));
+		let page = entry?.pages.get(url);
+
+		// Pages without page dependencies (or new pages) are always relevant
+		if (!page?.previous) {
+			return true;
+		}
+
+		for (let file of changedFiles) {
+			file = this.normalizeNode(file);
+			// Files outside of the scope (layouts, includes, data files, the template itself) are relevant to every page
+			if (!entry.scope.has(file) || page.current.has(file) || page.previous.has(file)) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
 	// Layouts are not relevant to compile cache and can be ignored
 	hasDependency(from, to, includeLayouts) {
 		to = this.normalizeNode(to);
@@ -408,6 +479,10 @@ class GlobalDependencyMap {
 			return true;
 		}
 
+		if (this.#isUsedByIncompleteTemplate(fullTemplateInputPath, comparisonFile)) {
+			return true;
+		}
+
 		return false;
 	}
 
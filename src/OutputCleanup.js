@@ -0,0 +1,170 @@
+import path from "node:path";
+import fs from "node:fs";
+import { TemplatePath, createHashHexSync } from "@11ty/eleventy-utils";
+
+import chalk from "./Adapters/Packages/chalk.js";
+import { isGlobMatch } from "./Util/GlobMatcher.js";
+import { createDebug } from "./Util/DebugLogUtil.js";
+
+const debug = createDebug("OutputCleanup");
+
+/*
+ * Deletes files from the output directory that a previous build wrote (or copied) but the
+ * current build did not. Only files this tool wrote are candidates, files from other tools
+ * are never touched unless they overwrite one of ours (use `ignore` globs for those).
+ */
+class OutputCleanup {
+	#templateConfig;
+	#logger;
+
+	constructor(templateConfig) {
+		if (!templateConfig || templateConfig.constructor.name !== "TemplateConfig") {
+			throw new Error("Internal error: Missing or invalid `templateConfig` argument.");
+		}
+
+		this.#templateConfig = templateConfig;
+	}
+
+	get config() {
+		return this.#templateConfig.getConfig();
+	}
+
+	get options() {
+		return this.config.cleanOrphanedOutput || {};
+	}
+
+	get outputDir() {
+		return this.#templateConfig.directories.output;
+	}
+
+	set logger(logger) {
+		this.#logger = logger;
+	}
+
+	isEnabled() {
+		return Boolean(this.options.enabled);
+	}
+
+	// One file per output directory
+	get statePath() {
+		let key = createHashHexSync(TemplatePath.addLeadingDotSlash(this.outputDir));
+		return path.join(this.options.directory, `outputs-${key}.json`);
+	}
+
+	static normalize(filePath) {
+		return TemplatePath.addLeadingDotSlash(TemplatePath.relativePath(filePath));
+	}
+
+	getPreviousOutputs() {
+		try {
+			return JSON.parse(fs.readFileSync(this.statePath, "utf8"));
+		} catch (e) {
+			debug("No previous outputs found at %o: %o", this.statePath, e.message);
+			return {
+				templates: [],
+				passthroughCopy: [],
+			};
+		}
+	}
+
+	getCurrentOutputs(templateMap, passthroughCopyResults = [], previous, isIncremental = false) {
+		let templates = new Set();
+
+		// All pages in the map, templates skipped by incremental builds still have outputs
+		for (let entry of templateMap?.getMap() || []) {
+			for (let page of entry._pages || []) {
+				let behavior = page.template.behavior;
+				if (page.outputPath && behavior.render && behavior.isWriteable()) {
+					templates.add(OutputCleanup.normalize(page.outputPath));
+				}
+			}
+		}
+
+		// Incremental builds only copy changed passthrough files, so we can’t tell what was removed
+		let passthroughCopy = new Set(isIncremental ? previous?.passthroughCopy : []);
+		for (let result of passthroughCopyResults) {
+			for (let src in result?.map || {}) {
+				passthroughCopy.add(OutputCleanup.normalize(result.map[src]));
+			}
+		}
+
+		return {
+			templates: Array.from(templates),
+			passthroughCopy: Array.from(passthroughCopy),
+		};
+	}
+
+	isIgnored(outputPath) {
+		let ignores = this.options.ignore || [];
+		if (!Array.isArray(ignores)) {
+			ignores = [ignores];
+		}
+
+		let relative = TemplatePath.stripLeadingSubPath(outputPath, this.outputDir);
+		return isGlobMatch(relative, ignores);
+	}
+
+	#removeEmptyDirectories(filePath) {
+		let outputDir = path.resolve(this.outputDir);
+		let dir = path.dirname(path.resolve(filePath));
+		while (dir.startsWith(outputDir) && dir !== outputDir) {
+			if (fs.readdirSync(dir).length > 0) {
+				return;
+			}
+			fs.rmdirSync(dir);
+			dir = path.dirname(dir);
+		}
+	}
+
+	/**
+	 * @param {object} build
+	 * @param {object} build.templateMap
+	 * @param {Array} [build.passthroughCopy] - Results from `TemplatePassthroughManager->copyAll()`
+	 * @param {boolean} [build.isIncremental]
+	 * @returns {Array<string>} Orphaned output paths (deleted unless `dryRun`)
+	 */
+	clean({ templateMap, passthroughCopy, isIncremental } = {}) {
+		let previous = this.getPreviousOutputs();
+		let current = this.getCurrentOutputs(templateMap, passthroughCopy, previous, isIncremental);
+
+		let currentSet = new Set([...current.templates, ...current.passthroughCopy]);
+		let orphans = [...previous.templates, ...previous.passthroughCopy].filter((outputPath) => {
+			if (currentSet.has(outputPath) || this.isIgnored(outputPath)) {
+				return false;
+			}
+
+			// Skip paths that no longer exist or are now a directory (e.g. a passthrough copy directory)
+			return Boolean(fs.statSync(outputPath, { throwIfNoEntry: false })?.isFile());
+		});
+
+		for (let outputPath of orphans) {
+			if (this.options.dryRun) {
+				this.#logger?.log(`Would delete ${outputPath} ${chalk.gray("(orphaned output, dry run)")}`);
+				continue;
+			}
+
+			this.#logger?.log(`Deleting ${outputPath} ${chalk.gray("(orphaned output)")}`);
+			fs.rmSync(outputPath);
+			this.#removeEmptyDirectories(outputPath);
+		}
+
+		// Dry run keeps orphans in the list so they show up again next time
+		if (this.options.dryRun) {
+			let previousTemplates = new Set(previous.templates);
+			for (let outputPath of orphans) {
+				if (previousTemplates.has(outputPath)) {
+					current.templates.push(outputPath);
+				} else {
+					current.passthroughCopy.push(outputPath);
+				}
+			}
+		}
+
+		fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+		fs.writeFileSync(this.statePath, JSON.stringify(current));
+
+		return orphans;
+	}
+}
+
+export default OutputCleanup;
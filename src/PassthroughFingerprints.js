@@ -0,0 +1,136 @@
+import path from "node:path";
+import fs from "node:fs";
+import { TemplatePath, createHashHexSync } from "@11ty/eleventy-utils";
+
+import { createDebug } from "./Util/DebugLogUtil.js";
+
+const debug = createDebug("PassthroughFingerprints");
+
+/*
+ * Content hashes for passthrough copy entries added with `{ hash: true }`. Hashes are computed
+ * before templates render so that output URLs can be rewritten (and used via `hashedUrl`)
+ * while the files are still being copied.
+ */
+class PassthroughFingerprints {
+	static HASH_LENGTH = 10;
+
+	#templateConfig;
+	// input file path => { outputPath, hashedOutputPath }
+	#files = new Map();
+	// passthrough input path (file, directory, or glob) => file entries
+	#entries = new Map();
+	// original URL => hashed URL
+	#urls = new Map();
+
+	constructor(templateConfig) {
+		if (!templateConfig || templateConfig.constructor.name !== "TemplateConfig") {
+			throw new Error("Internal error: Missing or invalid `templateConfig` argument.");
+		}
+
+		this.#templateConfig = templateConfig;
+	}
+
+	get outputDir() {
+		return this.#templateConfig.directories.output;
+	}
+
+	// `css/style.css` => `css/style.1a2b3c4d5e.css`
+	static getHashedFilePath(filePath, hash) {
+		let { dir, name, ext } = path.parse(filePath);
+		return TemplatePath.join(dir, `${name}.${hash}${ext}`);
+	}
+
+	static getHash(filePath) {
+		return createHashHexSync(fs.readFileSync(filePath)).slice(
+			0,
+			PassthroughFingerprints.HASH_LENGTH,
+		);
+	}
+
+	reset() {
+		this.#files = new Map();
+		this.#entries = new Map();
+		this.#urls = new Map();
+	}
+
+	getUrl(outputPath) {
+		let relative = TemplatePath.stripLeadingSubPath(outputPath, this.outputDir);
+		return "/" + encodeURI(TemplatePath.stripLeadingDotSlash(relative));
+	}
+
+	// Expands directories into files
+	static getFiles(inputPath, outputPath) {
+		if (!fs.statSync(inputPath).isDirectory()) {
+			return [{ inputPath, outputPath }];
+		}
+
+		return fs
+			.readdirSync(inputPath, { recursive: true, withFileTypes: true })
+			.filter((entry) => entry.isFile())
+			.map((entry) => {
+				let relative = path.relative(inputPath, path.join(entry.parentPath, entry.name));
+				return {
+					inputPath: TemplatePath.addLeadingDotSlash(TemplatePath.join(inputPath, relative)),
+					outputPath: TemplatePath.join(outputPath, relative),
+				};
+			});
+	}
+
+	/**
+	 * @param {Array<import("./TemplatePassthrough.js").default>} passthroughs - entries with `hash: true`
+	 */
+	async generate(passthroughs = []) {
+		this.reset();
+
+		for (let pass of passthroughs) {
+			let entries = [];
+			for (let entry of await pass.getFileMap()) {
+				for (let file of PassthroughFingerprints.getFiles(entry.inputPath, entry.outputPath)) {
+					let hashedOutputPath = PassthroughFingerprints.getHashedFilePath(
+						file.outputPath,
+						PassthroughFingerprints.getHash(file.inputPath),
+					);
+					let record = {
+						inputPath: file.inputPath,
+						outputPath: file.outputPath,
+						hashedOutputPath,
+					};
+
+					entries.push(record);
+					this.#files.set(file.inputPath, record);
+					this.#urls.set(this.getUrl(file.outputPath), this.getUrl(hashedOutputPath));
+				}
+			}
+
+			this.#entries.set(pass.inputPath, entries);
+		}
+
+		debug("Generated %o passthrough copy fingerprints", this.#files.size);
+	}
+
+	// Maps input files to hashed output paths for a `TemplatePassthrough` instance
+	getFileMap(inputPath) {
+		return (this.#entries.get(inputPath) || []).map(({ inputPath, hashedOutputPath }) => {
+			return {
+				inputPath,
+				outputPath: hashedOutputPath,
+			};
+		});
+	}
+
+	// keys: original URL, values: hashed URL
+	getUrlMap() {
+		return Object.fromEntries(this.#urls);
+	}
+
+	// keys: input file path, values: hashed URL
+	getInputPathMap() {
+		let map = {};
+		for (let [inputPath, { hashedOutputPath }] of this.#files) {
+			map[inputPath] = this.getUrl(hashedOutputPath);
+		}
+		return map;
+	}
+}
+
+export default PassthroughFingerprints;
@@ -0,0 +1,283 @@
+import { readFileSync } from "node:fs";
+import matter from "@11ty/gray-matter";
+import { TemplatePath, isPlainObject, DeepCopy } from "@11ty/eleventy-utils";
+
+import TemplateRender from "../TemplateRender.js";
+import BaseError from "../Errors/BaseError.js";
+import { createDebug } from "../Util/DebugLogUtil.js";
+
+const debug = createDebug("ComponentsPlugin");
+
+class ComponentError extends BaseError {}
+
+const SLOT_NAME_REGEX = /^[\w-]+$/;
+const SLOT_MARKER_REGEX = /<!--buildawesome:slot ([\w-]+)-->([\s\S]*?)<!--\/buildawesome:slot-->/g;
+
+// Inline only, `<style>` and `<script>` without a `src` attribute
+const BUNDLE_TAGS = {
+	css: /<style(?:\s[^>]*)?>([\s\S]*?)<\/style>/gi,
+	js: /<script(?![^>]*\ssrc=)(?:\s[^>]*)?>([\s\S]*?)<\/script>/gi,
+};
+
+const PROP_TYPES = {
+	string: (value) => typeof value === "string",
+	number: (value) => typeof value === "number" && !Number.isNaN(value),
+	boolean: (value) => typeof value === "boolean",
+	array: (value) => Array.isArray(value),
+	object: (value) => isPlainObject(value),
+	date: (value) => value instanceof Date,
+	any: () => true,
+};
+
+function getSlotMarkup(name, content) {
+	return `<!--buildawesome:slot ${name}-->${content}<!--/buildawesome:slot-->`;
+}
+
+// Named slots are removed from the component’s content, the remainder is the default slot
+function getSlots(content = "") {
+	let slots = {};
+	let remainder = String(content).replace(SLOT_MARKER_REGEX, (match, name, slotContent) => {
+		slots[name] = (slots[name] || "") + slotContent;
+		return "";
+	});
+	slots.default = remainder.trim();
+	return slots;
+}
+
+// Nunjucks and 11ty.js pass an object, Liquid passes alternating `key, value` arguments
+function getProps(name, args) {
+	if (args.length === 0 || args[0] === undefined) {
+		return {};
+	}
+	if (args.length === 1 && isPlainObject(args[0])) {
+		return Object.assign({}, args[0]);
+	}
+	if (args.length % 2 !== 0) {
+		throw new ComponentError(
+			`Invalid props passed to component "${name}": expected an object or \`key, value\` pairs.`,
+		);
+	}
+
+	let props = {};
+	for (let j = 0; j < args.length; j += 2) {
+		props[args[j]] = args[j + 1];
+	}
+	return props;
+}
+
+// `title: string` or `title: { type: string, required: true, default: "Untitled" }`
+function normalizePropSchema(schema, componentPath) {
+	if (!schema) {
+		return;
+	}
+	if (!isPlainObject(schema)) {
+		throw new ComponentError(
+			`Invalid \`props\` front matter in component ${componentPath}: expected an object.`,
+		);
+	}
+
+	let normalized = {};
+	for (let [propName, definition] of Object.entries(schema)) {
+		if (typeof definition === "string") {
+			definition = { type: definition };
+		}
+		let type = definition?.type || "any";
+		if (!PROP_TYPES[type]) {
+			throw new ComponentError(
+				`Invalid type for prop \`${propName}\` in component ${componentPath}: ${type}. Expected one of: ${Object.keys(PROP_TYPES).join(", ")}`,
+			);
+		}
+		normalized[propName] = {
+			type,
+			required: !!definition.required,
+			default: definition.default,
+		};
+	}
+	return normalized;
+}
+
+function validateProps(props, schema, componentPath) {
+	if (!schema) {
+		return props;
+	}
+
+	for (let propName in props) {
+		if (!schema[propName]) {
+			throw new ComponentError(
+				`Unknown prop \`${propName}\` passed to component ${componentPath}. Expected one of: ${Object.keys(schema).join(", ")}`,
+			);
+		}
+	}
+
+	for (let [propName, { type, required, default: defaultValue }] of Object.entries(schema)) {
+		if (props[propName] === undefined) {
+			if (defaultValue !== undefined) {
+				props[propName] = structuredClone(defaultValue);
+			} else if (required) {
+				throw new ComponentError(
+					`Missing required prop \`${propName}\` for component ${componentPath}.`,
+				);
+			}
+			continue;
+		}
+
+		if (!PROP_TYPES[type](props[propName])) {
+			throw new ComponentError(
+				`Invalid prop \`${propName}\` passed to component ${componentPath}: expected ${type}, received ${JSON.stringify(props[propName])}.`,
+			);
+		}
+	}
+
+	return props;
+}
+
+/**
+ * Reusable components with props and slots, usable from any template language that supports paired shortcodes.
+ * Components are files in the components directory (relative to the input directory), e.g. `_components/card.njk`.
+ *
+ * @param {module:11ty/eleventy/UserConfig} eleventyConfig - User-land configuration instance.
+ * @param {object} defaultOptions - Plugin options
+ */
+function ComponentsPlugin(eleventyConfig, defaultOptions = {}) {
+	let opts = DeepCopy(
+		{
+			dir: "_components",
+			tagName: "component",
+			slotTagName: "slot",
+			// Bundle plugin bucket for extracted `<style>` and `<script>` (override per component in front matter)
+			bucket: undefined,
+		},
+		defaultOptions,
+	);
+
+	let templateConfig;
+	eleventyConfig.on("buildawesome.config", (tmplConfigInstance) => {
+		templateConfig = tmplConfigInstance;
+	});
+
+	let extensionMap;
+	eleventyConfig.on("buildawesome.extensionmap", (map) => {
+		extensionMap = map;
+	});
+
+	let componentsDir = TemplatePath.addLeadingDotSlash(
+		TemplatePath.join(eleventyConfig.directories.input, opts.dir),
+	);
+
+	// Components are not templates
+	eleventyConfig.ignores.add(`${componentsDir}/**`);
+
+	// componentPath => { schema, bucket, render }
+	let cache = new Map();
+	eleventyConfig.on("buildawesome.before", () => {
+		cache.clear();
+	});
+
+	function getComponentPath(name) {
+		if (typeof name !== "string" || !name) {
+			throw new ComponentError(
+				`Missing component name passed to the \`${opts.tagName}\` shortcode. Received: ${name}`,
+			);
+		}
+
+		for (let filePath of extensionMap.getFileList(name, componentsDir)) {
+			if (templateConfig.existsCache.exists(filePath)) {
+				return filePath;
+			}
+		}
+
+		throw new ComponentError(
+			`Could not find component "${name}" in ${componentsDir} for the \`${opts.tagName}\` shortcode.`,
+		);
+	}
+
+	async function getComponent(componentPath) {
+		if (!cache.has(componentPath)) {
+			cache.set(
+				componentPath,
+				(async () => {
+					debug("Compiling component %o", componentPath);
+					let { data, content } = matter(readFileSync(componentPath, "utf8"));
+
+					let tr = new TemplateRender(componentPath, templateConfig);
+					tr.extensionMap = extensionMap;
+					await tr.init();
+
+					return {
+						schema: normalizePropSchema(data.props, componentPath),
+						bucket: data.bucket,
+						render: await tr.getCompiledTemplate(
+							tr.engine.needsToReadFileContents() ? content : null,
+						),
+					};
+				})(),
+			);
+		}
+		return cache.get(componentPath);
+	}
+
+	function addToBundles(content, url, bucket) {
+		let managers = eleventyConfig.getBundleManagers?.() || {};
+		for (let [bundleName, regex] of Object.entries(BUNDLE_TAGS)) {
+			let manager = managers[bundleName];
+			if (!manager) {
+				// No bundle, leave the markup as-is
+				continue;
+			}
+
+			content = content.replace(regex, (match, code) => {
+				manager.addToPage(url, code, bucket);
+				return "";
+			});
+		}
+		return content;
+	}
+
+	eleventyConfig.addPairedShortcode(opts.slotTagName, function (content, name) {
+		if (typeof name !== "string" || !SLOT_NAME_REGEX.test(name)) {
+			throw new ComponentError(
+				`Invalid slot name passed to the \`${opts.slotTagName}\` shortcode: ${name}. Use letters, numbers, underscores, or dashes.`,
+			);
+		}
+		return getSlotMarkup(name, content);
+	});
+
+	/** @this {object} */
+	async function componentShortcode(content, name, ...args) {
+		let componentPath = getComponentPath(name);
+		let component = await getComponent(componentPath);
+		let props = validateProps(getProps(name, args), component.schema, componentPath);
+		let slots = getSlots(content);
+
+		// Incremental builds re-render templates using a changed component
+		if (this.page?.inputPath) {
+			templateConfig.usesGraph.addDependency(this.page.inputPath, [componentPath]);
+		}
+
+		let output = await component.render({
+			...props,
+			props,
+			slots,
+			content: slots.default,
+			page: this.page,
+			eleventy: this.eleventy,
+			buildawesome: this.buildawesome,
+		});
+
+		return addToBundles(String(output ?? ""), this.page?.url, component.bucket || opts.bucket);
+	}
+
+	eleventyConfig.addPairedShortcode(opts.tagName, componentShortcode);
+}
+
+Object.defineProperty(ComponentsPlugin, "eleventyPackage", {
+	value: "@11ty/eleventy/components-plugin",
+});
+
+Object.defineProperty(ComponentsPlugin, "eleventyPluginOptions", {
+	value: {
+		unique: true,
+	},
+});
+
+export default ComponentsPlugin;
@@ -0,0 +1,246 @@
+import { DeepCopy } from "@11ty/eleventy-utils";
+
+import { applyBaseToUrl } from "./HtmlBasePlugin.js";
+import { HtmlTransformer } from "../Util/HtmlTransformer.js";
+import { isValidUrl } from "../Util/UrlUtil.js";
+import escapeXml from "../Util/EscapeXml.js";
+
+const TYPES = {
+	atom: {
+		outputPath: "/feed.xml",
+		render: renderAtom,
+	},
+	rss: {
+		outputPath: "/feed.xml",
+		render: renderRss,
+	},
+	json: {
+		outputPath: "/feed.json",
+		render: renderJson,
+	},
+};
+
+function renderAtom(feed) {
+	let { metadata } = feed;
+	let xml = [
+		`<?xml version="1.0" encoding="utf-8"?>`,
+		`<feed xmlns="http://www.w3.org/2005/Atom"${feed.lang ? ` xml:lang="${escapeXml(feed.lang)}"` : ""}>`,
+		`<title>${escapeXml(metadata.title)}</title>`,
+	];
+	if (metadata.subtitle) {
+		xml.push(`<subtitle>${escapeXml(metadata.subtitle)}</subtitle>`);
+	}
+	xml.push(
+		`<link href="${escapeXml(feed.url)}" rel="self"/>`,
+		`<link href="${escapeXml(feed.homeUrl)}"/>`,
+	);
+	if (feed.updated) {
+		xml.push(`<updated>${feed.updated.toISOString()}</updated>`);
+	}
+	xml.push(`<id>${escapeXml(feed.homeUrl)}</id>`);
+	if (metadata.author?.name) {
+		xml.push(
+			`<author><name>${escapeXml(metadata.author.name)}</name>${metadata.author.email ? `<email>${escapeXml(metadata.author.email)}</email>` : ""}</author>`,
+		);
+	}
+	for (let item of feed.items) {
+		xml.push(
+			`<entry>`,
+			`<title>${escapeXml(item.title)}</title>`,
+			`<link href="${escapeXml(item.url)}"/>`,
+			`<updated>${item.date.toISOString()}</updated>`,
+			`<id>${escapeXml(item.url)}</id>`,
+			`<content type="html">${escapeXml(item.content)}</content>`,
+			`</entry>`,
+		);
+	}
+	xml.push(`</feed>`);
+	return xml.join("\n") + "\n";
+}
+
+function renderRss(feed) {
+	let { metadata } = feed;
+	let xml = [
+		`<?xml version="1.0" encoding="utf-8"?>`,
+		`<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">`,
+		`<channel>`,
+		`<title>${escapeXml(metadata.title)}</title>`,
+		`<link>${escapeXml(feed.homeUrl)}</link>`,
+		`<atom:link href="${escapeXml(feed.url)}" rel="self" type="application/rss+xml"/>`,
+		`<description>${escapeXml(metadata.subtitle || "")}</description>`,
+	];
+	if (feed.lang) {
+		xml.push(`<language>${escapeXml(feed.lang)}</language>`);
+	}
+	for (let item of feed.items) {
+		xml.push(
+			`<item>`,
+			`<title>${escapeXml(item.title)}</title>`,
+			`<link>${escapeXml(item.url)}</link>`,
+			`<description>${escapeXml(item.content)}</description>`,
+			`<pubDate>${item.date.toUTCString()}</pubDate>`,
+			`<guid>${escapeXml(item.url)}</guid>`,
+			`</item>`,
+		);
+	}
+	xml.push(`</channel>`, `</rss>`);
+	return xml.join("\n") + "\n";
+}
+
+function renderJson(feed) {
+	let { metadata } = feed;
+	let json = {
+		version: "https://jsonfeed.org/version/1.1",
+		title: metadata.title,
+		language: feed.lang || undefined,
+		home_page_url: feed.homeUrl,
+		feed_url: feed.url,
+		description: metadata.subtitle,
+		authors: metadata.author?.name
+			? [{ name: metadata.author.name, url: metadata.author.url }]
+			: undefined,
+		items: feed.items.map((item) => ({
+			id: item.url,
+			url: item.url,
+			title: item.title,
+			content_html: item.content,
+			date_published: item.date.toISOString(),
+		})),
+	};
+	return JSON.stringify(json, null, 2) + "\n";
+}
+
+function getFeedDate(entry) {
+	let date = entry.date instanceof Date ? entry.date : new Date(entry.date);
+	return isNaN(date.getTime()) ? new Date(0) : date;
+}
+
+function FeedPlugin(eleventyConfig, defaultOptions = {}) {
+	if (typeof defaultOptions.collection === "string") {
+		defaultOptions = Object.assign({}, defaultOptions, {
+			collection: { name: defaultOptions.collection },
+		});
+	}
+
+	let opts = DeepCopy(
+		{
+			type: "atom", // "rss", "json"
+			collection: {
+				name: undefined, // or pass the collection name as a string
+				limit: 0, // 0 for all entries
+			},
+			outputPath: undefined, // defaults to `/feed.xml` or `/feed.json`
+			// One feed per language (`page.lang` via the I18n plugin) at `/{lang}{outputPath}`
+			i18n: false,
+			metadata: {
+				title: undefined,
+				subtitle: undefined,
+				language: undefined,
+				// Absolute URL of the site (`pathPrefix` is added to the pathname as in the HTML `<base>` plugin)
+				base: undefined,
+				author: {},
+			},
+		},
+		defaultOptions,
+	);
+
+	if (!TYPES[opts.type]) {
+		throw new Error(
+			`Invalid \`type\` in the Feed plugin: ${opts.type}. Expected one of: ${Object.keys(TYPES).join(", ")}`,
+		);
+	}
+	if (!opts.collection?.name) {
+		throw new Error("The `collection` option (a collection name) is required in the Feed plugin.");
+	}
+	if (!isValidUrl(opts.metadata?.base)) {
+		throw new Error(
+			`The \`metadata.base\` option in the Feed plugin must be an absolute URL (e.g. https://example.com/). Received: ${opts.metadata?.base}`,
+		);
+	}
+
+	let { render, outputPath: defaultOutputPath } = TYPES[opts.type];
+	let outputPath = opts.outputPath || defaultOutputPath;
+
+	function getAbsoluteUrl(url) {
+		return applyBaseToUrl(url, opts.metadata.base, {
+			pathPrefix: eleventyConfig.pathPrefix,
+		});
+	}
+
+	// Relative URLs in content are resolved against the entry URL
+	async function getAbsoluteContent(content, pageUrl) {
+		return HtmlTransformer.transformStandalone(content || "", (url, htmlContext) => {
+			return applyBaseToUrl(url.trim(), opts.metadata.base, {
+				pathPrefix: eleventyConfig.pathPrefix,
+				pageUrl,
+				htmlContext,
+			});
+		});
+	}
+
+	// One paginated template: one feed, or one feed per language
+	function getFeeds(entries) {
+		entries = entries.filter((entry) => entry.url).sort((a, b) => getFeedDate(b) - getFeedDate(a));
+
+		let groups = new Map();
+		for (let entry of entries) {
+			let lang = (opts.i18n && entry.data?.page?.lang) || "";
+			if (!groups.has(lang)) {
+				groups.set(lang, []);
+			}
+			groups.get(lang).push(entry);
+		}
+		if (groups.size === 0) {
+			groups.set("", []);
+		}
+
+		return Array.from(groups.entries())
+			.sort(([a], [b]) => a.localeCompare(b))
+			.map(([lang, entries]) => ({
+				lang,
+				permalink: lang ? `/${lang}${outputPath}` : outputPath,
+				entries: opts.collection.limit > 0 ? entries.slice(0, opts.collection.limit) : entries,
+			}));
+	}
+
+	let slug = `${opts.type}-${opts.collection.name}-${outputPath}`.replace(/[^a-z0-9-]+/gi, "-");
+	eleventyConfig.addTemplate(`buildawesome-feed-${slug}.11ty.js`, {
+		data: {
+			layout: false,
+			eleventyExcludeFromCollections: true,
+			pagination: {
+				data: `collections.${opts.collection.name}`,
+				size: 1,
+				alias: "buildawesomeFeed",
+				before: getFeeds,
+			},
+			permalink: (data) => data.buildawesomeFeed.permalink,
+		},
+		async render({ buildawesomeFeed: feed }) {
+			let items = [];
+			for (let entry of feed.entries) {
+				items.push({
+					title: entry.data?.title || "",
+					url: getAbsoluteUrl(entry.url),
+					date: getFeedDate(entry),
+					content: await getAbsoluteContent(entry.templateContent, entry.url),
+				});
+			}
+
+			return render({
+				metadata: opts.metadata,
+				lang: feed.lang || opts.metadata.language,
+				url: getAbsoluteUrl(feed.permalink),
+				homeUrl: getAbsoluteUrl(feed.lang ? `/${feed.lang}/` : "/"),
+				updated: items[0]?.date,
+				items,
+			});
+		},
+	});
+}
+
+Object.defineProperty(FeedPlugin, "eleventyPackage", {
+	value: "@11ty/eleventy/feed-plugin",
+});
+
+export default FeedPlugin;
@@ -1,6 +1,13 @@
+import path from "node:path";
+import fs from "node:fs";
 import { bcp47Normalize } from "bcp-47-normalize";
 import iso639 from "iso-639-1";
-import { DeepCopy } from "@11ty/eleventy-utils";
+import { DeepCopy, TemplatePath } from "@11ty/eleventy-utils";
+
+import { applyBaseToUrl } from "./HtmlBasePlugin.js";
+import { isValidUrl } from "../Util/UrlUtil.js";
+
+const HREFLANG_POSTHTML_PLUGIN_NAME = "awesome.me/buildawesome/i18n-hreflang";
 
 // pathPrefix note:
 // When using `locale_url` filter with the `url` filter, `locale_url` must run first like
@@ -68,6 +75,177 @@ class Comparator {
 	}
 }
 
+/*
+ * Message catalogs, one file per language in the dictionaries directory: `_data/i18n/en.json`,
+ * `_data/i18n/es.yaml` (any data extension added with `addDataExtension` is supported).
+ *
+ * Messages are strings with `{name}` placeholders or plural objects keyed by `Intl.PluralRules`
+ * categories (`zero`, `one`, `two`, `few`, `many`, `other`) or exact counts (`=0`), selected with
+ * the `count` value.
+ */
+class Translations {
+	#dictionaries = {};
+	#pluralRules = new Map();
+	// lang => Set of missing keys
+	#missing = new Map();
+
+	constructor(options = {}) {
+		this.defaultLanguage = options.defaultLanguage;
+		this.errorMode = options.errorMode;
+	}
+
+	static getKeyValue(dictionary, key) {
+		if (!dictionary) {
+			return;
+		}
+		if (key in dictionary) {
+			return dictionary[key];
+		}
+
+		// Nested keys: `nav.home`
+		let value = dictionary;
+		for (let segment of key.split(".")) {
+			value = value?.[segment];
+		}
+		return value;
+	}
+
+	static interpolate(message, values = {}) {
+		return String(message).replace(/\{\s*([\w.-]+)\s*\}/g, (match, name) => {
+			return name in values ? values[name] : match;
+		});
+	}
+
+	static parseFile(filePath, dataExtensions) {
+		let ext = path.extname(filePath).slice(1);
+		if (ext === "json") {
+			return JSON.parse(fs.readFileSync(filePath, "utf8"));
+		}
+
+		let { parser, options = {} } = dataExtensions?.get(ext) || {};
+		if (!parser) {
+			return;
+		}
+		if (options.read === false) {
+			return parser(filePath, filePath);
+		}
+		return parser(fs.readFileSync(filePath, options.encoding || "utf8"), filePath);
+	}
+
+	async load(dir, dataExtensions) {
+		this.#dictionaries = {};
+
+		if (!dir || !fs.existsSync(dir)) {
+			return;
+		}
+
+		for (let filename of fs.readdirSync(dir).sort()) {
+			let lang = path.parse(filename).name;
+			if (!Comparator.isLangCode(lang)) {
+				continue;
+			}
+
+			let dictionary = await Translations.parseFile(
+				TemplatePath.join(dir, filename),
+				dataExtensions,
+			);
+			if (dictionary) {
+				this.#dictionaries[lang] = Object.assign(this.#dictionaries[lang] || {}, dictionary);
+			}
+		}
+	}
+
+	setDictionaries(dictionaries = {}) {
+		this.#dictionaries = dictionaries;
+	}
+
+	getPluralRules(lang) {
+		if (!this.#pluralRules.has(lang)) {
+			this.#pluralRules.set(lang, new Intl.PluralRules(lang));
+		}
+		return this.#pluralRules.get(lang);
+	}
+
+	// `en-us` => `en-us`, `en`
+	static getLanguageChain(lang) {
+		let chain = [lang];
+		let [base] = lang.split("-");
+		if (base !== lang) {
+			chain.push(base);
+		}
+		return chain;
+	}
+
+	#find(key, lang) {
+		for (let code of Translations.getLanguageChain(lang)) {
+			let value = Translations.getKeyValue(this.#dictionaries[code], key);
+			if (value !== undefined) {
+				return { value, lang: code };
+			}
+		}
+	}
+
+	#addMissing(lang, key) {
+		if (!this.#missing.has(lang)) {
+			this.#missing.set(lang, new Set());
+		}
+		this.#missing.get(lang).add(key);
+	}
+
+	resetMissing() {
+		this.#missing = new Map();
+	}
+
+	// lang => sorted array of missing keys
+	getMissing() {
+		let missing = {};
+		for (let lang of Array.from(this.#missing.keys()).sort()) {
+			missing[lang] = Array.from(this.#missing.get(lang)).sort();
+		}
+		return missing;
+	}
+
+	select(message, values, lang) {
+		if (typeof message !== "object" || message === null) {
+			return message;
+		}
+
+		let count = Number(values.count);
+		if (`=${count}` in message) {
+			return message[`=${count}`];
+		}
+		let category = this.getPluralRules(lang).select(count);
+		return category in message ? message[category] : message.other;
+	}
+
+	translate(key, values = {}, lang = this.defaultLanguage) {
+		let found = this.#find(key, lang);
+
+		if (!found) {
+			this.#addMissing(lang, key);
+
+			let fallback = lang !== this.defaultLanguage && this.#find(key, this.defaultLanguage);
+			if (fallback) {
+				if (this.errorMode === "strict") {
+					throw new Error(
+						`Translation for key \`${key}\` was not found in the \`${lang}\` dictionary. You can fall back to the default language (${this.defaultLanguage}) using the \`errorMode\` option in the I18N plugin (current value: "${this.errorMode}").`,
+					);
+				}
+				found = fallback;
+			} else if (this.errorMode !== "never") {
+				throw new Error(
+					`Translation for key \`${key}\` was not found in the \`${lang}\` or default language (${this.defaultLanguage}) dictionaries. You can bypass this error using the \`errorMode\` option in the I18N plugin (current value: "${this.errorMode}").`,
+				);
+			} else {
+				return key;
+			}
+		}
+
+		let message = this.select(found.value, values, found.lang);
+		return Translations.interpolate(message, values);
+	}
+}
+
 function normalizeInputPath(inputPath, extensionMap) {
 	if (extensionMap) {
 		return extensionMap.removeTemplateExtension(inputPath);
@@ -154,15 +332,71 @@ function getLocaleUrlsMap(urlToInputPath, extensionMap, options = {}) {
 	return urlMap;
 }
 
+// Localized pages (with a language code in the input path or URL) grouped by language code
+function getLocalizedUrls(urlToInputPath) {
+	let urls = {};
+	for (let url in urlToInputPath) {
+		let langCode =
+			LangUtils.getLanguageCodeFromInputPath(urlToInputPath[url].inputPath) ||
+			LangUtils.getLanguageCodeFromUrl(url);
+		if (langCode) {
+			if (!urls[langCode]) {
+				urls[langCode] = [];
+			}
+			urls[langCode].push(url);
+		}
+	}
+	return urls;
+}
+
+/*
+ * Output: {
+ *   '/en/about/': [ 'es' ]
+ * }
+ */
+function getMissingTranslations(urlToInputPath, localeUrlsMap, defaultLanguage) {
+	let localizedUrls = getLocalizedUrls(urlToInputPath);
+	let langCodes = Object.keys(localizedUrls).sort();
+
+	let missing = {};
+	for (let url of localizedUrls[defaultLanguage] || []) {
+		let existing = new Set((localeUrlsMap[url] || []).map((entry) => entry.lang));
+		let missingLangCodes = langCodes.filter((langCode) => !existing.has(langCode));
+		if (missingLangCodes.length > 0) {
+			missing[url] = missingLangCodes;
+		}
+	}
+	return missing;
+}
+
 function I18nPlugin(eleventyConfig, opts = {}) {
+	// `hreflang: true` would be merged away by the object default
+	if (typeof opts.hreflang === "boolean") {
+		opts = Object.assign({}, opts, { hreflang: { enabled: opts.hreflang } });
+	}
+
 	let options = DeepCopy(
 		{
 			defaultLanguage: "",
 			filters: {
 				url: "locale_url",
 				links: "locale_links",
+				// Filter and shortcode
+				translate: "t",
 			},
 			errorMode: "strict", // allow-fallback, never
+			// Message catalogs directory (relative to the data directory), `false` to disable
+			dictionaries: "i18n",
+			// Adds `<link rel="alternate" hreflang>` elements to `<head>`, pass `true` or an object
+			hreflang: {
+				enabled: false,
+				// Absolute URL of the site for absolute `href` values (otherwise URLs are relative)
+				base: undefined,
+				// Adds `hreflang="x-default"` for the `defaultLanguage` URL
+				xDefault: true,
+			},
+			// Warn when a page in the `defaultLanguage` is missing in other languages
+			warnOnMissingPages: false,
 		},
 		opts,
 	);
@@ -173,6 +407,12 @@ function I18nPlugin(eleventyConfig, opts = {}) {
 		);
 	}
 
+	if (options.hreflang.base && !isValidUrl(options.hreflang.base)) {
+		throw new Error(
+			`The \`hreflang.base\` option in Eleventy’s Internationalization (I18N) plugin must be an absolute URL (e.g. https://example.com/). Received: ${options.hreflang.base}`,
+		);
+	}
+
 	let extensionMap;
 	eleventyConfig.on("buildawesome.extensionmap", (map) => {
 		extensionMap = map;
@@ -188,8 +428,79 @@ function I18nPlugin(eleventyConfig, opts = {}) {
 
 		contentMaps.localeUrlsMap = getLocaleUrlsMap(urlToInputPath, extensionMap, options);
 		b.after();
+
+		if (options.warnOnMissingPages) {
+			let missing = Object.entries(
+				getMissingTranslations(urlToInputPath, contentMaps.localeUrlsMap, options.defaultLanguage),
+			);
+			if (missing.length > 0) {
+				eleventyConfig.logger?.warn(
+					`Missing localized pages (I18N plugin):\n${missing.map(([url, langCodes]) => `  ${url} (${urlToInputPath[url].inputPath}): ${langCodes.join(", ")}`).join("\n")}`,
+				);
+			}
+		}
 	});
 
+	if (options.hreflang.enabled) {
+		function getHref(url) {
+			if (!options.hreflang.base) {
+				// pathPrefix is added by the HTML `<base>` plugin
+				return url;
+			}
+			return applyBaseToUrl(url, options.hreflang.base, {
+				pathPrefix: eleventyConfig.pathPrefix,
+			});
+		}
+
+		function getAlternateLinks(url) {
+			let entries = (contentMaps.localeUrlsMap?.[url] || []).filter((entry) => entry.lang);
+			if (entries.length < 2) {
+				return [];
+			}
+
+			let links = entries.map(({ lang, url }) => ({ hreflang: lang, href: getHref(url) }));
+			let defaultEntry = entries.find((entry) => entry.lang === options.defaultLanguage);
+			if (options.hreflang.xDefault && defaultEntry) {
+				links.push({ hreflang: "x-default", href: getHref(defaultEntry.url) });
+			}
+			return links;
+		}
+
+		eleventyConfig.htmlTransformer.addPosthtmlPlugin(
+			"html",
+			function hreflangPosthtmlPlugin(pluginOptions = {}) {
+				let links = getAlternateLinks(pluginOptions.page?.url);
+
+				return function (tree) {
+					if (links.length === 0) {
+						return;
+					}
+
+					tree.match({ tag: "head" }, function (node) {
+						node.content = node.content || [];
+
+						// Skip pages with existing alternate links
+						let hasAlternates = node.content.some((child) => {
+							return (
+								child?.tag === "link" && child.attrs?.rel === "alternate" && child.attrs?.hreflang
+							);
+						});
+						if (!hasAlternates) {
+							for (let attrs of links) {
+								node.content.push({ tag: "link", attrs: { rel: "alternate", ...attrs } }, "\n");
+							}
+						}
+
+						return node;
+					});
+				};
+			},
+			{
+				name: HREFLANG_POSTHTML_PLUGIN_NAME,
+			},
+		);
+	}
+
 	eleventyConfig.addGlobalData("eleventyComputed.page.lang", () => {
 		// if addGlobalData receives a function it will execute it immediately,
 		// so we return a nested function for computed data
@@ -249,6 +560,40 @@ function I18nPlugin(eleventyConfig, opts = {}) {
 		return url;
 	});
 
+	if (options.dictionaries) {
+		let translations = new Translations(options);
+
+		eleventyConfig.on("buildawesome.before", async function ({ directories }) {
+			translations.resetMissing();
+			await translations.load(
+				TemplatePath.join(directories.data, options.dictionaries),
+				eleventyConfig.dataExtensions,
+			);
+		});
+
+		eleventyConfig.on("buildawesome.after", function () {
+			let missing = Object.entries(translations.getMissing());
+			if (missing.length > 0) {
+				eleventyConfig.logger?.warn(
+					`Missing translations (I18N plugin):\n${missing.map(([lang, keys]) => `  ${lang}: ${keys.join(", ")}`).join("\n")}`,
+				);
+			}
+		});
+
+		// Usage: `{{ "greeting" | t({ name: "Zach" }) }}` or `{% t "items", { count: 2 } %}`
+		function translate(key, values, langCodeOverride) {
+			let langCode =
+				langCodeOverride ||
+				LangUtils.getLanguageCodeFromUrl(this.page?.url) ||
+				options.defaultLanguage;
+
+			return translations.translate(key, values, langCode);
+		}
+
+		eleventyConfig.addFilter(options.filters.translate, translate);
+		eleventyConfig.addShortcode(options.filters.translate, translate);
+	}
+
 	// Refactor to use url
 	// Find the links that are localized alternates to the inputPath argument
 	eleventyConfig.addFilter(options.filters.links, function (urlOverride) {
@@ -302,7 +647,7 @@ function I18nPlugin(eleventyConfig, opts = {}) {
 	);
 }
 
-export { Comparator, LangUtils };
+export { Comparator, LangUtils, Translations };
 
 Object.defineProperty(I18nPlugin, "eleventyPackage", {
 	value: "@11ty/eleventy/i18n-plugin",
@@ -318,6 +663,7 @@ Object.defineProperty(I18nPlugin, "eleventyPluginOptions", {
 Object.assign(I18nPlugin, {
 	Comparator,
 	LangUtils,
+	Translations,
 });
 
 export default I18nPlugin;
@@ -1,9 +1,11 @@
+import posthtml from "posthtml";
 import matchHelper from "posthtml-match-helper";
-import { decodeHTML } from "entities";
+import { decodeHTML, escapeText, escapeAttribute } from "entities";
 
 import { resolveAttributeName } from "../Util/PostHtml/Attrs.js";
 
 const POSTHTML_PLUGIN_NAME = "awesome.me/buildawesome/id-attribute";
+const TOC_IGNORE_ATTRIBUTE = "buildawesome:toc-ignore";
 
 function getTextNodeContent(node) {
 	let ignoredAttrName = resolveAttributeName(node.attrs, "buildawesome:id-ignore");
@@ -29,6 +31,154 @@ function getTextNodeContent(node) {
 		.join("");
 }
 
+// Returns heading text content for nodes that were assigned an id
+function assignIds(tree, options, pluginOptions = {}) {
+	// One per page
+	let conflictCheck = {};
+	// Cache heading nodes for conflict resolution
+	let headingNodes = {};
+	let textContents = new Map();
+
+	tree.match(matchHelper(options.selector), function (node) {
+		if (node.attrs?.id) {
+			let id = node.attrs?.id;
+			if (conflictCheck[id]) {
+				conflictCheck[id]++;
+				if (headingNodes[id]) {
+					// Rename conflicting assigned heading id
+					let newId = `${id}-${conflictCheck[id]}`;
+					headingNodes[newId] = headingNodes[id];
+					headingNodes[newId].attrs.id = newId;
+					delete headingNodes[id];
+				} else if (options.checkDuplicates === "error") {
+					// Existing `id` conflicts with assigned heading id, throw error
+					throw new Error(
+						'You have more than one HTML `id` attribute using the same value (id="' +
+							id +
+							'") in your template (' +
+							pluginOptions.page?.inputPath +
+							"). You can disable this error in the IdAttribute plugin with the `checkDuplicates: false` option.",
+					);
+				}
+			} else {
+				conflictCheck[id] = 1;
+			}
+		} else if (!node.attrs?.id && node.content) {
+			node.attrs = node.attrs || {};
+			let textContent = getTextNodeContent(node);
+			if (options.decodeEntities) {
+				textContent = decodeHTML(textContent);
+			}
+			textContents.set(node, textContent);
+			let id = options.slugify(textContent);
+
+			if (conflictCheck[id]) {
+				conflictCheck[id]++;
+				id = `${id}-${conflictCheck[id]}`;
+			} else {
+				conflictCheck[id] = 1;
+			}
+
+			headingNodes[id] = node;
+			node.attrs.id = id;
+		}
+
+		return node;
+	});
+
+	return textContents;
+}
+
+// Flat list of headings to a nested tree
+function getTocTree(headings) {
+	let root = { level: 0, children: [] };
+	let stack = [root];
+	for (let { level, id, text } of headings) {
+		while (stack.length > 1 && stack[stack.length - 1].level >= level) {
+			stack.pop();
+		}
+
+		let entry = { level, id, text, children: [] };
+		stack[stack.length - 1].children.push(entry);
+		stack.push(entry);
+	}
+	return root.children;
+}
+
+// Headings listed in the table of contents, in document order
+function getTocHeadingNodes(nodes, headingTags) {
+	let headings = [];
+	for (let node of nodes) {
+		if (!node || typeof node !== "object") {
+			continue;
+		}
+
+		if (
+			headingTags.includes(node.tag) &&
+			(node.attrs?.id || node.content) &&
+			resolveAttributeName(node.attrs, TOC_IGNORE_ATTRIBUTE) === undefined
+		) {
+			headings.push(node);
+		}
+		if (Array.isArray(node.content)) {
+			headings.push(...getTocHeadingNodes(node.content, headingTags));
+		}
+	}
+	return headings;
+}
+
+function isSameNode(a, b) {
+	if (!a || !b || typeof a !== "object" || typeof b !== "object") {
+		return a === b;
+	}
+	if (a.tag !== b.tag || JSON.stringify(a.attrs || {}) !== JSON.stringify(b.attrs || {})) {
+		return false;
+	}
+
+	let aContent = a.content || [];
+	let bContent = b.content || [];
+	return (
+		aContent.length === bContent.length &&
+		aContent.every((node, index) => isSameNode(node, bContent[index]))
+	);
+}
+
+// Page nodes for a rendered `content` fragment (e.g. output in a layout), leading and trailing text
+// is left out as it may be merged with the surrounding text in the page
+function findFragmentNodes(nodes, fragment) {
+	for (let index = 0; index + fragment.length <= nodes.length; index++) {
+		if (fragment.every((node, offset) => isSameNode(node, nodes[index + offset]))) {
+			return nodes.slice(index, index + fragment.length);
+		}
+	}
+
+	for (let node of nodes) {
+		if (Array.isArray(node?.content)) {
+			let found = findFragmentNodes(node.content, fragment);
+			if (found) {
+				return found;
+			}
+		}
+	}
+}
+
+function trimTextNodes(nodes) {
+	let start = nodes.findIndex((node) => typeof node !== "string");
+	let end = nodes.findLastIndex((node) => typeof node !== "string");
+	return start === -1 ? [] : nodes.slice(start, end + 1);
+}
+
+function getTocHtml(entries, listType) {
+	if (entries.length === 0) {
+		return "";
+	}
+
+	let items = entries.map(({ id, text, children }) => {
+		return `<li><a href="#${escapeAttribute(id)}">${escapeText(text)}</a>${getTocHtml(children, listType)}</li>`;
+	});
+	return `<${listType}>${items.join("")}</${listType}>`;
+}
+
 export function IdAttributePlugin(eleventyConfig, options = {}) {
 	if (!options.slugify) {
 		options.slugify = eleventyConfig.getFilter("slugify");
@@ -38,67 +188,104 @@ export function IdAttributePlugin(eleventyConfig, options = {}) {
 	}
 	options.decodeEntities = options.decodeEntities ?? true;
 	options.checkDuplicates = options.checkDuplicates ?? "error";
+	if (options.toc === true) {
+		options.toc = {};
+	}
+	if (options.toc) {
+		options.toc = Object.assign(
+			{
+				filter: "toc",
+				levels: [2, 3, 4],
+				// "html" (nested list) or "json" (nested array of `{ level, id, text, children }`)
+				format: "html",
+				listType: "ol",
+			},
+			options.toc,
+		);
+	}
+
+	let headingTags = options.toc ? options.toc.levels.map((level) => `h${level}`) : [];
+
+	// Output path => tables of contents rendered for the page by the filter, with placeholder ids that
+	// are replaced in the transform (ids are assigned across the whole page, layouts included)
+	let pageTocs = new Map();
+	let tocCount = 0;
+
+	function getTocIdPlaceholder(tocIndex, headingIndex) {
+		return `__buildawesome-toc-${tocIndex}-${headingIndex}__`;
+	}
+
+	function replaceTocIdPlaceholders(tree, tocs) {
+		let ids = new Map();
+		for (let toc of tocs) {
+			toc.ids.forEach((id, headingIndex) => {
+				ids.set(getTocIdPlaceholder(toc.index, headingIndex), id);
+			});
+		}
+
+		let replace = (str) =>
+			str.replace(/__buildawesome-toc-\d+-\d+__/g, (match) => ids.get(match) ?? match);
+		tree.walk(function (node) {
+			if (typeof node === "string") {
+				return replace(node);
+			}
+			for (let name in node.attrs || {}) {
+				if (typeof node.attrs[name] === "string") {
+					node.attrs[name] = replace(node.attrs[name]);
+				}
+			}
+			return node;
+		});
+	}
 
 	eleventyConfig.htmlTransformer.addPosthtmlPlugin(
 		"html",
 		function idAttributePosthtmlPlugin(pluginOptions = {}) {
+			let outputPath = pluginOptions.page?.outputPath;
+			let tocs = pageTocs.get(outputPath) || [];
+			pageTocs.delete(outputPath);
+
 			if (typeof options.filter === "function") {
 				if (options.filter(pluginOptions) === false) {
-					return function () {};
+					return function (tree) {
+						if (tocs.length > 0) {
+							replaceTocIdPlaceholders(tree, tocs);
+						}
+					};
 				}
 			}
 
 			return function (tree) {
-				// One per page
-				let conflictCheck = {};
-				// Cache heading nodes for conflict resolution
-				let headingNodes = {};
-
-				tree.match(matchHelper(options.selector), function (node) {
-					if (node.attrs?.id) {
-						let id = node.attrs?.id;
-						if (conflictCheck[id]) {
-							conflictCheck[id]++;
-							if (headingNodes[id]) {
-								// Rename conflicting assigned heading id
-								let newId = `${id}-${conflictCheck[id]}`;
-								headingNodes[newId] = headingNodes[id];
-								headingNodes[newId].attrs.id = newId;
-								delete headingNodes[id];
-							} else if (options.checkDuplicates === "error") {
-								// Existing `id` conflicts with assigned heading id, throw error
-								throw new Error(
-									'You have more than one HTML `id` attribute using the same value (id="' +
-										id +
-										'") in your template (' +
-										pluginOptions.page.inputPath +
-										"). You can disable this error in the IdAttribute plugin with the `checkDuplicates: false` option.",
-								);
-							}
-						} else {
-							conflictCheck[id] = 1;
-						}
-					} else if (!node.attrs?.id && node.content) {
-						node.attrs = node.attrs || {};
-						let textContent = getTextNodeContent(node);
-						if (options.decodeEntities) {
-							textContent = decodeHTML(textContent);
-						}
-						let id = options.slugify(textContent);
+				// Find the headings of each table of contents in the page before ids are assigned
+				let tocHeadingNodes = tocs.map((toc) => {
+					let fragment = posthtml().process(toc.content, {
+						...eleventyConfig.htmlTransformer.posthtmlProcessOptions,
+						sync: true,
+					}).tree;
+					let nodes = findFragmentNodes(tree, trimTextNodes(fragment));
+					let headings = nodes ? getTocHeadingNodes(nodes, headingTags) : [];
+					// Content not found as-is in the page (e.g. not output or changed before the transform)
+					return headings.length === toc.ids.length ? headings : undefined;
+				});
 
-						if (conflictCheck[id]) {
-							conflictCheck[id]++;
-							id = `${id}-${conflictCheck[id]}`;
-						} else {
-							conflictCheck[id] = 1;
-						}
+				assignIds(tree, options, pluginOptions);
 
-						headingNodes[id] = node;
-						node.attrs.id = id;
-					}
+				if (options.toc) {
+					tocs.forEach((toc, index) => {
+						if (tocHeadingNodes[index]) {
+							toc.ids = tocHeadingNodes[index].map((node) => node.attrs.id);
+						}
+					});
+					replaceTocIdPlaceholders(tree, tocs);
 
-					return node;
-				});
+					tree.walk(function (node) {
+						let ignoredAttrName = resolveAttributeName(node.attrs, TOC_IGNORE_ATTRIBUTE);
+						if (ignoredAttrName !== undefined) {
+							delete node.attrs[ignoredAttrName];
+						}
+						return node;
+					});
+				}
 			};
 		},
 		{
@@ -106,4 +293,52 @@ export function IdAttributePlugin(eleventyConfig, options = {}) {
 			name: POSTHTML_PLUGIN_NAME,
 		},
 	);
+
+	if (options.toc) {
+		// Usage: `{{ content | toc | safe }}` (in a layout) or `{{ content | toc("json") }}`
+		eleventyConfig.addFilter(options.toc.filter, function (content, format = options.toc.format) {
+			let headings = [];
+			posthtml([
+				(tree) => {
+					let textContents = assignIds(tree, options, { page: this?.page });
+
+					for (let node of getTocHeadingNodes(tree, headingTags)) {
+						let text = textContents.has(node)
+							? textContents.get(node)
+							: decodeHTML(getTextNodeContent(node));
+
+						headings.push({
+							level: parseInt(node.tag.slice(1), 10),
+							id: node.attrs.id,
+							text: text.trim(),
+						});
+					}
+				},
+			]).process(content || "", { sync: true });
+
+			// In HTML output the transform sets the final ids, other output uses the ids from `content`
+			let outputPath = this?.page?.outputPath;
+			if (headings.length > 0 && typeof outputPath === "string" && outputPath.endsWith(".html")) {
+				let toc = {
+					index: tocCount++,
+					content,
+					ids: headings.map(({ id }) => id),
+				};
+				if (!pageTocs.has(outputPath)) {
+					pageTocs.set(outputPath, []);
+				}
+				pageTocs.get(outputPath).push(toc);
+
+				headings.forEach((heading, headingIndex) => {
+					heading.id = getTocIdPlaceholder(toc.index, headingIndex);
+				});
+			}
+
+			let entries = getTocTree(headings);
+			if (format === "json") {
+				return entries;
+			}
+			return getTocHtml(entries, options.toc.listType);
+		});
+	}
 }
@@ -0,0 +1,259 @@
+import path from "node:path";
+import fs from "node:fs";
+import { DeepCopy, TemplatePath } from "@11ty/eleventy-utils";
+
+import BaseError from "../Errors/BaseError.js";
+import { isValidUrl } from "../Util/UrlUtil.js";
+
+const POSTHTML_PLUGIN_NAME = "awesome.me/buildawesome/link-check";
+const CHECKED_ATTRIBUTES = ["href", "src"];
+
+class LinkCheckError extends BaseError {}
+
+function isInternalUrl(url) {
+	if (!url || url.startsWith("//") || isValidUrl(url)) {
+		return false;
+	}
+	// Template syntax left in output, e.g. `{{ url }}`
+	return !/[{}]|^\s*$/.test(url);
+}
+
+function matchesIgnore(url, ignore = []) {
+	return ignore.some((pattern) => {
+		if (pattern instanceof RegExp) {
+			return pattern.test(url);
+		}
+		return url.startsWith(pattern);
+	});
+}
+
+// `/about`, `/about/`, and `/about/index.html` all resolve to the same page
+function getCandidateUrls(pathname) {
+	if (pathname.endsWith("/")) {
+		return [pathname, `${pathname}index.html`];
+	}
+	if (pathname.endsWith("/index.html")) {
+		return [pathname, pathname.slice(0, -1 * "index.html".length)];
+	}
+	if (!path.extname(pathname)) {
+		return [pathname, `${pathname}/`, `${pathname}/index.html`];
+	}
+	return [pathname];
+}
+
+/*
+ * Checks internal links (`href` and `src`) in HTML output against written pages, passthrough
+ * copied files (or any file in the output directory), and `id` attributes for URL fragments.
+ *
+ * Pages are checked when rendered, so incremental builds only check changed pages.
+ */
+function LinkCheckPlugin(eleventyConfig, defaultOptions = {}) {
+	let opts = DeepCopy(
+		{
+			mode: "error", // or "warn"
+			// Check `#fragment` links against `id` attributes in the target page
+			anchors: true,
+			// Strings (URL prefixes) or regular expressions for URLs to skip
+			ignore: [],
+		},
+		defaultOptions,
+	);
+
+	if (opts.mode !== "error" && opts.mode !== "warn") {
+		throw new Error(
+			`The \`mode\` option in the Link Check plugin must be "error" or "warn". Received: ${opts.mode}`,
+		);
+	}
+
+	let outputDir;
+	let pageUrls = new Set();
+	let passthroughUrls = new Set();
+	// page url => Set of ids, persists across incremental builds
+	let pageIds = new Map();
+	// page url => { inputPath, urls }, pages rendered in the current build
+	let pageLinks = new Map();
+
+	eleventyConfig.on("buildawesome.directories", function (directories) {
+		outputDir = directories.output;
+	});
+
+	eleventyConfig.on("buildawesome.contentmap", function ({ urlToInputPath }) {
+		pageUrls = new Set(Object.keys(urlToInputPath));
+	});
+
+	eleventyConfig.on("buildawesome.passthrough", function ({ map }) {
+		for (let url in map) {
+			passthroughUrls.add(decodeURI(url));
+		}
+	});
+
+	eleventyConfig.on("buildawesome.before", function ({ incremental }) {
+		pageLinks = new Map();
+		if (!incremental) {
+			pageIds = new Map();
+			passthroughUrls = new Set();
+		}
+	});
+
+	function getPathname(pathname) {
+		let pathPrefix = eleventyConfig.pathPrefix;
+		if (pathPrefix && pathPrefix !== "/" && pathname.startsWith(pathPrefix)) {
+			return "/" + pathname.slice(pathPrefix.length);
+		}
+		return pathname;
+	}
+
+	function existsInOutput(url) {
+		if (!outputDir) {
+			return false;
+		}
+		let filePath = TemplatePath.join(outputDir, url);
+		return fs.existsSync(filePath) && fs.statSync(filePath).isFile();
+	}
+
+	// Returns the matching page URL or `true` for other files, `false` when not found
+	function findTarget(pathname) {
+		for (let url of getCandidateUrls(pathname)) {
+			if (pageUrls.has(url)) {
+				return url;
+			}
+		}
+		return getCandidateUrls(pathname).some(
+			(url) => passthroughUrls.has(url) || existsInOutput(url),
+		);
+	}
+
+	function getError(link, pageUrl) {
+		let url = new URL(link, new URL(pageUrl, "http://localhost/"));
+		let pathname = getPathname(decodeURI(url.pathname));
+		let target = findTarget(pathname);
+
+		if (!target) {
+			return "not found";
+		}
+
+		let fragment = decodeURIComponent(url.hash.slice(1));
+		if (!opts.anchors || !fragment || fragment === "top" || typeof target !== "string") {
+			return;
+		}
+
+		// Only HTML pages have ids
+		let ids = pageIds.get(target);
+		if (ids && !ids.has(fragment)) {
+			return "anchor not found";
+		}
+	}
+
+	function getReport() {
+		let groups = [];
+		let count = 0;
+		for (let [pageUrl, { inputPath, urls }] of pageLinks) {
+			let errors = [];
+			for (let url of new Set(urls)) {
+				let error;
+				try {
+					error = getError(url, pageUrl);
+				} catch {
+					// e.g. malformed URI sequences
+					error = "invalid URL";
+				}
+				if (error) {
+					errors.push(`    ${url} (${error})`);
+				}
+			}
+
+			if (errors.length > 0) {
+				count += errors.length;
+				groups.push(`  ${inputPath} (${pageUrl}):\n${errors.join("\n")}`);
+			}
+		}
+
+		if (count > 0) {
+			return `Found ${count} broken internal link${count !== 1 ? "s" : ""} (Link Check plugin):\n${groups.join("\n")}`;
+		}
+	}
+
+	eleventyConfig.on("buildawesome.after", function () {
+		let report = getReport();
+		if (!report) {
+			return;
+		}
+
+		if (opts.mode === "error") {
+			throw new LinkCheckError(report);
+		}
+		eleventyConfig.logger?.warn(report);
+	});
+
+	function getPage(context) {
+		let pageUrl = context.page?.url || context.url;
+		if (!pageLinks.has(pageUrl)) {
+			pageLinks.set(pageUrl, {
+				inputPath: context.page?.inputPath || context.inputPath,
+				urls: [],
+			});
+		}
+		return pageLinks.get(pageUrl);
+	}
+
+	// Collect ids after all other plugins (e.g. IdAttributePlugin) have run
+	eleventyConfig.htmlTransformer.addPosthtmlPlugin(
+		"html",
+		function linkCheckPosthtmlPlugin(context = {}) {
+			return function (tree) {
+				let ids = new Set();
+				tree.walk(function (node) {
+					if (node.attrs?.id) {
+						ids.add(node.attrs.id);
+					}
+					if (node.tag === "a" && node.attrs?.name) {
+						ids.add(node.attrs.name);
+					}
+					return node;
+				});
+
+				pageIds.set(context.page?.url || context.url, ids);
+				getPage(context);
+			};
+		},
+		{
+			name: POSTHTML_PLUGIN_NAME,
+			priority: -10,
+		},
+	);
+
+	eleventyConfig.htmlTransformer.addUrlTransform(
+		"html",
+
+		/** @this {object} */
+		function (urlInMarkup, htmlContext) {
+			let url = urlInMarkup.trim();
+			if (
+				CHECKED_ATTRIBUTES.includes(htmlContext?.attribute) &&
+				isInternalUrl(url) &&
+				!matchesIgnore(url, opts.ignore)
+			) {
+				getPage(this).urls.push(url);
+			}
+
+			return urlInMarkup;
+		},
+		{
+			// Runs after the HtmlBase plugin
+			priority: -10,
+		},
+	);
+}
+
+Object.defineProperty(LinkCheckPlugin, "eleventyPackage", {
+	value: "@11ty/eleventy/link-check-plugin",
+});
+
+Object.defineProperty(LinkCheckPlugin, "eleventyPluginOptions", {
+	value: {
+		unique: true,
+	},
+});
+
+export { LinkCheckError };
+export default LinkCheckPlugin;
@@ -80,9 +80,21 @@ class Pagination {
 
 		this.size = data.pagination.size;
 		this.alias = data.pagination.alias;
+		this.groupBy = data.pagination.groupBy;
+		if (
+			this.groupBy !== undefined &&
+			typeof this.groupBy !== "string" &&
+			typeof this.groupBy !== "function"
+		) {
+			throw new PaginationConfigError(
+				`Invalid pagination \`groupBy\`${this.inputPathForErrorMessages}: expected a key path string or a function. Received: ${JSON.stringify(this.groupBy)}`,
+			);
+		}
+
 		this.fullDataSet = this._get(this.data, this._getDataKey());
 		// this returns an array
 		this.target = this._resolveItems();
+		this.groups = this.groupBy !== undefined ? this._resolveGroups() : undefined;
 		this.chunkedItems = this.pagedItems;
 	}
 
@@ -170,6 +182,32 @@ class Pagination {
 		return result;
 	}
 
+	getGroupKey(item) {
+		if (typeof this.groupBy === "function") {
+			return this.groupBy(item);
+		}
+		return lodashGet(item, this.groupBy);
+	}
+
+	// Groups are in order of first appearance, each group is chunked separately
+	_resolveGroups() {
+		let groups = new Map();
+		for (let item of this.target) {
+			let key = this.getGroupKey(item);
+			// Dates are grouped by value
+			let mapKey = key instanceof Date ? key.getTime() : key;
+			if (!groups.has(mapKey)) {
+				groups.set(mapKey, { key, items: [] });
+			}
+			groups.get(mapKey).items.push(item);
+		}
+
+		return Array.from(groups.values()).map((group) => {
+			group.chunks = lodashChunk(group.items, this.size);
+			return group;
+		});
+	}
+
 	get pagedItems() {
 		if (!this.data) {
 			throw new Error(
@@ -177,7 +215,9 @@ class Pagination {
 			);
 		}
 
-		const chunks = lodashChunk(this.target, this.size);
+		const chunks = this.groups
+			? this.groups.flatMap((group) => group.chunks)
+			: lodashChunk(this.target, this.size);
 		if (this.data.pagination?.generatePageOnEmptyData) {
 			return chunks.length ? chunks : [[]];
 		} else {
@@ -253,6 +293,55 @@ class Pagination {
 		return obj;
 	}
 
+	// Group index and page number (inside of the group) for every page
+	getPageGroups() {
+		if (!this.groups) {
+			return [];
+		}
+
+		return this.groups.flatMap((group, index) =>
+			group.chunks.map((chunk, pageNumber) => ({ index, pageNumber })),
+		);
+	}
+
+	getOverrideDataGroups(pageGroups, hrefs) {
+		let groups = this.groups.map((group, index) => ({
+			key: group.key,
+			index,
+			count: group.items.length,
+			pageCount: group.chunks.length,
+			hrefs: [],
+		}));
+
+		for (let [pageNumber, { index }] of pageGroups.entries()) {
+			groups[index].hrefs.push(hrefs[pageNumber]);
+		}
+
+		for (let group of groups) {
+			group.href = group.hrefs[0];
+		}
+
+		return groups;
+	}
+
+	getOverrideDataGroup(groups, { index, pageNumber }) {
+		let { hrefs } = groups[index];
+
+		return {
+			hrefs,
+			// inside of the group
+			href: {
+				previous: pageNumber > 0 ? hrefs[pageNumber - 1] : null,
+				next: pageNumber < hrefs.length - 1 ? hrefs[pageNumber + 1] : null,
+				first: hrefs[0],
+				last: hrefs[hrefs.length - 1],
+			},
+			// cross-group navigation
+			previous: groups[index - 1] || null,
+			next: groups[index + 1] || null,
+		};
+	}
+
 	async getPageTemplates() {
 		if (!this.data) {
 			throw new Error(
@@ -267,6 +356,7 @@ class Pagination {
 		let entries = [];
 		let items = this.chunkedItems;
 		let pages = this.size === 1 ? items.map((entry) => entry[0]) : items;
+		let pageGroups = this.getPageGroups();
 
 		let links = [];
 		let hrefs = [];
@@ -327,6 +417,19 @@ class Pagination {
 			};
 			Object.assign(paginationData.pagination, this.getOverrideDataPages(items, pageNumber));
 
+			// Available to permalinks, e.g. `/archive/{{ pagination.group.key }}/`
+			if (pageGroups[pageNumber]) {
+				let { index, pageNumber: groupPageNumber } = pageGroups[pageNumber];
+				let group = this.groups[index];
+				paginationData.pagination.group = {
+					key: group.key,
+					index,
+					pageNumber: groupPageNumber,
+					pageCount: group.chunks.length,
+					count: group.items.length,
+				};
+			}
+
 			if (this.alias) {
 				lodashSet(paginationData, this.alias, this.getNormalizedItems(items[pageNumber]));
 			}
@@ -362,6 +465,7 @@ class Pagination {
 		}
 
 		// we loop twice to pass in the appropriate prev/next links (already full generated now)
+		let groups = this.groups ? this.getOverrideDataGroups(pageGroups, hrefs) : undefined;
 		let index = 0;
 		for (let pageEntry of entries) {
 			let linksObj = this.getOverrideDataLinks(index, items.length, links);
@@ -370,6 +474,14 @@ class Pagination {
 
 			let hrefsObj = this.getOverrideDataHrefs(index, items.length, hrefs);
 			Object.assign(pageEntry.data.pagination, hrefsObj);
+
+			if (pageGroups[index]) {
+				pageEntry.data.pagination.groups = groups;
+				Object.assign(
+					pageEntry.data.pagination.group,
+					this.getOverrideDataGroup(groups, pageGroups[index]),
+				);
+			}
 			index++;
 		}
 
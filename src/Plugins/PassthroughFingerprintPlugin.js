@@ -0,0 +1,74 @@
+import { TemplatePath } from "@11ty/eleventy-utils";
+
+import { isValidUrl } from "../Util/UrlUtil.js";
+
+// Splits `/css/style.css?v=1#top` into `/css/style.css` and `?v=1#top`
+function parseUrl(url) {
+	let index = url.search(/[?#]/);
+	if (index === -1) {
+		return [url, ""];
+	}
+	return [url.slice(0, index), url.slice(index)];
+}
+
+function PassthroughFingerprintPlugin(eleventyConfig) {
+	let urlToHashedUrl = {};
+	let inputPathToHashedUrl = {};
+	eleventyConfig.on("buildawesome.fingerprints", function (maps) {
+		urlToHashedUrl = maps.urlToHashedUrl;
+		inputPathToHashedUrl = maps.inputPathToHashedUrl;
+	});
+
+	// Relative URLs are resolved against the page URL, only the file name changes in the output
+	function getHashedUrl(url, pageUrl = "/") {
+		let [pathname, suffix] = parseUrl(url);
+		if (!pathname || isValidUrl(pathname)) {
+			return;
+		}
+
+		let absolute = new URL(pathname, new URL(pageUrl, "http://localhost/")).pathname;
+		let hashedUrl = urlToHashedUrl[absolute];
+		if (!hashedUrl) {
+			return;
+		}
+
+		let filename = TemplatePath.getLastPathSegment(hashedUrl);
+		return `${pathname.slice(0, pathname.lastIndexOf("/") + 1)}${filename}${suffix}`;
+	}
+
+	// Accepts an output URL (`/css/style.css`) or an input file path (`./public/css/style.css`)
+	eleventyConfig.addFilter("hashedUrl", function (url) {
+		let hashedUrl = inputPathToHashedUrl[TemplatePath.addLeadingDotSlash(url)];
+		if (hashedUrl) {
+			return hashedUrl;
+		}
+
+		return getHashedUrl(url, this.page?.url) || url;
+	});
+
+	eleventyConfig.htmlTransformer.addUrlTransform(
+		"html",
+
+		/** @this {object} */
+		function (urlInMarkup) {
+			return getHashedUrl(urlInMarkup.trim(), this.page?.url || this.url) || urlInMarkup;
+		},
+		{
+			// Must run before the HtmlBase plugin
+			priority: -1,
+			enabled: () => Object.keys(urlToHashedUrl).length > 0,
+		},
+	);
+}
+
+Object.defineProperty(PassthroughFingerprintPlugin, "eleventyPackage", {
+	value: "@11ty/eleventy/passthrough-fingerprint-plugin",
+});
+
+Object.defineProperty(PassthroughFingerprintPlugin, "eleventyPluginOptions", {
+	value: {
+		unique: true,
+	},
+});
+
+export { PassthroughFingerprintPlugin };
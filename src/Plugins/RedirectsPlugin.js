@@ -0,0 +1,155 @@
+import { DeepCopy } from "@11ty/eleventy-utils";
+
+import PathPrefixer from "../Util/PathPrefixer.js";
+import escapeXml from "../Util/EscapeXml.js";
+import { getRedirectSources, REDIRECT_PAGE_DATA_KEY } from "../Util/Redirects.js";
+
+const REDIRECTS_INPUT_PATH = "buildawesome-redirects.11ty.js";
+
+const MANIFESTS = {
+	// Netlify, Cloudflare Pages
+	netlify(redirects) {
+		return redirects.map(({ from, to, status }) => `${from} ${to} ${status}`).join("\n") + "\n";
+	},
+	nginx(redirects) {
+		return (
+			redirects
+				.map(({ from, to, status }) => `location = ${from} { return ${status} ${to}; }`)
+				.join("\n") + "\n"
+		);
+	},
+	json(redirects) {
+		return JSON.stringify(redirects, null, 2) + "\n";
+	},
+};
+
+// `/old` => `/old/` (for `/old/index.html`), `/old.html` is unchanged
+function getStubPermalink(from) {
+	let lastSegment = from.split("/").pop();
+	if (lastSegment.includes(".")) {
+		return from;
+	}
+	return from.endsWith("/") ? from : `${from}/`;
+}
+
+function RedirectsPlugin(eleventyConfig, defaultOptions = {}) {
+	let opts = DeepCopy(
+		{
+			// One or more of "html" (meta refresh stub pages), "netlify" (`_redirects`), "nginx", or "json"
+			formats: "html",
+			status: 301,
+			permalinks: {
+				netlify: "/_redirects",
+				nginx: "/redirects.nginx.conf",
+				json: "/redirects.json",
+			},
+		},
+		defaultOptions,
+	);
+
+	opts.formats = [opts.formats].flat();
+	for (let format of opts.formats) {
+		if (format !== "html" && !MANIFESTS[format]) {
+			throw new Error(
+				`Invalid \`formats\` entry in the Redirects plugin: ${format}. Expected one of: html, ${Object.keys(MANIFESTS).join(", ")}`,
+			);
+		}
+	}
+
+	let redirects = [];
+
+	// Validate `redirectFrom` values and check them for collisions with other pages (in TemplateMap)
+	eleventyConfig.checkRedirectSources = true;
+
+	function getRedirects(entries) {
+		let results = [];
+		for (let entry of entries) {
+			if (!entry.url) {
+				continue;
+			}
+			for (let from of getRedirectSources(entry.data)) {
+				results.push({ from, to: entry.url, status: opts.status });
+			}
+		}
+		return results.sort((a, b) => a.from.localeCompare(b.from));
+	}
+
+	// One paginated template: one page per stub and one per manifest
+	function getRedirectPages(entries) {
+		redirects = getRedirects(entries);
+
+		let pages = [];
+		if (opts.formats.includes("html")) {
+			for (let redirect of redirects) {
+				pages.push({ format: "html", permalink: getStubPermalink(redirect.from), redirect });
+			}
+		}
+		for (let format of opts.formats) {
+			if (format !== "html" && redirects.length > 0) {
+				pages.push({ format, permalink: opts.permalinks[format] });
+			}
+		}
+		return pages;
+	}
+
+	// Manifests are used by the web server so URLs include the pathPrefix
+	function getPrefixedRedirects() {
+		return redirects.map(({ from, to, status }) => ({
+			from: PathPrefixer.joinUrlParts(eleventyConfig.pathPrefix, from),
+			to: PathPrefixer.joinUrlParts(eleventyConfig.pathPrefix, to),
+			status,
+		}));
+	}
+
+	eleventyConfig.addTemplate(REDIRECTS_INPUT_PATH, {
+		data: {
+			layout: false,
+			eleventyExcludeFromCollections: true,
+			pagination: {
+				data: "collections.all",
+				size: 1,
+				alias: REDIRECT_PAGE_DATA_KEY,
+				before: getRedirectPages,
+			},
+			permalink: (data) => data[REDIRECT_PAGE_DATA_KEY].permalink,
+		},
+		render(data) {
+			let { format, redirect } = data[REDIRECT_PAGE_DATA_KEY];
+			if (format !== "html") {
+				return MANIFESTS[format](getPrefixedRedirects());
+			}
+
+			// pathPrefix is added by the HTML `<base>` plugin (including the meta refresh URL)
+			let to = escapeXml(redirect.to);
+			return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Redirecting…</title>
+<meta name="robots" content="noindex">
+<link rel="canonical" href="${to}">
+<meta http-equiv="refresh" content="0; url=${to}">
+</head>
+<body><p>Redirecting to <a href="${to}">${to}</a></p></body>
+</html>
+`;
+		},
+	});
+
+	// Used by the development server to respond with redirects
+	eleventyConfig.on("buildawesome.after", function () {
+		return eleventyConfig.emit("buildawesome.redirects", { redirects });
+	});
+}
+
+Object.defineProperty(RedirectsPlugin, "eleventyPackage", {
+	value: "@11ty/eleventy/redirects-plugin",
+});
+
+Object.defineProperty(RedirectsPlugin, "eleventyPluginOptions", {
+	value: {
+		unique: true,
+	},
+});
+
+export default RedirectsPlugin;
@@ -383,6 +383,11 @@ function RenderPlugin($config, options = {}) {
 
 		let fn = await compileFile.call(this, inputPath, renderFileOptions, templateLang);
 
+		// Incremental builds re-render templates using a changed file
+		if (this.page?.inputPath && renderFileOptions.templateConfig) {
+			renderFileOptions.templateConfig.usesGraph.addDependency(this.page.inputPath, [inputPath]);
+		}
+
 		return renderShortcodeFn.call(this, fn, data);
 	}
 
@@ -0,0 +1,215 @@
+import { DeepCopy } from "@11ty/eleventy-utils";
+
+import { applyBaseToUrl } from "./HtmlBasePlugin.js";
+import { isValidUrl } from "../Util/UrlUtil.js";
+import { getUpdatedTimestamp } from "../Util/Git.js";
+import escapeXml from "../Util/EscapeXml.js";
+
+const SITEMAP_INPUT_PATH = "buildawesome-sitemap.11ty.js";
+const ROBOTS_INPUT_PATH = "buildawesome-robots.11ty.js";
+
+// `/sitemap.xml` => `/sitemap-2.xml`
+function getChunkPermalink(permalink, index) {
+	let extIndex = permalink.lastIndexOf(".");
+	if (extIndex <= permalink.lastIndexOf("/")) {
+		return `${permalink}-${index}`;
+	}
+	return `${permalink.slice(0, extIndex)}-${index}${permalink.slice(extIndex)}`;
+}
+
+function SitemapPlugin(eleventyConfig, defaultOptions = {}) {
+	let opts = DeepCopy(
+		{
+			// Absolute URL of the site (`pathPrefix` is added to the pathname as in the HTML `<base>` plugin)
+			baseHref: undefined,
+			permalink: "/sitemap.xml",
+			// Larger sitemaps are split into multiple files with a sitemap index at `permalink`
+			maxUrls: 50000,
+			// "date" (page `date`), "git" (last commit, falls back to page `date`), or false
+			lastmod: "date",
+			// Default `changefreq` and `priority`, overridden with the `sitemap` data key
+			defaults: {},
+			// true or a string of rules to prepend to the `Sitemap:` line in robots.txt
+			robots: false,
+			// Adds `xhtml:link` alternates for localized pages (requires the I18n plugin)
+			i18n: false,
+			dataKey: "sitemap",
+		},
+		defaultOptions,
+	);
+
+	if (!isValidUrl(opts.baseHref)) {
+		throw new Error(
+			`The \`baseHref\` option in the Sitemap plugin must be an absolute URL (e.g. https://example.com/). Received: ${opts.baseHref}`,
+		);
+	}
+	if (!Number.isInteger(opts.maxUrls) || opts.maxUrls < 1) {
+		throw new Error(
+			`The \`maxUrls\` option in the Sitemap plugin must be a positive integer. Received: ${opts.maxUrls}`,
+		);
+	}
+	if (opts.lastmod !== false && opts.lastmod !== "date" && opts.lastmod !== "git") {
+		throw new Error(
+			`The \`lastmod\` option in the Sitemap plugin must be "date", "git", or false. Received: ${opts.lastmod}`,
+		);
+	}
+
+	function getAbsoluteUrl(url) {
+		return applyBaseToUrl(url, opts.baseHref, {
+			pathPrefix: eleventyConfig.pathPrefix,
+		});
+	}
+
+	function isIncluded(entry) {
+		// `permalink: false` pages have no URL, other output formats (feeds, JSON) are skipped
+		if (!entry.url || !entry.outputPath || !entry.outputPath.endsWith(".html")) {
+			return false;
+		}
+		return !entry.data?.[opts.dataKey]?.exclude;
+	}
+
+	async function getLastmod(entry) {
+		if (opts.lastmod === "git") {
+			let timestamp = await getUpdatedTimestamp(entry.inputPath);
+			if (timestamp) {
+				return new Date(timestamp);
+			}
+		}
+		if (entry.date instanceof Date && !isNaN(entry.date.getTime())) {
+			return entry.date;
+		}
+	}
+
+	// Includes the entry itself, as required for sitemap alternates
+	function getAlternates(entry) {
+		let localeLinks = eleventyConfig.getFilter("locale_links");
+		if (!localeLinks) {
+			throw new Error(
+				"The `i18n` option in the Sitemap plugin requires the I18n plugin (`locale_links` filter).",
+			);
+		}
+
+		let lang = entry.data?.page?.lang;
+		let links = localeLinks.call({ page: entry.data?.page }, entry.url);
+		if (!lang || links.length === 0) {
+			return [];
+		}
+		return [{ lang, url: entry.url }, ...links]
+			.filter((link) => link.lang)
+			.sort((a, b) => a.lang.localeCompare(b.lang));
+	}
+
+	async function getUrlEntry(entry) {
+		let options = Object.assign({}, opts.defaults, entry.data?.[opts.dataKey]);
+		let lines = [`<loc>${escapeXml(getAbsoluteUrl(entry.url))}</loc>`];
+
+		if (opts.lastmod) {
+			let lastmod = await getLastmod(entry);
+			if (lastmod) {
+				lines.push(`<lastmod>${lastmod.toISOString()}</lastmod>`);
+			}
+		}
+		if (options.changefreq) {
+			lines.push(`<changefreq>${escapeXml(options.changefreq)}</changefreq>`);
+		}
+		if (options.priority !== undefined) {
+			lines.push(`<priority>${escapeXml(options.priority)}</priority>`);
+		}
+		if (opts.i18n) {
+			for (let { lang, url } of getAlternates(entry)) {
+				lines.push(
+					`<xhtml:link rel="alternate" hreflang="${escapeXml(lang)}" href="${escapeXml(getAbsoluteUrl(url))}"/>`,
+				);
+			}
+		}
+
+		return `<url>${lines.join("")}</url>`;
+	}
+
+	// One paginated template: either a single sitemap or an index followed by the split sitemaps
+	function getSitemapPages(entries) {
+		entries = entries.filter(isIncluded).sort((a, b) => a.url.localeCompare(b.url));
+
+		if (entries.length <= opts.maxUrls) {
+			return [{ type: "urlset", permalink: opts.permalink, entries }];
+		}
+
+		let pages = [];
+		for (let j = 0; j < entries.length; j += opts.maxUrls) {
+			pages.push({
+				type: "urlset",
+				permalink: getChunkPermalink(opts.permalink, pages.length + 1),
+				entries: entries.slice(j, j + opts.maxUrls),
+			});
+		}
+
+		return [
+			{
+				type: "sitemapindex",
+				permalink: opts.permalink,
+				sitemaps: pages.map(({ permalink }) => permalink),
+			},
+			...pages,
+		];
+	}
+
+	eleventyConfig.addTemplate(SITEMAP_INPUT_PATH, {
+		data: {
+			layout: false,
+			eleventyExcludeFromCollections: true,
+			pagination: {
+				data: "collections.all",
+				size: 1,
+				alias: "buildawesomeSitemap",
+				before: getSitemapPages,
+			},
+			permalink: (data) => data.buildawesomeSitemap.permalink,
+		},
+		async render({ buildawesomeSitemap: page }) {
+			let xml = [`<?xml version="1.0" encoding="UTF-8"?>`];
+			if (page.type === "sitemapindex") {
+				xml.push(`<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">`);
+				for (let permalink of page.sitemaps) {
+					xml.push(`<sitemap><loc>${escapeXml(getAbsoluteUrl(permalink))}</loc></sitemap>`);
+				}
+				xml.push(`</sitemapindex>`);
+			} else {
+				xml.push(
+					`<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"${opts.i18n ? ` xmlns:xhtml="http://www.w3.org/1999/xhtml"` : ""}>`,
+				);
+				for (let entry of page.entries) {
+					xml.push(await getUrlEntry(entry));
+				}
+				xml.push(`</urlset>`);
+			}
+
+			return xml.join("\n") + "\n";
+		},
+	});
+
+	if (opts.robots) {
+		eleventyConfig.addTemplate(ROBOTS_INPUT_PATH, {
+			data: {
+				layout: false,
+				eleventyExcludeFromCollections: true,
+				permalink: "/robots.txt",
+			},
+			render() {
+				let rules = typeof opts.robots === "string" ? opts.robots : "User-agent: *\nAllow: /";
+				return `${rules.trim()}\n\nSitemap: ${getAbsoluteUrl(opts.permalink)}\n`;
+			},
+		});
+	}
+}
+
+Object.defineProperty(SitemapPlugin, "eleventyPackage", {
+	value: "@11ty/eleventy/sitemap-plugin",
+});
+
+Object.defineProperty(SitemapPlugin, "eleventyPluginOptions", {
+	value: {
+		unique: true,
+	},
+});
+
+export default SitemapPlugin;
@@ -0,0 +1,233 @@
+import { Worker } from "node:worker_threads";
+import { TemplatePath } from "@11ty/eleventy-utils";
+
+import chalk from "./Adapters/Packages/chalk.js";
+import BaseError from "./Errors/BaseError.js";
+import GlobalDependencyMap from "./GlobalDependencyMap.js";
+import { createDebug } from "./Util/DebugLogUtil.js";
+
+const debug = createDebug("RenderPool");
+
+class RenderPoolError extends BaseError {}
+
+/*
+ * Renders independent templates on worker threads. Each worker initializes its own copy of the
+ * project (configuration, engines, data cascade) and only renders and writes the templates it was
+ * assigned. Templates that consume collections (via pagination, `eleventyImport.collections`, or by
+ * reading `collections` in their content) and the templates they consume are rendered on the main
+ * thread, in dependency order.
+ */
+class RenderPool {
+	#templateConfig;
+	#logger;
+	#workerCountOverride;
+	#coreArguments;
+	#hasWarned = false;
+
+	constructor(templateConfig) {
+		if (!templateConfig || templateConfig.constructor.name !== "TemplateConfig") {
+			throw new Error("Internal error: Missing or invalid `templateConfig` argument.");
+		}
+
+		this.#templateConfig = templateConfig;
+	}
+
+	get config() {
+		return this.#templateConfig.getConfig();
+	}
+
+	set logger(logger) {
+		this.#logger = logger;
+	}
+
+	// via --workers on the command line, takes precedence over `setRenderWorkers`
+	setWorkerCountOverride(count) {
+		this.#workerCountOverride = count;
+	}
+
+	// Used to create the `Core` instance in each worker
+	setCoreArguments(input, output, options = {}) {
+		this.#coreArguments = {
+			input,
+			output,
+			options,
+		};
+	}
+
+	get workerCount() {
+		let count = this.#workerCountOverride ?? this.config.renderWorkers;
+		// `--workers` without a value
+		if (count === "" || count === undefined) {
+			return 0;
+		}
+
+		let parsed = Number(count);
+		if (!Number.isInteger(parsed) || parsed < 0) {
+			throw new RenderPoolError(
+				`Invalid number of render workers: ${JSON.stringify(count)}. Expected a non-negative integer.`,
+			);
+		}
+		return parsed;
+	}
+
+	isEnabled() {
+		if (this.workerCount === 0 || !this.#coreArguments) {
+			return false;
+		}
+
+		// Functions can’t be sent to a worker thread
+		if (typeof this.#coreArguments.options.config === "function") {
+			if (!this.#hasWarned) {
+				this.#hasWarned = true;
+				this.#logger?.warn(
+					"Render workers are not supported with the `config` callback option, rendering on the main thread instead.",
+				);
+			}
+			return false;
+		}
+
+		return true;
+	}
+
+	// Templates that consume collections (declared or not), the templates in those collections, and every other
+	// template they depend on
+	getOrderedInputPaths(orderedMap, collectionsData = {}) {
+		let ordered = new Set();
+		let consumedNames = new Set();
+		for (let entry of orderedMap) {
+			let deps = this.config.uses.getDependencies(entry.inputPath, false) || [];
+			let declaredNames = deps
+				.filter((dep) => GlobalDependencyMap.isCollection(dep))
+				.map((dep) => GlobalDependencyMap.getTagName(dep));
+			// Reads `collections` without `eleventyImport`
+			let referenced = entry.fileDependencies?.collections || { names: [], isComplete: true };
+			if (declaredNames.length === 0 && referenced.names.length === 0 && referenced.isComplete) {
+				continue;
+			}
+
+			ordered.add(entry.inputPath);
+			for (let dep of this.config.uses.filterOutCollections(deps)) {
+				ordered.add(TemplatePath.addLeadingDotSlash(dep));
+			}
+
+			let names = declaredNames;
+			if (names.length === 0) {
+				names = referenced.isComplete ? referenced.names : Object.keys(collectionsData);
+			}
+			for (let name of names) {
+				consumedNames.add(name);
+			}
+		}
+
+		// `templateContent` of collection items must be rendered first
+		for (let name of consumedNames) {
+			if (!Array.isArray(collectionsData[name])) {
+				continue;
+			}
+
+			for (let item of collectionsData[name]) {
+				if (item?.inputPath) {
+					ordered.add(TemplatePath.addLeadingDotSlash(item.inputPath));
+				}
+			}
+		}
+
+		return ordered;
+	}
+
+	getParallelEntries(orderedMap, collectionsData) {
+		let ordered = this.getOrderedInputPaths(orderedMap, collectionsData);
+
+		return orderedMap.filter((entry) => {
+			return !ordered.has(entry.inputPath) && entry.template.isRenderable();
+		});
+	}
+
+	// Balanced by page count, largest templates first
+	getChunks(entries) {
+		let chunks = Array.from({ length: Math.min(this.workerCount, entries.length) }, () => ({
+			pageCount: 0,
+			inputPaths: [],
+		}));
+
+		let sorted = [...entries].sort((a, b) => b._pages.length - a._pages.length);
+		for (let entry of sorted) {
+			let chunk = chunks.reduce((smallest, chunk) => {
+				return chunk.pageCount < smallest.pageCount ? chunk : smallest;
+			});
+			chunk.pageCount += entry._pages.length;
+			chunk.inputPaths.push(entry.inputPath);
+		}
+
+		return chunks.map((chunk) => chunk.inputPaths);
+	}
+
+	#runWorker(inputPaths) {
+		return new Promise((resolve, reject) => {
+			let worker = new Worker(new URL("./RenderWorker.js", import.meta.url), {
+				workerData: {
+					...this.#coreArguments,
+					inputPaths,
+				},
+			});
+
+			worker.once("message", (result) => {
+				resolve(result);
+				worker.terminate();
+			});
+
+			worker.once("error", (e) => {
+				reject(
+					new RenderPoolError(
+						`Having trouble rendering on a worker thread: "${inputPaths.join(`", "`)}"`,
+						e,
+					),
+				);
+			});
+
+			worker.once("exit", (code) => {
+				// no-op if the worker already finished
+				reject(new RenderPoolError(`Render worker exited early with code ${code}.`));
+			});
+		});
+	}
+
+	/**
+	 * @param {Array<object>} entries - Template map entries from `getParallelEntries`
+	 * @returns {Promise<{templates: Array<object>, writeCount: number, renderCount: number}>}
+	 */
+	async render(entries) {
+		let chunks = this.getChunks(entries);
+		debug("Rendering %o templates on %o worker threads", entries.length, chunks.length);
+
+		let results = await Promise.all(chunks.map((inputPaths) => this.#runWorker(inputPaths)));
+
+		let templates = [];
+		let writeCount = 0;
+		let renderCount = 0;
+		for (let result of results) {
+			for (let entry of result.templates) {
+				// Buffers are received as Uint8Array
+				if (entry.content instanceof Uint8Array) {
+					entry.content = Buffer.from(entry.content);
+				}
+
+				this.#logger?.log(
+					`Writing ${entry.outputPath} ${chalk.gray(`from ${entry.inputPath} (worker)`)}`,
+				);
+				templates.push(entry);
+			}
+
+			writeCount += result.writeCount;
+			renderCount += result.renderCount;
+		}
+
+		return {
+			templates,
+			writeCount,
+			renderCount,
+		};
+	}
+}
+
+export default RenderPool;
@@ -0,0 +1,32 @@
+import { parentPort, workerData } from "node:worker_threads";
+
+import Core from "./Core.js";
+
+// Worker thread entry for RenderPool: builds the full project, renders only `inputPaths`
+let { input, output, options, inputPaths } = workerData;
+
+let core = new Core(input, output, {
+	...options,
+	workers: 0,
+});
+core.disableLogger();
+
+await core.init();
+core.writer.setRenderPartition(inputPaths);
+
+let templates = await core.write("templates");
+let { writeCount, renderCount } = core.writer.getMetadata();
+
+parentPort.postMessage({
+	templates: templates.map(({ inputPath, outputPath, url, content, rawInput }) => {
+		return {
+			inputPath,
+			outputPath,
+			url,
+			content,
+			rawInput,
+		};
+	}),
+	writeCount,
+	renderCount,
+});
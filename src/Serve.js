@@ -1,3 +1,4 @@
+import { readFileSync, statSync } from "node:fs";
 import { Merge, TemplatePath } from "@11ty/eleventy-utils";
 
 import { Watch } from "./Watch.js";
@@ -13,12 +14,20 @@ function stringifyOptions(options) {
 }
 
 import BaseError from "./Errors/BaseError.js";
+import { getErrorPayload } from "./Errors/ErrorPayload.js";
 import { createDebug } from "./Util/DebugLogUtil.js";
 import PathPrefixer from "./Util/PathPrefixer.js";
+import { getRedirectUrlKey } from "./Util/Redirects.js";
 import checkPassthroughCopyBehavior from "./Util/PassthroughCopyBehaviorCheck.js";
 import { getModulePackageJson } from "./Util/ImportJsonSync.js";
 import { DynamicImport } from "./Util/Require.js";
 import { isGlobMatch } from "./Util/GlobMatcher.js";
+import {
+	parseRedirectsFile,
+	parseHeadersFile,
+	getRedirectMatch,
+	getHeadersMatch,
+} from "./Util/PlatformFiles.js";
 
 const debug = createDebug("Serve");
 
@@ -31,6 +40,14 @@ const DEFAULT_SERVER_OPTIONS = {
 	// setup: function() {},
 	// ready: function(server) {},
 	// logger: { log: function() {}, info: function() {}, error: function() {} }
+	// platformFiles: true, // or an object to override DEFAULT_PLATFORM_FILES
+};
+
+// Netlify-style hosting files in the output directory, `false` to opt-out of one
+const DEFAULT_PLATFORM_FILES = {
+	redirects: "_redirects",
+	headers: "_headers",
+	notFound: "404.html",
 };
 
 export default class Serve {
@@ -38,6 +55,10 @@ export default class Serve {
 	#eleventyConfig;
 	#savedConfigOptions;
 	#aliases;
+	// from url (without a trailing slash) => { to, status }, `undefined` when the Redirects plugin is not in use
+	#redirects;
+	// filename => { filePath, mtimeMs, size, rules }
+	#platformFileCache = new Map();
 	#initOptionsFetched = false;
 	#chokidar;
 	// these are *not* normalized
@@ -81,8 +102,248 @@ export default class Serve {
 				this.setAliases(map);
 			});
 		}
+
+		// Redirects plugin
+		this.#eleventyConfig.userConfig.events.on("buildawesome.redirects", ({ redirects }) => {
+			this.setRedirects(redirects);
+		});
+	}
+
+	setRedirects(redirects = []) {
+		this.#redirects = new Map(
+			redirects.map(({ from, to, status }) => [getRedirectUrlKey(from), { to, status }]),
+		);
+	}
+
+	// Request URL (with pathPrefix) => decoded pathname relative to the pathPrefix
+	#parseRequestUrl(requestUrl) {
+		let pathPrefix = PathPrefixer.normalizePathPrefix(this.config.pathPrefix);
+		let [pathname, search = ""] = requestUrl.split("?");
+		try {
+			pathname = decodeURI(pathname);
+		} catch {
+			return;
+		}
+
+		if (pathPrefix !== "/") {
+			if (!pathname.startsWith(pathPrefix)) {
+				return;
+			}
+			pathname = "/" + pathname.slice(pathPrefix.length);
+		}
+
+		return { pathPrefix, pathname, search };
+	}
+
+	// Returns the redirect for a request URL (with pathPrefix), if one exists
+	getRedirect(requestUrl) {
+		let request = this.#parseRequestUrl(requestUrl);
+		let redirect = request && this.#redirects?.get(getRedirectUrlKey(request.pathname));
+		if (redirect) {
+			return {
+				status: redirect.status,
+				location:
+					encodeURI(PathPrefixer.joinUrlParts(request.pathPrefix, redirect.to)) +
+					(request.search ? `?${request.search}` : ""),
+			};
+		}
+	}
+
+	getPlatformFiles() {
+		let platformFiles = this.config.serverOptions?.platformFiles;
+		if (!platformFiles) {
+			return false;
+		}
+		if (platformFiles === true) {
+			return DEFAULT_PLATFORM_FILES;
+		}
+		return Object.assign({}, DEFAULT_PLATFORM_FILES, platformFiles);
+	}
+
+	// Emulated passthrough copy files are not in the output directory
+	#getPlatformFilePath(filename) {
+		filename = TemplatePath.stripLeadingDotSlash(filename).replace(/^\/+/, "");
+		return this.#aliases?.[`/${filename}`] || TemplatePath.join(this.outputDir, filename);
+	}
+
+	// Re-parsed when the file changes (during watch or passthrough copy emulation)
+	#getPlatformFileRules(filename, parse) {
+		if (!filename) {
+			return [];
+		}
+
+		let filePath = this.#getPlatformFilePath(filename);
+		let stats;
+		try {
+			stats = statSync(filePath);
+		} catch {
+			this.#platformFileCache.delete(filename);
+			return [];
+		}
+
+		let cached = this.#platformFileCache.get(filename);
+		if (
+			cached?.filePath === filePath &&
+			cached.mtimeMs === stats.mtimeMs &&
+			cached.size === stats.size
+		) {
+			return cached.rules;
+		}
+
+		let rules = parse(readFileSync(filePath, "utf8"));
+		debug("%s %o (%o rules)", cached ? "Reloaded" : "Loaded", filePath, rules.length);
+		this.#platformFileCache.set(filename, {
+			filePath,
+			mtimeMs: stats.mtimeMs,
+			size: stats.size,
+			rules,
+		});
+
+		return rules;
+	}
+
+	// Returns headers from the `_headers` file for a request URL (with pathPrefix)
+	getPlatformHeaders(requestUrl) {
+		let platformFiles = this.getPlatformFiles();
+		let request = this.#parseRequestUrl(requestUrl);
+		if (!platformFiles || !request) {
+			return {};
+		}
+
+		let rules = this.#getPlatformFileRules(platformFiles.headers, parseHeadersFile);
+		return getHeadersMatch(rules, request.pathname);
+	}
+
+	/**
+	 * Returns the matching rule from the `_redirects` file for a request URL (with pathPrefix).
+	 * Redirects have a `location`, rewrites (e.g. 200 or 404 status codes) have a local `url`.
+	 *
+	 * @param {string} requestUrl
+	 * @param {function} [isFile] - Returns true if a file exists for the request, used for shadowing
+	 * @returns {{status: number, location?: string, url?: string}|undefined}
+	 */
+	getPlatformRedirect(requestUrl, isFile) {
+		let platformFiles = this.getPlatformFiles();
+		let request = this.#parseRequestUrl(requestUrl);
+		if (!platformFiles || !request) {
+			return;
+		}
+
+		let rules = this.#getPlatformFileRules(platformFiles.redirects, parseRedirectsFile);
+		let match = getRedirectMatch(rules, request.pathname, new URLSearchParams(request.search), () =>
+			isFile?.(requestUrl),
+		);
+		if (!match) {
+			return;
+		}
+
+		let isExternal = !match.to.startsWith("/");
+		let target = isExternal
+			? match.to
+			: encodeURI(PathPrefixer.joinUrlParts(request.pathPrefix, match.to));
+
+		// Query parameters carry over unless the destination has its own
+		if (request.search && !match.to.includes("?") && Object.keys(match.rule.query).length === 0) {
+			target += `?${request.search}`;
+		}
+
+		if (match.status >= 300 && match.status < 400) {
+			return { status: match.status, location: target };
+		}
+		// Proxying to another origin is not supported
+		if (isExternal) {
+			debug("Skipping unsupported proxy rule from %o to %o", match.rule.from, match.to);
+			return;
+		}
+		return { status: match.status, url: target };
+	}
+
+	getNotFoundPagePath() {
+		let platformFiles = this.getPlatformFiles();
+		if (!platformFiles?.notFound) {
+			return;
+		}
+
+		let filePath = this.#getPlatformFilePath(platformFiles.notFound);
+		try {
+			if (statSync(filePath).isFile()) {
+				return filePath;
+			}
+		} catch {
+			// missing
+		}
 	}
 
+	#getPlatformFilesMiddleware() {
+		let serve = this;
+
+		// `this` is the development server instance
+		return function platformFilesMiddleware(req, res, next) {
+			let server = this;
+			let getFilePath = (url) => {
+				// Custom server modules may not support this
+				if (typeof server?.mapUrlToFilePath !== "function") {
+					return;
+				}
+				let match = server.mapUrlToFilePath(url);
+				if (match?.statusCode === 200) {
+					return match.filepath;
+				}
+			};
+
+			for (let [name, value] of Object.entries(serve.getPlatformHeaders(req.url))) {
+				res.setHeader(name, value);
+			}
+
+			let redirect = serve.getPlatformRedirect(req.url, (url) => !!getFilePath(url));
+			if (redirect?.location) {
+				debug("Redirecting %o to %o (%o)", req.url, redirect.location, redirect.status);
+				res.writeHead(redirect.status, { Location: redirect.location });
+				return res.end();
+			}
+
+			if (redirect?.url) {
+				debug("Rewriting %o to %o (%o)", req.url, redirect.url, redirect.status);
+				if (redirect.status === 200) {
+					req.url = redirect.url;
+					return next();
+				}
+
+				let filePath = getFilePath(redirect.url);
+				if (filePath && typeof server.renderFile === "function") {
+					res.statusCode = redirect.status;
+					res.isCustomErrorPage = true;
+					return server.renderFile(filePath, res);
+				}
+			}
+
+			let notFoundPath = serve.getNotFoundPagePath();
+			if (
+				notFoundPath &&
+				typeof server?.renderFile === "function" &&
+				typeof server?.mapUrlToFilePath === "function" &&
+				server.mapUrlToFilePath(req.url)?.statusCode === 404
+			) {
+				res.statusCode = 404;
+				res.isCustomErrorPage = true;
+				return server.renderFile(notFoundPath, res);
+			}
+
+			return next();
+		};
+	}
+
+	#redirectMiddleware = (req, res, next) => {
+		let redirect = this.getRedirect(req.url);
+		if (!redirect) {
+			return next();
+		}
+
+		debug("Redirecting %o to %o (%o)", req.url, redirect.location, redirect.status);
+		res.writeHead(redirect.status, { Location: redirect.location });
+		res.end();
+	};
+
 	get logger() {
 		if (!this.#logger) {
 			throw new Error("Internal error: missing ConsoleLogger instance.");
@@ -201,6 +462,18 @@ export default class Serve {
 			this.config.serverOptions,
 		);
 
+		// Redirects and platform files run before any user middleware
+		let middleware = [];
+		if (this.#redirects) {
+			middleware.push(this.#redirectMiddleware);
+		}
+		if (this.getPlatformFiles()) {
+			middleware.push(this.#getPlatformFilesMiddleware());
+		}
+		if (middleware.length > 0) {
+			this.#options.middleware = [...middleware, ...(this.#options.middleware || [])];
+		}
+
 		this.#savedConfigOptions = this.config.serverOptions;
 
 		if (!this.#initOptionsFetched && this.getSetupCallback()) {
@@ -307,7 +580,8 @@ export default class Serve {
 	async sendError({ error }) {
 		if (this._server) {
 			await this.server.sendError({
-				error,
+				// Structured for the error overlay: error chain, source location, code frame
+				error: getErrorPayload(error),
 			});
 		}
 	}
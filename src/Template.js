@@ -24,6 +24,12 @@ import { FileSystemUtilities } from "./Util/FileSystemUtilities.js";
 import { TemplatePreprocessors } from "./TemplatePreprocessors.js";
 import { getDirectoryFromUrl } from "./Util/UrlUtil.js";
 import { ResolveConfigurationData } from "./Data/ResolveConfigurationData.js";
+import { getUnpublishedReason, addUnpublishedBanner } from "./Util/Publishing.js";
+import {
+	readFileContent,
+	isKeyReferenced,
+	getReferencedCollectionNames,
+} from "./Util/IncludeDependencies.js";
 
 const { set: lodashSet, get: lodashGet } = lodash;
 
@@ -39,6 +45,8 @@ class Template extends TemplateContent {
 	#cacheRenderedTransformsAndLayoutsPromise;
 	#preprocessors;
 	#preprocessorCache;
+	// Drafts and scheduled pages skipped in the current build
+	#unpublished = [];
 
 	constructor(templatePath, templateData, extensionMap, config) {
 		super(templatePath, config);
@@ -183,6 +191,81 @@ class Template extends TemplateContent {
 		return Boolean(pageData?.[this.config.keys.layout]);
 	}
 
+	/**
+	 * Files this template depends on for incremental builds: includes (scanned from the template and its layouts),
+	 * template and directory data files, and the global data files for top level keys referenced in any of those (or
+	 * every global data file, if project filters, shortcodes, JavaScript front matter, or global computed data may read it).
+	 *
+	 * @param {object} data - Template data
+	 * @returns {Promise<{files: Array<string>, isComplete: boolean, collections: {names: Array<string>, isComplete: boolean}}>} `isComplete` is false if the includes aren’t fully known (e.g. dynamic includes or JavaScript templates), `collections` are read in the template, its layouts, or includes (with or without `eleventyImport`)
+	 */
+	async getFileDependencies(data) {
+		let templates = [this];
+		if (this.templateUsesLayouts(data)) {
+			let layout = this.getLayout(data[this.config.keys.layout]);
+			templates.push(...(await layout.getLayoutTemplates()));
+		}
+
+		let files = new Set();
+		let contents = [];
+		let isComplete = true;
+		let usesAnyData = false;
+		for (let tmpl of templates) {
+			let dependencies = await tmpl.getIncludeDependencies();
+			if (!dependencies) {
+				isComplete = false;
+				continue;
+			}
+
+			isComplete &&= dependencies.isComplete;
+			usesAnyData ||= Boolean(dependencies.usesAnyData);
+			for (let file of dependencies.files) {
+				files.add(file);
+			}
+			contents.push(...dependencies.contents);
+		}
+
+		let collections = getReferencedCollectionNames(contents);
+		// Content we couldn’t scan may use any collection
+		collections.isComplete &&= isComplete;
+
+		// Project filters, shortcodes, and custom tags can read any data (e.g. via `this.ctx`)
+		usesAnyData ||= this.eleventyConfig.userConfig
+			.getUserCallbackNames()
+			.some((name) => isKeyReferenced(contents, name));
+
+		if (this.templateData) {
+			let globalDataFileKeys = await this.templateData.getGlobalDataFileKeys();
+
+			// Global computed data runs for every page and can read any data
+			let computedKeys = ResolveConfigurationData.getEligibleLocations(this.config.keys.computed);
+			if (Array.from(globalDataFileKeys.values()).some((key) => computedKeys.includes(key))) {
+				usesAnyData = true;
+			}
+
+			for (let localDataPath of await this.templateData.getLocalDataPaths(this.inputPath)) {
+				if (this.templateData.exists(localDataPath)) {
+					let file = TemplatePath.addLeadingDotSlash(localDataPath);
+					files.add(file);
+					contents.push(readFileContent(file));
+				}
+			}
+
+			for (let [file, key] of globalDataFileKeys) {
+				// Content we couldn’t scan may use any global data
+				if (!isComplete || usesAnyData || isKeyReferenced(contents, key)) {
+					files.add(file);
+				}
+			}
+		}
+
+		return {
+			files: Array.from(files),
+			isComplete,
+			collections,
+		};
+	}
+
 	getLayout(layoutKey) {
 		// already cached downstream in TemplateLayout -> TemplateCache
 		try {
@@ -470,7 +553,9 @@ class Template extends TemplateContent {
 	async renderPageEntryWithoutLayout(pageEntry) {
 		// @cachedproperty
 		if (!this.#cacheRenderedPromise) {
-			this.#cacheRenderedPromise = this.renderDirect(pageEntry.rawInput, pageEntry.data);
+			this.#cacheRenderedPromise = this.#timePageEntry(pageEntry, () =>
+				this.renderDirect(pageEntry.rawInput, pageEntry.data),
+			);
 			this.renderCount++;
 		}
 
@@ -522,6 +607,7 @@ class Template extends TemplateContent {
 	async runTransforms(str, pageEntry) {
 		return TransformsUtil.runAll(str, pageEntry.data.page, this.transforms, {
 			logger: this.logger,
+			profiler: this.profiler,
 		});
 	}
 
@@ -724,7 +810,25 @@ class Template extends TemplateContent {
 		return this.#preprocessorCache;
 	}
 
+	// Returns true if an unpublished page is excluded from collections and output
+	#skipUnpublished(data) {
+		let reason = getUnpublishedReason(data, this.config.keys);
+		if (!reason || this.eleventyConfig.isIncludingUnpublished()) {
+			return false;
+		}
+
+		debug("Skipping %o from %o (%o)", data.page.url, this.inputPath, reason);
+		this.#unpublished.push({ inputPath: this.inputPath, url: data.page.url, reason });
+		return true;
+	}
+
+	getUnpublished() {
+		return this.#unpublished;
+	}
+
 	async getTemplates(data) {
+		this.#unpublished = [];
+
 		let { skippedVia: skippedViaPreprocessorName, content: rawInput } =
 			await this.runPreprocessors(data);
 
@@ -744,6 +848,10 @@ class Template extends TemplateContent {
 		if (!Pagination.hasPagination(data)) {
 			await this.addComputedData(data);
 
+			if (this.#skipUnpublished(data)) {
+				return [];
+			}
+
 			let obj = {
 				template: this, // not on the docs but folks are relying on it
 				rawInput,
@@ -773,6 +881,10 @@ class Template extends TemplateContent {
 			for (let pageEntry of pageTemplates) {
 				await pageEntry.template.addComputedData(pageEntry.data);
 
+				if (this.#skipUnpublished(pageEntry.data)) {
+					continue;
+				}
+
 				let obj = {
 					template: pageEntry.template, // not on the docs but folks are relying on it
 					rawInput,
@@ -820,6 +932,7 @@ class Template extends TemplateContent {
 			return;
 		}
 
+		let endProfile = this.profiler.start("write", this.inputPath, { outputPath });
 		let templateBenchmarkDir = this.bench.get("Template make parent directory");
 		templateBenchmarkDir.before();
 
@@ -839,6 +952,7 @@ class Template extends TemplateContent {
 		this.fsManager.writeFileSync(outputPath, finalContent);
 
 		templateBenchmark.after();
+		endProfile();
 		this.writeCount++;
 		debug(`${outputPath} ${lang.finished}.`);
 
@@ -867,7 +981,16 @@ class Template extends TemplateContent {
 		let layoutKey = pageEntry.data[this.config.keys.layout];
 		if (this.engine.useLayouts() && layoutKey) {
 			let layout = pageEntry.template.getLayout(layoutKey);
+			let endProfile = this.profiler.start("layout", this.inputPath, {
+				layout: layoutKey,
+				url: pageEntry.url,
+			});
 			content = await layout.renderLayoutPageEntry(pageEntry);
+			endProfile();
+
+			if (this.renderBudget.isEnabled()) {
+				this.renderBudget.setPageLayouts(pageEntry, await layout.getLayoutChain());
+			}
 		} else {
 			content = pageEntry.templateContent;
 		}
@@ -875,6 +998,18 @@ class Template extends TemplateContent {
 		await this.runLinters(content, pageEntry);
 
 		content = await this.runTransforms(content, pageEntry);
+
+		if (
+			this.eleventyConfig.getRunMode() === "serve" &&
+			typeof content === "string" &&
+			pageEntry.outputPath?.endsWith?.(".html")
+		) {
+			let reason = getUnpublishedReason(pageEntry.data, this.config.keys);
+			if (reason) {
+				content = addUnpublishedBanner(content, reason);
+			}
+		}
+
 		return content;
 	}
 
@@ -883,12 +1018,31 @@ class Template extends TemplateContent {
 		// @cachedproperty
 		if (!pageEntry.template.#cacheRenderedTransformsAndLayoutsPromise) {
 			pageEntry.template.#cacheRenderedTransformsAndLayoutsPromise =
-				pageEntry.template.#renderPageEntryWithLayoutsAndTransforms(pageEntry);
+				pageEntry.template.#timePageEntry(pageEntry, () =>
+					pageEntry.template.#renderPageEntryWithLayoutsAndTransforms(pageEntry),
+				);
 		}
 
 		return pageEntry.template.#cacheRenderedTransformsAndLayoutsPromise;
 	}
 
+	get renderBudget() {
+		return this.config.benchmarkManager.renderBudget;
+	}
+
+	// Page render time (content, then layouts and transforms) for `setRenderBudget`
+	async #timePageEntry(pageEntry, callback) {
+		let benchmark = this.bench.get("Template Render Page");
+		benchmark.before();
+		let start = performance.now();
+		try {
+			return await callback();
+		} finally {
+			benchmark.after();
+			this.renderBudget.addPageTime(pageEntry, performance.now() - start);
+		}
+	}
+
 	retrieveDataForJsonOutput(data, selectors) {
 		// if "*" is in the selectors, return all data unfiltered.
 		if (selectors.has("*")) {
@@ -909,6 +1063,16 @@ class Template extends TemplateContent {
 		for (let page of mapEntry._pages) {
 			let content;
 
+			// Unaffected page of a paginated template in an incremental build, see TemplateWriter
+			if (page.skipViaIncremental && to === "fs") {
+				debug(
+					"Template not written %o from %o (via incremental).",
+					page.outputPath,
+					this.inputPath,
+				);
+				continue;
+			}
+
 			// Note that behavior.render is overridden when using json output
 			if (page.template.isRenderable()) {
 				// this reuses page.templateContent, it doesn’t render it
@@ -45,6 +45,7 @@ class PluginError extends BaseError {}
 class TemplateConfig {
 	#templateFormats;
 	#runMode;
+	#includeUnpublished = false;
 	#configManuallyDefined = false;
 	/** @type {UserConfig} */
 	#userConfig = new UserConfig();
@@ -144,6 +145,20 @@ class TemplateConfig {
 		this.#runMode = runMode;
 	}
 
+	getRunMode() {
+		return this.#runMode;
+	}
+
+	// The --drafts feature
+	setIncludeUnpublished(includeUnpublished) {
+		this.#includeUnpublished = Boolean(includeUnpublished);
+	}
+
+	// Drafts and scheduled content are excluded from builds but included in watch/serve
+	isIncludingUnpublished() {
+		return this.#includeUnpublished || this.#runMode === "watch" || this.#runMode === "serve";
+	}
+
 	shouldSpiderJavaScriptDependencies() {
 		// not for a standard build
 		return (
@@ -315,7 +330,9 @@ class TemplateConfig {
 
 		if (typeof this.rootConfig === "function") {
 			// Not yet using async in defaultConfig.js
+			this.userConfig._enableBuiltInConfig();
 			this.rootConfig = this.rootConfig.call(this, this.userConfig);
+			this.userConfig._disableBuiltInConfig();
 		}
 
 		debug("Default Eleventy config %o", this.rootConfig);
@@ -11,6 +11,7 @@ import TemplateRender from "./TemplateRender.js";
 import BaseError from "./Errors/BaseError.js";
 import ErrorUtil from "./Errors/ErrorUtil.js";
 import eventBus from "./EventBus.js";
+import { getIncludeDependencies } from "./Util/IncludeDependencies.js";
 
 const { set: lodashSet } = lodash;
 const debug = createDebug("TemplateContent");
@@ -27,6 +28,7 @@ class TemplateContent {
 	#extensionMap;
 	#configOptions;
 	#frontMatterOptions;
+	#includeDependencies;
 
 	constructor(inputPath, templateConfig) {
 		if (!templateConfig || templateConfig.constructor.name !== "TemplateConfig") {
@@ -96,6 +98,7 @@ class TemplateContent {
 			delete this.readingPromise;
 			delete this.inputContent;
 			delete this._frontMatterDataCache;
+			this.#includeDependencies = undefined;
 		}
 		if (types.render) {
 			this.#templateRender = undefined;
@@ -142,6 +145,10 @@ class TemplateContent {
 		return this.config.benchmarkManager.get("Aggregate");
 	}
 
+	get profiler() {
+		return this.config.benchmarkManager.profiler;
+	}
+
 	get engine() {
 		return this.templateRender.engine;
 	}
@@ -258,10 +265,12 @@ class TemplateContent {
 				options.filePath = this.inputPath;
 				fm = matter(content, options);
 			} catch (e) {
-				throw new TemplateContentFrontMatterError(
+				let error = new TemplateContentFrontMatterError(
 					`Having trouble reading front matter from template ${this.inputPath}`,
 					e,
 				);
+				error.inputPath = this.inputPath;
+				throw error;
 			}
 
 			if (typeof fm.data?.then === "function") {
@@ -357,6 +366,7 @@ class TemplateContent {
 
 		let templateBenchmark = this.bench.get("Template Read");
 		templateBenchmark.before();
+		let endProfile = this.profiler.start("read", this.inputPath);
 
 		let content;
 
@@ -375,6 +385,7 @@ class TemplateContent {
 		}
 
 		templateBenchmark.after();
+		endProfile();
 
 		return content;
 	}
@@ -528,10 +539,12 @@ class TemplateContent {
 			let inputPathBenchmark = this.bench.get(`> Compile${typeStr} > ${this.inputPath}`);
 			templateBenchmark.before();
 			inputPathBenchmark.before();
+			let endProfile = this.profiler.start("compile", this.inputPath, { type });
 
 			let fn = await tr.getCompiledTemplate(str);
 			inputPathBenchmark.after();
 			templateBenchmark.after();
+			endProfile();
 
 			if (this.config.useTemplateCache && res) {
 				res(fn);
@@ -543,9 +556,9 @@ class TemplateContent {
 				cache.delete(key);
 			}
 			debug(`Having trouble compiling template ${this.inputPath}: %O`, str);
-			throw new TemplateContentCompileError(
-				`Having trouble compiling template ${this.inputPath}`,
-				e,
+			throw await this.#addErrorLocation(
+				new TemplateContentCompileError(`Having trouble compiling template ${this.inputPath}`, e),
+				type,
 			);
 		}
 	}
@@ -575,6 +588,45 @@ class TemplateContent {
 		}
 	}
 
+	async #getIncludeDependencies() {
+		await this.asyncTemplateInitialization();
+
+		// Markdown uses the preprocessor engine for includes
+		let engine = this.#renderPreprocessorEngine || this.engine;
+		if (typeof engine.parseForIncludes !== "function") {
+			return;
+		}
+
+		let { content, language } = await this.read();
+		if (typeof content !== "string") {
+			return;
+		}
+
+		let dependencies = getIncludeDependencies(engine, content, this.inputPath);
+
+		// JavaScript front matter can define functions that read any data
+		dependencies.usesAnyData = language === "js" || language === "javascript";
+
+		// Front matter (e.g. `permalink` or `eleventyComputed`) can reference data too
+		let rawContent = await this.inputContent;
+		dependencies.contents.unshift(typeof rawContent === "string" ? rawContent : content);
+
+		return dependencies;
+	}
+
+	/**
+	 * Include files used by this template’s content, found by scanning the content (not rendering it).
+	 *
+	 * @returns {Promise<{files: Array<string>, contents: Array<string>, isComplete: boolean, usesAnyData?: boolean}|undefined>} `undefined` if the template language can’t be scanned (e.g. JavaScript)
+	 */
+	async getIncludeDependencies() {
+		if (!this.#includeDependencies) {
+			this.#includeDependencies = this.#getIncludeDependencies();
+		}
+
+		return this.#includeDependencies;
+	}
+
 	// used by computed data or for permalink functions
 	async _renderFunction(fn, ...args) {
 		let mixins = Object.assign({}, this.config.javascriptFunctions);
@@ -658,6 +710,35 @@ class TemplateContent {
 		return suffix.join("");
 	}
 
+	// Number of lines before the content (e.g. front matter), `undefined` if unknown
+	async #getContentLineOffset() {
+		let rawContent = await this.inputContent;
+		let { content } = await this.read();
+		if (
+			typeof rawContent !== "string" ||
+			typeof content !== "string" ||
+			!rawContent.endsWith(content)
+		) {
+			return;
+		}
+
+		return rawContent.slice(0, rawContent.length - content.length).split("\n").length - 1;
+	}
+
+	// Used by `getErrorPayload`: template language line numbers are relative to the rendered string,
+	// which is only the file content for the template body (not permalinks or computed data)
+	async #addErrorLocation(error, type) {
+		error.inputPath = this.inputPath;
+		if (type === undefined || type === "Content") {
+			try {
+				error.lineOffset = await this.#getContentLineOffset();
+			} catch {
+				// Front matter errors are reported separately
+			}
+		}
+		return error;
+	}
+
 	async _render(str, data, options = {}) {
 		let { bypassMarkdown, type } = options;
 
@@ -689,12 +770,18 @@ class TemplateContent {
 				inputPathBenchmark.before();
 			}
 
+			let endProfile = this.profiler.start("render", this.inputPath, {
+				type,
+				url: data?.page?.url,
+			});
+
 			let rendered = await fn(data);
 
 			if (inputPathBenchmark) {
 				inputPathBenchmark.after();
 			}
 			templateBenchmark.after();
+			endProfile();
 
 			return rendered;
 		} catch (e) {
@@ -705,9 +792,12 @@ class TemplateContent {
 				let engine = tr.getReadableEnginesList();
 				debug(`Having trouble rendering ${engine} template ${this.inputPath}: %O`, str);
 				return Promise.reject(
-					new TemplateContentRenderError(
-						`Having trouble rendering ${engine} template ${this.inputPath}`,
-						e,
+					await this.#addErrorLocation(
+						new TemplateContentRenderError(
+							`Having trouble rendering ${engine} template ${this.inputPath}`,
+							e,
+						),
+						options.type,
 					),
 				);
 			}
@@ -165,6 +165,14 @@ class TemplateLayout extends TemplateContent {
 		return this.layoutChain;
 	}
 
+	// Layout instances for the whole layout chain, starting with this one
+	async getLayoutTemplates() {
+		let map = await this.getTemplateLayoutMap();
+		return map.map(({ key }) => {
+			return TemplateLayout.getTemplate(key, this.eleventyConfig, this.extensionMap);
+		});
+	}
+
 	async #getData() {
 		let map = await this.getTemplateLayoutMap();
 		let dataToMerge = [];
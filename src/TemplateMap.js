@@ -7,8 +7,11 @@ import UsingCircularTemplateContentReferenceError from "./Errors/UsingCircularTe
 import DuplicatePermalinkOutputError from "./Errors/DuplicatePermalinkOutputError.js";
 import TemplateData from "./Data/TemplateData.js";
 import GlobalDependencyMap from "./GlobalDependencyMap.js";
+import DataSchemas from "./Data/DataSchemas.js";
 import { ResolveConfigurationData } from "./Data/ResolveConfigurationData.js";
 import { createDebug } from "./Util/DebugLogUtil.js";
+import { getRedirectSources, getRedirectUrlKey, REDIRECT_PAGE_DATA_KEY } from "./Util/Redirects.js";
+import { PAGE_DEPENDENCIES_DATA_KEY } from "./Util/Taxonomy.js";
 
 const debug = createDebug("TemplateMap");
 
@@ -27,6 +30,7 @@ const SPECIAL_COLLECTION_NAMES = {
 
 class TemplateMap {
 	#dependencyMapInitialized = false;
+	#renderPool;
 
 	constructor(eleventyConfig) {
 		if (!eleventyConfig || eleventyConfig.constructor.name !== "TemplateConfig") {
@@ -73,6 +77,9 @@ class TemplateMap {
 			return;
 		}
 
+		// Includes and data files, added to the dependency graph for incremental builds
+		map.fileDependencies = await template.getFileDependencies(data);
+
 		this.map.push(map);
 		this.#addToInputPathMap(map); // NEW: Add to lookup Map for O(1) access
 	}
@@ -81,6 +88,26 @@ class TemplateMap {
 		return this.map;
 	}
 
+	setRenderPool(renderPool) {
+		this.#renderPool = renderPool;
+	}
+
+	// Templates dispatched to worker threads are not rendered on the main thread
+	#dispatchToRenderPool(orderedMap) {
+		let entries = this.#renderPool.getParallelEntries(orderedMap, this.collectionsData);
+		if (entries.length === 0) {
+			return;
+		}
+
+		for (let entry of entries) {
+			entry.template.setRenderableOverride(false);
+		}
+
+		this.renderPoolPromise = this.#renderPool.render(entries);
+		// Awaited later in TemplateWriter->generateTemplates, avoids an unhandled rejection until then
+		this.renderPoolPromise.catch(() => {});
+	}
+
 	#addToInputPathMap(mapEntry) {
 		// Store under absolute path
 		let absoluteInputPath = TemplatePath.absolutePath(mapEntry.inputPath);
@@ -127,6 +154,10 @@ class TemplateMap {
 		let publishes = TemplateData.getIncludedCollectionNames(entry.data);
 
 		this.config.uses.addNewNodeRelationships(entry.inputPath, consumes, publishes);
+
+		if (entry.fileDependencies) {
+			this.config.uses.addFileDependencies(entry.inputPath, entry.fileDependencies);
+		}
 	}
 
 	addAllToGlobalDependencyGraph() {
@@ -237,9 +268,32 @@ class TemplateMap {
 
 				counter++;
 			}
+
+			this.#addPageDependencies(map);
 		}
 	}
 
+	// Used by incremental builds to skip unaffected pages of a paginated template, see TemplateWriter
+	#addPageDependencies(map) {
+		let callback = ResolveConfigurationData.getValue(map.data, PAGE_DEPENDENCIES_DATA_KEY);
+		if (typeof callback !== "function" || !map.data.pagination) {
+			return;
+		}
+
+		let pages = {};
+		for (let page of map._pages) {
+			let dependencies = callback(page.data);
+			if (Array.isArray(dependencies)) {
+				pages[page.url] = dependencies;
+			}
+		}
+
+		let target = this.collectionsData[this.getPaginationTagTarget(map)];
+		let scope = Array.isArray(target) ? target.map((entry) => entry.inputPath) : [];
+
+		this.config.uses.setPageDependencies(map.inputPath, pages, scope);
+	}
+
 	getTemplateOrder() {
 		// 1. Templates that don’t use Pagination
 		// 2. Pagination templates that consume config API collections
@@ -289,6 +343,10 @@ class TemplateMap {
 			return this.getMapEntryForInputPath(inputPath);
 		});
 
+		if (this.#renderPool) {
+			this.#dispatchToRenderPool(orderedMap);
+		}
+
 		await this.config.events.emitLazy("buildawesome.contentmap", () => {
 			return {
 				inputPathToUrl: this.generateInputUrlContentMap(orderedMap),
@@ -344,20 +402,25 @@ class TemplateMap {
 	}
 
 	async runDataSchemas(orderedMap) {
+		let dataSchemas = new DataSchemas(this.eleventyConfig);
+		dataSchemas.setCollections(this.collectionsData);
+
 		for (let map of orderedMap) {
 			if (!map._pages) {
 				continue;
 			}
 
 			for (let pageEntry of map._pages) {
+				let schemas = dataSchemas.getSchemasForPage(pageEntry);
+
 				// Data Schema callback #879
-				let dataSchemaCallback = ResolveConfigurationData.getValue(
+				let dataSchema = ResolveConfigurationData.getValue(
 					pageEntry.data,
 					this.config.keys.dataSchema,
 				);
-				if (dataSchemaCallback !== undefined && typeof dataSchemaCallback === "function") {
+				if (dataSchema !== undefined && typeof dataSchema === "function") {
 					try {
-						await dataSchemaCallback(pageEntry.data);
+						await dataSchema(pageEntry.data);
 					} catch (e) {
 						let dataSchemaLocation = ResolveConfigurationData.getEligibleLocations(
 							this.config.keys.dataSchema,
@@ -367,9 +430,18 @@ class TemplateMap {
 							e,
 						);
 					}
+				} else if (Array.isArray(dataSchema)) {
+					schemas.push(...dataSchema.filter((schema) => DataSchemas.isJsonSchema(schema)));
+				} else if (DataSchemas.isJsonSchema(dataSchema)) {
+					schemas.push(dataSchema);
 				}
+
+				// JSON Schema violations are reported together after all pages are checked
+				dataSchemas.validate(pageEntry, schemas);
 			}
 		}
+
+		dataSchemas.throwIfInvalid();
 	}
 
 	async populateContentDataInMap(orderedMap) {
@@ -560,6 +632,11 @@ class TemplateMap {
 	}
 
 	checkForDuplicatePermalinks() {
+		// `redirectFrom` is only reserved when the Redirects plugin is added
+		if (this.userConfig.checkRedirectSources) {
+			this.checkForDuplicateRedirects();
+		}
+
 		let inputs = {};
 		let outputPaths = {};
 		let warnings = {};
@@ -605,6 +682,35 @@ ${outputPaths[page.outputPath]
 		}
 	}
 
+	// `redirectFrom` URLs must not collide with other pages or redirects
+	checkForDuplicateRedirects() {
+		let urls = {};
+		this.#onEachPage((page) => {
+			// Skip pages generated by the Redirects plugin
+			if (page.url !== false && !page.data?.[REDIRECT_PAGE_DATA_KEY]) {
+				urls[getRedirectUrlKey(page.url)] = page.inputPath;
+			}
+		});
+
+		let redirects = {};
+		this.#onEachPage((page) => {
+			for (let from of getRedirectSources(page.data)) {
+				let key = getRedirectUrlKey(from);
+				if (urls[key]) {
+					throw new DuplicatePermalinkOutputError(
+						`The redirect from \`${from}\` in "${page.inputPath}" conflicts with an existing page at the same URL ("${urls[key]}").`,
+					);
+				}
+				if (redirects[key] && redirects[key].url !== page.url) {
+					throw new DuplicatePermalinkOutputError(
+						`Multiple pages redirect from \`${from}\`: "${redirects[key].inputPath}" and "${page.inputPath}".`,
+					);
+				}
+				redirects[key] = page;
+			}
+		});
+	}
+
 	checkForMissingFileExtensions() {
 		// disabled in config
 		if (this.userConfig?.errorReporting?.allowMissingExtensions === true) {
@@ -20,6 +20,7 @@ class TemplatePassthrough {
 	#benchmarks;
 	#isAlreadyNormalized = false;
 	#projectDirCheck = false;
+	#fingerprints;
 
 	// paths already guaranteed from the autocopy plugin
 	static factory(inputPath, outputPath, opts = {}) {
@@ -165,6 +166,14 @@ class TemplatePassthrough {
 		this.fileSystemSearch = fileSystemSearch;
 	}
 
+	setFingerprints(fingerprints) {
+		this.#fingerprints = fingerprints;
+	}
+
+	isHashed() {
+		return Boolean(this.copyOptions?.hash && this.#fingerprints);
+	}
+
 	async getFiles(glob) {
 		debug("Searching for: %o", glob);
 		let b = this.benchmarks.aggregate.get("Searching the file system (passthrough)");
@@ -273,6 +282,8 @@ class TemplatePassthrough {
 		let fileSizeCount = 0;
 		let map = {};
 		let b = this.benchmarks.aggregate.get("Passthrough Copy File");
+		let profiler = this.config.benchmarkManager.profiler;
+		let profiles = new Map();
 
 		// returns a promise
 		return copy(src, dest, copyOptions)
@@ -280,6 +291,10 @@ class TemplatePassthrough {
 				// Access to individual files at `copyOp.src`
 				map[copyOp.src] = copyOp.dest;
 				b.before();
+				profiles.set(
+					copyOp.src,
+					profiler.start("passthrough", TemplatePath.addLeadingDotSlash(copyOp.src)),
+				);
 			})
 			.on(copy.events.COPY_FILE_COMPLETE, (copyOp) => {
 				fileCopyCount++;
@@ -294,6 +309,10 @@ class TemplatePassthrough {
 					debug(`Copied %o file from %o`, readableFileSize(copyOp.stats.size), copyOp.src);
 				}
 				b.after();
+				profiles.get(copyOp.src)?.({
+					outputPath: TemplatePath.addLeadingDotSlash(copyOp.dest),
+					size: copyOp.stats.size,
+				});
 			})
 			.then(
 				() => {
@@ -328,7 +347,9 @@ class TemplatePassthrough {
 		}
 
 		debug("Copying %o", this.inputPath);
-		let fileMap = await this.getFileMap();
+		let fileMap = this.isHashed()
+			? this.#fingerprints.getFileMap(this.inputPath)
+			: await this.getFileMap();
 
 		// default options for recursive-copy
 		// see https://www.npmjs.com/package/recursive-copy#arguments
@@ -346,6 +367,8 @@ class TemplatePassthrough {
 		};
 
 		let copyOptions = Object.assign(copyOptionsDefault, this.copyOptions);
+		// `hash` is not a recursive-copy option
+		delete copyOptions.hash;
 
 		let promises = fileMap.map((entry) => {
 			// For-free passthrough copy
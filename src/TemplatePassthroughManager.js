@@ -2,6 +2,7 @@ import { TemplatePath } from "@11ty/eleventy-utils";
 
 import BaseError from "./Errors/BaseError.js";
 import TemplatePassthrough from "./TemplatePassthrough.js";
+import PassthroughFingerprints from "./PassthroughFingerprints.js";
 import checkPassthroughCopyBehavior from "./Util/PassthroughCopyBehaviorCheck.js";
 import { isGlobMatch, isDynamicPattern } from "./Util/GlobMatcher.js";
 import { createDebug } from "./Util/DebugLogUtil.js";
@@ -15,6 +16,7 @@ class TemplatePassthroughManager {
 	#afterBuild;
 	#queue = new Map();
 	#extensionMap;
+	#fingerprints;
 
 	constructor(templateConfig) {
 		if (!templateConfig || templateConfig.constructor.name !== "TemplateConfig") {
@@ -23,6 +25,7 @@ class TemplatePassthroughManager {
 
 		this.templateConfig = templateConfig;
 		this.config = templateConfig.getConfig();
+		this.#fingerprints = new PassthroughFingerprints(templateConfig);
 
 		// eleventy# event listeners are removed on each build
 		this.config.events.on("buildawesome#copy", ({ source, target, options }) => {
@@ -151,6 +154,7 @@ class TemplatePassthroughManager {
 		let inst = new TemplatePassthrough(path, this.templateConfig);
 
 		inst.setFileSystemSearch(this.fileSystemSearch);
+		inst.setFingerprints(this.#fingerprints);
 		inst.setDryRun(this.#isDryRun);
 		inst.setRunMode(this.runMode);
 
@@ -330,6 +334,20 @@ class TemplatePassthroughManager {
 		return entries;
 	}
 
+	// Must run before templates render, hashed URLs are used in template output
+	async generateFingerprints() {
+		let passthroughs = this.getConfigPaths()
+			.filter(({ copyOptions }) => copyOptions?.hash)
+			.map((path) => this.getTemplatePassthroughForPath(path));
+
+		await this.#fingerprints.generate(passthroughs);
+
+		await this.config.events.emit("buildawesome.fingerprints", {
+			urlToHashedUrl: this.#fingerprints.getUrlMap(),
+			inputPathToHashedUrl: this.#fingerprints.getInputPathMap(),
+		});
+	}
+
 	async #waitForTemplatesRendered() {
 		if (!this.#afterBuild) {
 			return Promise.resolve(); // immediately resolve
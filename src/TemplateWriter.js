@@ -19,6 +19,12 @@ class TemplateWriter {
 	#logger;
 	#extensionMap;
 	#incrementalFiles = [];
+	#buildCache;
+	#buildManifest;
+	#outputCleanup;
+	#isIncrementalViaBuildCache = false;
+	#renderPool;
+	#renderPartition;
 
 	constructor(
 		templateFormats, // TODO remove this in favor of this.#eleventyFiles
@@ -39,6 +45,8 @@ class TemplateWriter {
 		this.writeCount = 0;
 		this.renderCount = 0;
 		this.skippedCount = 0;
+		// Drafts and scheduled pages (see Template->getUnpublished)
+		this.unpublished = [];
 		this.isRunInitialBuild = true;
 
 		this._templatePathCache = new Map();
@@ -94,6 +102,7 @@ class TemplateWriter {
 		this.writeCount = 0;
 		this.renderCount = 0;
 		this.skippedCount = 0;
+		this.unpublished = [];
 	}
 
 	set extensionMap(extensionMap) {
@@ -115,6 +124,27 @@ class TemplateWriter {
 		this.#eleventyFiles = eleventyFiles;
 	}
 
+	setBuildCache(buildCache) {
+		this.#buildCache = buildCache;
+	}
+
+	setBuildManifest(buildManifest) {
+		this.#buildManifest = buildManifest;
+	}
+
+	setOutputCleanup(outputCleanup) {
+		this.#outputCleanup = outputCleanup;
+	}
+
+	setRenderPool(renderPool) {
+		this.#renderPool = renderPool;
+	}
+
+	// Used in worker threads, only these templates are rendered (see RenderPool)
+	setRenderPartition(inputPaths) {
+		this.#renderPartition = new Set(inputPaths);
+	}
+
 	// Tests
 	getPassthroughGlobs() {
 		return this.#eleventyFiles?.passthroughGlobs;
@@ -341,6 +371,8 @@ class TemplateWriter {
 			// Render overrides are only used when `--ignore-initial` is in play and an initial build is not run
 			if (ignoreInitialBuild) {
 				tmpl.setRenderableOverride(false); // disable render
+			} else if (this.#renderPartition && !this.#renderPartition.has(tmpl.inputPath)) {
+				tmpl.setRenderableOverride(false); // rendered by another thread
 			} else {
 				tmpl.setRenderableOverride(undefined); // unset, render
 			}
@@ -391,23 +423,64 @@ class TemplateWriter {
 			return true;
 		});
 
-		if (this.#incrementalFiles?.length > 0) {
+		// An empty list from the build cache means nothing changed
+		if (this.#incrementalFiles?.length > 0 || this.#isIncrementalViaBuildCache) {
 			await this.#addToTemplateMapIncrementalBuild(incrementalFileShapes, paths, to);
 		} else {
 			await this.#addToTemplateMapFullBuild(paths, to);
 		}
 	}
 
+	// Full builds only
+	#isRenderPoolEnabled(to) {
+		return (
+			to === "fs" &&
+			!this.isDryRun &&
+			this.isRunInitialBuild &&
+			!(this.#incrementalFiles?.length > 0) &&
+			!this.#isIncrementalViaBuildCache &&
+			Boolean(this.#renderPool?.isEnabled())
+		);
+	}
+
 	async createTemplateMap(paths, to) {
 		this.templateMap = new TemplateMap(this.templateConfig);
+		if (this.#isRenderPoolEnabled(to)) {
+			this.templateMap.setRenderPool(this.#renderPool);
+		}
 
 		await this.#addToTemplateMap(paths, to);
 		await this.templateMap.cache();
 
+		this.unpublished = this.templateMap.map.flatMap((mapEntry) => {
+			return mapEntry.template.getUnpublished();
+		});
+
+		if (this.#incrementalFiles?.length > 0) {
+			this.#skipUnaffectedPages();
+		}
+
 		// Return is used by tests
 		return this.templateMap;
 	}
 
+	// Paginated pages with their own dependencies (e.g. taxonomy term pages) are only written when relevant
+	#skipUnaffectedPages() {
+		for (let mapEntry of this.templateMap.map) {
+			if (mapEntry.template.isDryRun || !mapEntry.data.pagination) {
+				continue;
+			}
+
+			for (let page of mapEntry._pages || []) {
+				if (
+					!this.config.uses.isPageRelevantTo(mapEntry.inputPath, page.url, this.#incrementalFiles)
+				) {
+					page.skipViaIncremental = true;
+				}
+			}
+		}
+	}
+
 	async #generateTemplate(mapEntry, to) {
 		let tmpl = mapEntry.template;
 
@@ -435,6 +508,17 @@ class TemplateWriter {
 		await this.createTemplateMap(paths, to);
 		debug("Template map created.");
 
+		// Templates rendered on worker threads
+		if (this.templateMap.renderPoolPromise) {
+			promises.push(
+				this.templateMap.renderPoolPromise.then(({ templates, writeCount, renderCount }) => {
+					this.renderCount += renderCount;
+					this.writeCount += writeCount;
+					return templates;
+				}),
+			);
+		}
+
 		let usedTemplateContentTooEarlyMap = [];
 		for (let mapEntry of this.templateMap.getMap()) {
 			promises.push(
@@ -475,6 +559,7 @@ class TemplateWriter {
 	// Similiar to `write()` but skips passthrough copy
 	async writeTemplates() {
 		let paths = await this._getAllPaths();
+		await this.#passthroughManager?.generateFingerprints();
 
 		return Promise.all(await this.generateTemplates(paths)).then(
 			(templateResults) => {
@@ -489,8 +574,36 @@ class TemplateWriter {
 		);
 	}
 
+	#getBuildCacheTemplatePaths(paths) {
+		return paths.filter((path) => this.extensionMap.hasEngine(path));
+	}
+
+	// Only used for full builds, in-memory incremental builds (via watch/serve) take precedence
+	async #useBuildCache(paths) {
+		if (
+			!this.#buildCache?.isEnabled() ||
+			this.isDryRun ||
+			!this.isRunInitialBuild ||
+			this.#incrementalFiles?.length > 0
+		) {
+			return false;
+		}
+
+		let files = await this.#buildCache.getIncrementalFiles(this.#getBuildCacheTemplatePaths(paths));
+		if (files) {
+			// Passthrough copy is not cached (this skips `passthroughManager->setIncrementalFiles`)
+			this.#incrementalFiles = files;
+			this.#isIncrementalViaBuildCache = true;
+		}
+
+		return true;
+	}
+
 	async write() {
 		let paths = await this._getAllPaths();
+		let useBuildCache = await this.#useBuildCache(paths);
+
+		await this.#passthroughManager?.generateFingerprints();
 
 		// This must happen before writePassthroughCopy
 		this.templateConfig.userConfig.emit("buildawesome#beforerender");
@@ -505,10 +618,32 @@ class TemplateWriter {
 
 		return Promise.all([aggregatePassthroughCopyPromise, templatesPromise]).then(
 			async ([passthroughCopyResults, templateResults]) => {
+				// New in 3.0: flatten and filter out falsy templates
+				let templates = templateResults.flat().filter(Boolean);
+
+				if (useBuildCache) {
+					await this.#buildCache.save(this.#getBuildCacheTemplatePaths(paths), templates);
+				}
+
+				if (this.#buildManifest?.isEnabled() && !this.isDryRun) {
+					await this.#buildManifest.write({
+						templateMap: this.templateMap,
+						passthroughCopy: passthroughCopyResults,
+					});
+				}
+
+				if (this.#outputCleanup?.isEnabled() && !this.isDryRun && this.isRunInitialBuild) {
+					this.#outputCleanup.clean({
+						templateMap: this.templateMap,
+						passthroughCopy: passthroughCopyResults,
+						// Passthrough copy is not incremental when using the build cache
+						isIncremental: this.#incrementalFiles?.length > 0 && !this.#isIncrementalViaBuildCache,
+					});
+				}
+
 				return {
 					passthroughCopy: passthroughCopyResults,
-					// New in 3.0: flatten and filter out falsy templates
-					templates: templateResults.flat().filter(Boolean),
+					templates,
 				};
 			},
 			(e) => {
@@ -521,6 +656,7 @@ class TemplateWriter {
 	// --incremental not supported in JSON output.
 	async getJSON(to = "json") {
 		let paths = await this._getAllPaths();
+		await this.#passthroughManager?.generateFingerprints();
 		let promises = await this.generateTemplates(paths, to);
 
 		return Promise.all(promises).then(
@@ -550,6 +686,7 @@ class TemplateWriter {
 	}
 	resetIncremental() {
 		this.#incrementalFiles = [];
+		this.#isIncrementalViaBuildCache = false;
 		this.#passthroughManager?.resetIncremental();
 	}
 
@@ -560,6 +697,7 @@ class TemplateWriter {
 			skipCount: this.skippedCount,
 			writeCount: this.writeCount,
 			renderCount: this.renderCount,
+			unpublished: this.unpublished,
 		};
 	}
 
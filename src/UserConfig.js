@@ -8,7 +8,10 @@ import EventEmitter from "./Util/AsyncEventEmitter.js";
 import Compatibility from "./Util/Compatibility.js";
 import BaseError from "./Errors/BaseError.js";
 import BenchmarkManager from "./Benchmark/BenchmarkManager.js";
+import RenderBudget from "./Benchmark/RenderBudget.js";
 import { augmentFunction } from "./Engines/Util/ContextAugmenter.js";
+import { getTaxonomyTemplates } from "./Util/Taxonomy.js";
+import { RELOAD_KINDS } from "./Util/ServerReload.js";
 
 const debug = createDebug("UserConfig");
 
@@ -34,6 +37,10 @@ export default class UserConfig {
 	#concurrency = 1;
 	// Before using os.availableParallelism(); see https://github.com/11ty/eleventy/issues/3596
 	#experimentalFlags = [];
+	/** @type {Map<string, boolean>} */
+	#callbackNames = new Map();
+	/** @type {boolean} */
+	#builtInConfig = false;
 
 	constructor() {
 		// These are completely unnecessary lines to satisfy TypeScript
@@ -59,6 +66,10 @@ export default class UserConfig {
 		this.pathPrefix;
 		/** @type {object} */
 		this.errorReporting = {};
+		/** @type {object} */
+		this.buildCache = {};
+		/** @type {object} */
+		this.cleanOrphanedOutput = {};
 
 		this.reset();
 		this.#uniqueId = Math.random();
@@ -79,6 +90,9 @@ export default class UserConfig {
 		/** @type {BenchmarkManager} */
 		this.benchmarkManager = new BenchmarkManager();
 
+		// Filter, shortcode, and custom tag name => whether it was added by the default configuration
+		this.#callbackNames = new Map();
+
 		/** @type {object} */
 		this.benchmarks = {
 			/** @type {import('./Benchmark/BenchmarkGroup.js')} */
@@ -180,6 +194,8 @@ export default class UserConfig {
 		/** @type {object} */
 		this.globalData = {};
 		/** @type {object} */
+		this.remoteData = {};
+		/** @type {object} */
 		this.chokidarConfig = {};
 		this.watchThrottleWaitTime = 100; //ms
 
@@ -191,11 +207,39 @@ export default class UserConfig {
 		this.plugins = [];
 
 		this.useTemplateCache = true;
+
+		/** @type {object} */
+		this.buildCache = {
+			enabled: false,
+			directory: ".cache/buildawesome/",
+		};
+		/** @type {string|false} */
+		this.buildManifest = false;
+		/** @type {object|undefined} */
+		this.renderBudget = undefined;
+		/** @type {object} */
+		this.cleanOrphanedOutput = {
+			enabled: false,
+			dryRun: false,
+			ignore: [],
+			directory: ".cache/buildawesome-output/",
+		};
+		/** @type {number} */
+		this.renderWorkers = 0;
+		/** @type {object} */
+		this.dataSchemas = {};
+		/** @type {object} */
+		this.taxonomies = {};
+
 		this.dataFilterSelectors = new Set();
 
 		/** @type {object} */
 		this.libraryAmendments = {};
 		this.serverPassthroughCopyBehavior = "copy"; // or "passthrough"
+		/** @type {object|function|undefined} */
+		this.serverReloadStrategy = undefined;
+		/** @type {boolean} Set by the Redirects plugin (`redirectFrom` is not reserved without it) */
+		this.checkRedirectSources = false;
 		this.urlTransforms = [];
 
 		// Defaults in `defaultConfig.js`
@@ -320,9 +364,33 @@ export default class UserConfig {
 			debug(`Adding new ${description} "%o" via \`%o(%o)\``, name, functionName, originalName);
 		}
 
+		this.#callbackNames.set(name, this.#builtInConfig);
+
+		// Timings for `--profile` and `setRenderBudget`
+		/** @type {"filters"|"shortcodes"|undefined} */
+		let callbackKind = description.includes("Filter")
+			? "filters"
+			: description.includes("Shortcode")
+				? "shortcodes"
+				: undefined;
+		if (callbackKind && this.benchmarkManager) {
+			callback = this.benchmarkManager.wrapCallback(callbackKind, name, callback);
+		}
+
 		target[name] = this.#decorateCallback(`"${name}" ${description}`, callback);
 	}
 
+	/**
+	 * Filters, shortcodes, and custom tags added by the project or plugins (these can read any data, e.g. via `this.ctx`).
+	 *
+	 * @returns {Array<string>}
+	 */
+	getUserCallbackNames() {
+		return Array.from(this.#callbackNames)
+			.filter(([, isBuiltIn]) => !isBuiltIn)
+			.map(([name]) => name);
+	}
+
 	#decorateCallback(type, callback) {
 		return this.benchmarks.config.add(type, callback);
 	}
@@ -625,6 +693,16 @@ export default class UserConfig {
 		this.#pluginExecution = false;
 	}
 
+	// Internal method, while the default configuration runs (see `getUserCallbackNames`)
+	_enableBuiltInConfig() {
+		this.#builtInConfig = true;
+	}
+
+	// Internal method
+	_disableBuiltInConfig() {
+		this.#builtInConfig = false;
+	}
+
 	/* Config is executed in two stages and plugins are the second stage—are we in the plugins stage? */
 	isPluginExecution() {
 		return this.#pluginExecution;
@@ -772,6 +850,9 @@ export default class UserConfig {
 					"mode: 'html-relative' does not yet support passthrough copy objects (input -> output mapping). Use a string glob or an Array of string globs.",
 				);
 			}
+			if (copyOptions.hash) {
+				throw new Error("mode: 'html-relative' does not yet support the `hash` option.");
+			}
 
 			this.passthroughCopiesHtmlRelative?.add({
 				match: fileOrDir,
@@ -985,6 +1066,221 @@ export default class UserConfig {
 		this.useTemplateCache = !!bypass;
 	}
 
+	/**
+	 * Persist hashes, the dependency graph, and rendered output to disk so that later builds
+	 * only render templates with changed inputs.
+	 *
+	 * @param {boolean|{enabled?: boolean, directory?: string}} options - `true`, `false`, or an options object.
+	 */
+	setBuildCache(options = true) {
+		if (typeof options === "boolean") {
+			options = { enabled: options };
+		} else if (!isPlainObject(options)) {
+			throw new UserConfigError(
+				"Argument passed to `setBuildCache` must be a boolean or an object (e.g. `{ directory }`).",
+			);
+		}
+
+		Object.assign(this.buildCache, { enabled: true }, options);
+	}
+
+	/**
+	 * Write a JSON manifest of every input to output mapping (and its dependencies) after each build.
+	 *
+	 * @param {string|false} outputPath - Project-relative file path, e.g. `.cache/manifest.json`
+	 */
+	setBuildManifest(outputPath) {
+		if (outputPath !== false && (typeof outputPath !== "string" || !outputPath)) {
+			throw new UserConfigError(
+				"Argument passed to `setBuildManifest` must be a file path string (or `false` to disable).",
+			);
+		}
+
+		this.buildManifest = outputPath;
+	}
+
+	/**
+	 * List the slowest pages (with their layout chain and heaviest filters and shortcodes) after each
+	 * build and warn (or fail the build) when rendering takes too long.
+	 *
+	 * @param {{perPageMs?: number, totalMs?: number, slowest?: number, onExceeded?: "warn"|"error"}} options - `perPageMs` covers a page’s content, layouts, and transforms, `totalMs` covers the whole build, `slowest` is the number of pages to list (default 10)
+	 */
+	setRenderBudget(options) {
+		if (!isPlainObject(options)) {
+			throw new UserConfigError(
+				"Argument passed to `setRenderBudget` must be an object (e.g. `{ perPageMs: 200 }`).",
+			);
+		}
+
+		for (let key of ["perPageMs", "totalMs", "slowest"]) {
+			let value = options[key];
+			if (value !== undefined && (typeof value !== "number" || isNaN(value) || value < 0)) {
+				throw new UserConfigError(
+					`Invalid \`${key}\` passed to \`setRenderBudget\`: ${value}. Expected a number (0 or more).`,
+				);
+			}
+		}
+
+		if (
+			options.onExceeded !== undefined &&
+			!RenderBudget.ON_EXCEEDED.includes(options.onExceeded)
+		) {
+			throw new UserConfigError(
+				`Invalid \`onExceeded\` passed to \`setRenderBudget\`: ${options.onExceeded}. Expected one of: ${RenderBudget.ON_EXCEEDED.join(", ")}`,
+			);
+		}
+
+		this.renderBudget = options;
+	}
+
+	/**
+	 * Delete files from the output directory that were written by the previous build but not the current one.
+	 *
+	 * @param {boolean|{enabled?: boolean, dryRun?: boolean, ignore?: string|Array<string>, directory?: string}} options - `ignore` globs are relative to the output directory, `directory` is where the list of previous outputs is stored
+	 */
+	setCleanOrphanedOutput(options = true) {
+		if (typeof options === "boolean") {
+			options = { enabled: options };
+		} else if (!isPlainObject(options)) {
+			throw new UserConfigError(
+				"Argument passed to `setCleanOrphanedOutput` must be a boolean or an object (e.g. `{ dryRun, ignore }`).",
+			);
+		}
+
+		Object.assign(this.cleanOrphanedOutput, { enabled: true }, options);
+	}
+
+	/**
+	 * Render independent templates on worker threads. Templates that consume collections (and the
+	 * templates they consume) are always rendered on the main thread.
+	 *
+	 * @param {number} count - Number of worker threads, `0` to disable
+	 */
+	setRenderWorkers(count) {
+		if (!Number.isInteger(count) || count < 0) {
+			throw new UserConfigError(
+				"Argument passed to `setRenderWorkers` must be a non-negative integer.",
+			);
+		}
+
+		this.renderWorkers = count;
+	}
+
+	/**
+	 * Validate the data of every page in a collection against a JSON Schema. All violations in the
+	 * project are reported together.
+	 *
+	 * @param {string} collectionName - Tag or collection name, `all` for every page
+	 * @param {object|boolean|string} schema - JSON Schema or a project-relative path to a `.json` schema file
+	 */
+	addDataSchema(collectionName, schema) {
+		if (typeof collectionName !== "string" || !collectionName) {
+			throw new UserConfigError(
+				"First argument passed to `addDataSchema` must be a collection name string.",
+			);
+		}
+		if (typeof schema !== "string" && typeof schema !== "boolean" && !isPlainObject(schema)) {
+			throw new UserConfigError(
+				"Second argument passed to `addDataSchema` must be a JSON Schema object or a file path string.",
+			);
+		}
+
+		if (!this.dataSchemas[collectionName]) {
+			this.dataSchemas[collectionName] = [];
+		}
+		this.dataSchemas[collectionName].push(schema);
+	}
+
+	/**
+	 * Fetch global data from a URL at build time. Responses are cached on disk and an expired
+	 * cached response is used when the network is unavailable.
+	 *
+	 * @param {string} name - Global data key
+	 * @param {object} options
+	 * @param {string|URL} options.url
+	 * @param {"json"|"text"|"xml"} [options.type="json"] - `text` and `xml` return a string
+	 * @param {string} [options.duration="1d"] - How long a cached response is used, e.g. `30m`, `1d`, or `*`
+	 * @param {boolean} [options.offline=false] - Only use the disk cache, never the network
+	 * @param {string} [options.directory] - Cache directory (defaults to a folder in the build cache directory)
+	 * @param {object} [options.fetchOptions] - Passed to `fetch`
+	 */
+	addRemoteData(name, options) {
+		if (typeof name !== "string" || !name) {
+			throw new UserConfigError("First argument passed to `addRemoteData` must be a string name.");
+		}
+		if (!isPlainObject(options) || !options.url) {
+			throw new UserConfigError(
+				`Second argument passed to \`addRemoteData(${JSON.stringify(name)})\` must be an object with a \`url\`.`,
+			);
+		}
+
+		let source = Object.assign({ type: "json", duration: "1d", offline: false }, options);
+		let types = ["json", "text", "xml"];
+		if (!types.includes(source.type)) {
+			throw new UserConfigError(
+				`Invalid \`type\` passed to \`addRemoteData(${JSON.stringify(name)})\`: ${JSON.stringify(source.type)}. Expected one of: ${types.join(", ")}.`,
+			);
+		}
+
+		this.remoteData[this.getNamespacedName(name)] = source;
+		return this;
+	}
+
+	/**
+	 * Generate a paginated listing page for each term used in a front matter key (and a term index page).
+	 *
+	 * @param {string} name - Front matter key, e.g. `tags`, `categories`, or `authors`
+	 * @param {object} [options]
+	 * @param {string} [options.layout] - Layout for the term pages (the term index page too, unless `indexLayout` is set)
+	 * @param {function} [options.permalink] - Receives `{ name, term, slug, pageNumber }`, defaults to `/tags/term-slug/` (and `/tags/term-slug/2/`)
+	 * @param {number} [options.pageSize=10] - Number of templates listed on each term page
+	 * @param {Array<string>} [options.exclude=["all"]] - Terms that don’t get a page
+	 * @param {boolean} [options.reverse=false] - Newest first
+	 * @param {string|false} [options.indexPermalink] - Defaults to `/tags/`, `false` to skip the term index page
+	 * @param {string} [options.indexLayout]
+	 * @param {function} [options.slugify] - Defaults to the `slugify` filter
+	 */
+	addTaxonomy(name, options = {}) {
+		if (typeof name !== "string" || !name) {
+			throw new UserConfigError(
+				"First argument passed to `addTaxonomy` must be a front matter key string.",
+			);
+		}
+		if (this.taxonomies[name]) {
+			throw new UserConfigError(
+				`\`addTaxonomy(${JSON.stringify(name)})\` already exists. Each taxonomy can only be added once.`,
+			);
+		}
+		if (!isPlainObject(options)) {
+			throw new UserConfigError(
+				`Second argument passed to \`addTaxonomy(${JSON.stringify(name)})\` must be an object.`,
+			);
+		}
+
+		let taxonomy = Object.assign({ pageSize: 10, exclude: ["all"], reverse: false }, options);
+		taxonomy.exclude = [taxonomy.exclude || []].flat();
+		if (!Number.isInteger(taxonomy.pageSize) || taxonomy.pageSize < 1) {
+			throw new UserConfigError(
+				`Invalid \`pageSize\` passed to \`addTaxonomy(${JSON.stringify(name)})\`: ${JSON.stringify(taxonomy.pageSize)}. Expected a positive integer.`,
+			);
+		}
+		for (let key of ["permalink", "slugify"]) {
+			if (taxonomy[key] !== undefined && typeof taxonomy[key] !== "function") {
+				throw new UserConfigError(
+					`Invalid \`${key}\` passed to \`addTaxonomy(${JSON.stringify(name)})\`: expected a function.`,
+				);
+			}
+		}
+
+		this.taxonomies[name] = taxonomy;
+
+		for (let { inputPath, content } of getTaxonomyTemplates(name, taxonomy)) {
+			this.addTemplate(inputPath, content);
+		}
+
+		return this;
+	}
+
 	setPrecompiledCollections(collections) {
 		this.precompiledCollections = collections;
 	}
@@ -995,6 +1291,33 @@ export default class UserConfig {
 		this.serverPassthroughCopyBehavior = behavior;
 	}
 
+	/**
+	 * Choose how the development server reloads the browser for changed files: `"css"` (hot-swap
+	 * stylesheets), `"reload"` (full page reload), or `"none"`. Globs are matched against input paths
+	 * and output paths.
+	 *
+	 * @param {object|function} strategy - Object mapping globs to a reload kind, e.g. `{ "src/css/*.scss": "css" }`, or a callback receiving `{ inputPath, outputPath, url }` that returns a reload kind (or `undefined` for the default).
+	 */
+	setServerReloadStrategy(strategy) {
+		if (typeof strategy !== "function") {
+			if (!isPlainObject(strategy)) {
+				throw new UserConfigError(
+					"Argument passed to `setServerReloadStrategy` must be an object (mapping globs to a reload kind) or a callback function.",
+				);
+			}
+
+			for (let [glob, kind] of Object.entries(strategy)) {
+				if (!RELOAD_KINDS.includes(kind)) {
+					throw new UserConfigError(
+						`Invalid reload kind for \`${glob}\` passed to \`setServerReloadStrategy\`: ${kind}. Expected one of: ${RELOAD_KINDS.join(", ")}`,
+					);
+				}
+			}
+		}
+
+		this.serverReloadStrategy = strategy;
+	}
+
 	// Url transforms change page.url and work good with server side content-negotiation (e.g. i18n plugin)
 	addUrlTransform(callback) {
 		this.urlTransforms.push(callback);
@@ -1197,6 +1520,7 @@ export default class UserConfig {
 			linters: this.linters,
 			preprocessors: this.preprocessors,
 			globalData: this.globalData,
+			remoteData: this.remoteData,
 			layoutAliases: this.layoutAliases,
 			layoutResolution: this.layoutResolution,
 			passthroughCopiesHtmlRelative: this.passthroughCopiesHtmlRelative,
@@ -1252,10 +1576,18 @@ export default class UserConfig {
 			benchmarkManager: this.benchmarkManager,
 			plugins: this.plugins,
 			useTemplateCache: this.useTemplateCache,
+			buildCache: this.buildCache,
+			buildManifest: this.buildManifest,
+			renderBudget: this.renderBudget,
+			cleanOrphanedOutput: this.cleanOrphanedOutput,
+			renderWorkers: this.renderWorkers,
+			dataSchemas: this.dataSchemas,
+			taxonomies: this.taxonomies,
 			precompiledCollections: this.precompiledCollections,
 			dataFilterSelectors: this.dataFilterSelectors,
 			libraryAmendments: this.libraryAmendments,
 			serverPassthroughCopyBehavior: this.serverPassthroughCopyBehavior,
+			serverReloadStrategy: this.serverReloadStrategy,
 			urlTransforms: this.urlTransforms,
 			virtualTemplates: this.virtualTemplates,
 			// `directories` and `directoryAssignments` are merged manually prior to plugin processing
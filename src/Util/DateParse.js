@@ -4,7 +4,7 @@ import { createDebug } from "./DebugLogUtil.js";
 
 const debug = createDebug("DateTime");
 
-export function fromISOtoDateUTC(dateValue, inputPath) {
+export function fromISOtoDateUTC(dateValue, inputPath, key = "date") {
 	// This has had a UTC default since the beginnning:
 	// https://github.com/11ty/eleventy/commit/4272311dab203d2b217ebd4f6b597eb0e816006b
 	try {
@@ -14,7 +14,7 @@ export function fromISOtoDateUTC(dateValue, inputPath) {
 		return date;
 	} catch (e) {
 		throw new Error(
-			`Data cascade value for \`date\` (${dateValue}) is invalid${inputPath ? ` for ${inputPath}` : ""}`,
+			`Data cascade value for \`${key}\` (${dateValue}) is invalid${inputPath ? ` for ${inputPath}` : ""}`,
 			{ cause: e },
 		);
 	}
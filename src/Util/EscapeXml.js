@@ -0,0 +1,9 @@
+// Escapes text and attribute values in generated XML (sitemaps, feeds)
+export default function escapeXml(str) {
+	return String(str)
+		.replaceAll("&", "&amp;")
+		.replaceAll("<", "&lt;")
+		.replaceAll(">", "&gt;")
+		.replaceAll('"', "&quot;")
+		.replaceAll("'", "&apos;");
+}
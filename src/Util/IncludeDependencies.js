@@ -0,0 +1,145 @@
+import fs from "node:fs";
+import { TemplatePath } from "@11ty/eleventy-utils";
+
+import eventBus from "../EventBus.js";
+import PathNormalizer from "./PathNormalizer.js";
+import { createDebug } from "./DebugLogUtil.js";
+
+const debug = createDebug("IncludeDependencies");
+
+// file path => { content, names } (`content` is undefined if the file doesn’t exist)
+const fileCache = new Map();
+
+eventBus.on("buildawesome.resourcemodified", (path) => {
+	fileCache.delete(normalize(path));
+});
+
+function normalize(filePath) {
+	return TemplatePath.addLeadingDotSlash(PathNormalizer.fullNormalization(filePath));
+}
+
+// Include and data files are shared by many templates, read (and parse) each one once
+function getFileEntry(filePath, engine) {
+	if (!fileCache.has(filePath)) {
+		let content;
+		try {
+			content = fs.readFileSync(filePath, "utf8");
+		} catch {
+			// Missing file
+		}
+		fileCache.set(filePath, { content, names: new Map() });
+	}
+
+	let entry = fileCache.get(filePath);
+	if (engine && entry.content !== undefined && !entry.names.has(engine.name)) {
+		entry.names.set(engine.name, engine.parseForIncludes(entry.content));
+	}
+	return entry;
+}
+
+export function readFileContent(filePath) {
+	return getFileEntry(normalize(filePath)).content;
+}
+
+/**
+ * Statically resolves the include files used by template content (and the includes they use).
+ *
+ * @param {object} engine - Template engine with `parseForIncludes` and `getIncludeCandidates` methods
+ * @param {string} content - Template content
+ * @param {string} inputPath - Template input path, for relative includes
+ * @returns {{files: Array<string>, contents: Array<string>, isComplete: boolean}} `isComplete` is false if an include could not be resolved (e.g. `{% include someVariable %}`)
+ */
+export function getIncludeDependencies(engine, content, inputPath) {
+	let files = new Set();
+	let contents = [];
+	let isComplete = true;
+
+	let queue = [{ names: engine.parseForIncludes(content), inputPath }];
+	while (queue.length > 0) {
+		let { names, inputPath: fromPath } = queue.shift();
+		for (let name of names) {
+			if (typeof name !== "string") {
+				isComplete = false;
+				continue;
+			}
+
+			let found = false;
+			for (let candidate of engine.getIncludeCandidates(name, fromPath)) {
+				let filePath = normalize(candidate);
+				let entry = getFileEntry(filePath, engine);
+				if (entry.content === undefined) {
+					continue;
+				}
+
+				found = true;
+				if (!files.has(filePath)) {
+					files.add(filePath);
+					contents.push(entry.content);
+					queue.push({ names: entry.names.get(engine.name), inputPath: filePath });
+				}
+			}
+
+			// e.g. a custom Nunjucks loader or `ignore missing`
+			if (!found) {
+				debug("Could not resolve %o used by %o", name, fromPath);
+				isComplete = false;
+			}
+		}
+	}
+
+	return {
+		files: Array.from(files),
+		contents,
+		isComplete,
+	};
+}
+
+function escapeRegExp(str) {
+	return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const keyRegexCache = new Map();
+
+// Whether a name (e.g. a global data key) appears anywhere in the content. Data read any other way
+// (e.g. by filters or shortcodes) is handled by marking the template dependencies incomplete.
+export function isKeyReferenced(contents, key) {
+	if (!keyRegexCache.has(key)) {
+		keyRegexCache.set(key, new RegExp(`(?<![\\w$])${escapeRegExp(key)}(?![\\w$])`));
+	}
+
+	let regex = keyRegexCache.get(key);
+	return contents.some((content) => typeof content === "string" && regex.test(content));
+}
+
+const COLLECTIONS_REGEX =
+	/(?<![\w$])collections(?![\w$])(?:\s*\.\s*([\w$]+)|\s*\[\s*(["'])([^"']+)\2\s*\])?/g;
+
+/**
+ * Collections read in the content via `collections.name` or `collections["name"]`.
+ *
+ * @param {Array<string>} contents
+ * @returns {{names: Array<string>, isComplete: boolean}} `isComplete` is false if `collections` is used any other way (e.g. `collections[name]`)
+ */
+export function getReferencedCollectionNames(contents) {
+	let names = new Set();
+	let isComplete = true;
+	for (let content of contents) {
+		if (typeof content !== "string") {
+			continue;
+		}
+
+		for (let match of content.matchAll(COLLECTIONS_REGEX)) {
+			let name = match[1] ?? match[3];
+			if (name) {
+				names.add(name);
+			} else {
+				isComplete = false;
+			}
+		}
+	}
+
+	return {
+		names: Array.from(names),
+		isComplete,
+	};
+}
@@ -0,0 +1,307 @@
+import { isPlainObject } from "@11ty/eleventy-utils";
+
+/*
+ * A small JSON Schema validator covering the commonly used keywords of draft 2020-12 (and
+ * draft-07 `definitions`). Unknown keywords are ignored. `Date` instances from the data cascade
+ * are treated as strings that satisfy the `date` and `date-time` formats.
+ */
+
+const FORMATS = {
+	date: /^\d{4}-\d{2}-\d{2}$/,
+	"date-time": /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?([Zz]|[+-]\d{2}:?\d{2})?$/,
+	time: /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?([Zz]|[+-]\d{2}:?\d{2})?$/,
+	email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+	uri: /^[a-zA-Z][a-zA-Z\d+.-]*:[^\s]*$/,
+	"uri-reference": /^[^\s]*$/,
+	uuid: /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/i,
+};
+
+class JsonSchemaValidator {
+	#schema;
+
+	constructor(schema) {
+		if (!isPlainObject(schema) && typeof schema !== "boolean") {
+			throw new Error("JSON Schema must be an object or a boolean.");
+		}
+
+		this.#schema = schema;
+	}
+
+	static getType(value) {
+		if (value === null) {
+			return "null";
+		}
+		if (Array.isArray(value)) {
+			return "array";
+		}
+		if (value instanceof Date) {
+			return "string";
+		}
+		return typeof value;
+	}
+
+	static isType(value, type) {
+		let actual = JsonSchemaValidator.getType(value);
+		if (type === "integer") {
+			return actual === "number" && Number.isInteger(value);
+		}
+		if (type === "number") {
+			return actual === "number" && !Number.isNaN(value);
+		}
+		return actual === type;
+	}
+
+	static isEqual(a, b) {
+		if (a instanceof Date) {
+			a = a.toISOString();
+		}
+		if (b instanceof Date) {
+			b = b.toISOString();
+		}
+		if (a === b) {
+			return true;
+		}
+		if (Array.isArray(a) && Array.isArray(b)) {
+			return (
+				a.length === b.length && a.every((entry, j) => JsonSchemaValidator.isEqual(entry, b[j]))
+			);
+		}
+		if (isPlainObject(a) && isPlainObject(b)) {
+			let keys = Object.keys(a);
+			return (
+				keys.length === Object.keys(b).length &&
+				keys.every((key) => key in b && JsonSchemaValidator.isEqual(a[key], b[key]))
+			);
+		}
+		return false;
+	}
+
+	// RFC 6901
+	static escapePointerSegment(segment) {
+		return String(segment).replaceAll("~", "~0").replaceAll("/", "~1");
+	}
+
+	static unescapePointerSegment(segment) {
+		return decodeURIComponent(segment).replaceAll("~1", "/").replaceAll("~0", "~");
+	}
+
+	#resolveRef(ref) {
+		if (ref === "#") {
+			return this.#schema;
+		}
+		if (!ref.startsWith("#/")) {
+			return;
+		}
+
+		let target = this.#schema;
+		for (let segment of ref.slice(2).split("/")) {
+			target = target?.[JsonSchemaValidator.unescapePointerSegment(segment)];
+		}
+		return target;
+	}
+
+	#isValid(value, schema) {
+		return this.#validate(value, schema, "").length === 0;
+	}
+
+	#validate(value, schema, pointer) {
+		if (schema === true) {
+			return [];
+		}
+		if (schema === false) {
+			return [{ instancePath: pointer, keyword: "false schema", message: "is not allowed" }];
+		}
+
+		let errors = [];
+		let error = (keyword, message, instancePath = pointer) => {
+			errors.push({ instancePath, keyword, message });
+		};
+
+		if (typeof schema.$ref === "string") {
+			let target = this.#resolveRef(schema.$ref);
+			if (target === undefined) {
+				error("$ref", `can’t resolve reference ${schema.$ref}`);
+			} else {
+				errors.push(...this.#validate(value, target, pointer));
+			}
+		}
+
+		if (schema.type !== undefined) {
+			let types = Array.isArray(schema.type) ? schema.type : [schema.type];
+			if (!types.some((type) => JsonSchemaValidator.isType(value, type))) {
+				// Other keywords are not useful on a mismatched type
+				error("type", `must be ${types.join(" or ")}`);
+				return errors;
+			}
+		}
+
+		if (Array.isArray(schema.enum)) {
+			if (!schema.enum.some((entry) => JsonSchemaValidator.isEqual(value, entry))) {
+				error(
+					"enum",
+					`must be one of ${schema.enum.map((entry) => JSON.stringify(entry)).join(", ")}`,
+				);
+			}
+		}
+
+		if ("const" in schema && !JsonSchemaValidator.isEqual(value, schema.const)) {
+			error("const", `must be equal to ${JSON.stringify(schema.const)}`);
+		}
+
+		if (value instanceof Date) {
+			if (schema.format && schema.format !== "date" && schema.format !== "date-time") {
+				error("format", `must match format "${schema.format}"`);
+			}
+		} else if (typeof value === "string") {
+			let length = [...value].length;
+			if (typeof schema.minLength === "number" && length < schema.minLength) {
+				error("minLength", `must NOT have fewer than ${schema.minLength} characters`);
+			}
+			if (typeof schema.maxLength === "number" && length > schema.maxLength) {
+				error("maxLength", `must NOT have more than ${schema.maxLength} characters`);
+			}
+			if (typeof schema.pattern === "string" && !new RegExp(schema.pattern, "u").test(value)) {
+				error("pattern", `must match pattern "${schema.pattern}"`);
+			}
+			if (FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+				error("format", `must match format "${schema.format}"`);
+			}
+		} else if (typeof value === "number") {
+			if (typeof schema.minimum === "number" && value < schema.minimum) {
+				error("minimum", `must be >= ${schema.minimum}`);
+			}
+			if (typeof schema.maximum === "number" && value > schema.maximum) {
+				error("maximum", `must be <= ${schema.maximum}`);
+			}
+			if (typeof schema.exclusiveMinimum === "number" && value <= schema.exclusiveMinimum) {
+				error("exclusiveMinimum", `must be > ${schema.exclusiveMinimum}`);
+			}
+			if (typeof schema.exclusiveMaximum === "number" && value >= schema.exclusiveMaximum) {
+				error("exclusiveMaximum", `must be < ${schema.exclusiveMaximum}`);
+			}
+			if (
+				typeof schema.multipleOf === "number" &&
+				!Number.isInteger(Number((value / schema.multipleOf).toPrecision(12)))
+			) {
+				error("multipleOf", `must be a multiple of ${schema.multipleOf}`);
+			}
+		} else if (Array.isArray(value)) {
+			let prefixLength = 0;
+			if (Array.isArray(schema.prefixItems)) {
+				prefixLength = schema.prefixItems.length;
+				schema.prefixItems.forEach((itemSchema, j) => {
+					if (j < value.length) {
+						errors.push(...this.#validate(value[j], itemSchema, `${pointer}/${j}`));
+					}
+				});
+			}
+			if (schema.items !== undefined) {
+				for (let j = prefixLength; j < value.length; j++) {
+					errors.push(...this.#validate(value[j], schema.items, `${pointer}/${j}`));
+				}
+			}
+			if (typeof schema.minItems === "number" && value.length < schema.minItems) {
+				error("minItems", `must NOT have fewer than ${schema.minItems} items`);
+			}
+			if (typeof schema.maxItems === "number" && value.length > schema.maxItems) {
+				error("maxItems", `must NOT have more than ${schema.maxItems} items`);
+			}
+			if (schema.uniqueItems === true) {
+				let duplicate = value.findIndex((entry, j) => {
+					return value.findIndex((other) => JsonSchemaValidator.isEqual(entry, other)) !== j;
+				});
+				if (duplicate > -1) {
+					error("uniqueItems", `must NOT have duplicate items (item ${duplicate})`);
+				}
+			}
+			if (schema.contains !== undefined) {
+				if (!value.some((entry) => this.#isValid(entry, schema.contains))) {
+					error("contains", "must contain at least one valid item");
+				}
+			}
+		} else if (JsonSchemaValidator.getType(value) === "object") {
+			let keys = Object.keys(value);
+			for (let key of Array.isArray(schema.required) ? schema.required : []) {
+				if (value[key] === undefined) {
+					error(
+						"required",
+						"is required",
+						`${pointer}/${JsonSchemaValidator.escapePointerSegment(key)}`,
+					);
+				}
+			}
+			if (typeof schema.minProperties === "number" && keys.length < schema.minProperties) {
+				error("minProperties", `must NOT have fewer than ${schema.minProperties} properties`);
+			}
+			if (typeof schema.maxProperties === "number" && keys.length > schema.maxProperties) {
+				error("maxProperties", `must NOT have more than ${schema.maxProperties} properties`);
+			}
+
+			let properties = isPlainObject(schema.properties) ? schema.properties : {};
+			let patterns = Object.entries(schema.patternProperties || {}).map(([pattern, schema]) => {
+				return [new RegExp(pattern, "u"), schema];
+			});
+			for (let key of keys) {
+				let propertyPointer = `${pointer}/${JsonSchemaValidator.escapePointerSegment(key)}`;
+				let isMatched = false;
+				if (key in properties) {
+					isMatched = true;
+					errors.push(...this.#validate(value[key], properties[key], propertyPointer));
+				}
+				for (let [regex, patternSchema] of patterns) {
+					if (regex.test(key)) {
+						isMatched = true;
+						errors.push(...this.#validate(value[key], patternSchema, propertyPointer));
+					}
+				}
+				if (!isMatched && schema.additionalProperties !== undefined) {
+					if (schema.additionalProperties === false) {
+						error("additionalProperties", "is not an allowed property", propertyPointer);
+					} else {
+						errors.push(
+							...this.#validate(value[key], schema.additionalProperties, propertyPointer),
+						);
+					}
+				}
+			}
+		}
+
+		if (Array.isArray(schema.allOf)) {
+			for (let subschema of schema.allOf) {
+				errors.push(...this.#validate(value, subschema, pointer));
+			}
+		}
+		if (Array.isArray(schema.anyOf)) {
+			if (!schema.anyOf.some((subschema) => this.#isValid(value, subschema))) {
+				error("anyOf", "must match a schema in anyOf");
+			}
+		}
+		if (Array.isArray(schema.oneOf)) {
+			let count = schema.oneOf.filter((subschema) => this.#isValid(value, subschema)).length;
+			if (count !== 1) {
+				error("oneOf", `must match exactly one schema in oneOf (matched ${count})`);
+			}
+		}
+		if (schema.not !== undefined && this.#isValid(value, schema.not)) {
+			error("not", "must NOT be valid against the schema in not");
+		}
+		if (schema.if !== undefined) {
+			let branch = this.#isValid(value, schema.if) ? schema.then : schema.else;
+			if (branch !== undefined) {
+				errors.push(...this.#validate(value, branch, pointer));
+			}
+		}
+
+		return errors;
+	}
+
+	/**
+	 * @param {*} value
+	 * @returns {Array<{instancePath: string, keyword: string, message: string}>} `instancePath` is a JSON Pointer
+	 */
+	validate(value) {
+		return this.#validate(value, this.#schema, "");
+	}
+}
+
+export default JsonSchemaValidator;
@@ -0,0 +1,197 @@
+// Netlify-style `_redirects` and `_headers` files, used by the development server
+// https://docs.netlify.com/routing/redirects/ and https://docs.netlify.com/routing/headers/
+
+const DEFAULT_REDIRECT_STATUS = 301;
+const STATUS_REGEX = /^(\d{3})(!?)$/;
+
+function escapeRegExp(str) {
+	return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function isUrl(token) {
+	return token.startsWith("/") || /^https?:\/\//.test(token);
+}
+
+function getLines(content = "") {
+	return String(content)
+		.split(/\r?\n/)
+		.map((line) => line.replace(/\s+$/, ""))
+		.filter((line) => line.trim() && !line.trim().startsWith("#"));
+}
+
+function stripTrailingSlash(pathname) {
+	if (pathname.length > 1 && pathname.endsWith("/")) {
+		return pathname.slice(0, -1);
+	}
+	return pathname;
+}
+
+/**
+ * Matches a pathname against a rule path with `:placeholder` segments and a trailing `*` splat.
+ *
+ * @param {string} pattern - e.g. `/blog/:year/*`
+ * @param {string} pathname - Request pathname, e.g. `/blog/2025/my-post/`
+ * @returns {object|undefined} Placeholder values (the splat is `splat`) or `undefined` if the path does not match
+ */
+export function matchPath(pattern, pathname) {
+	let names = [];
+	let segments = stripTrailingSlash(pattern).split("/");
+	let source = "";
+	for (let j = 1; j < segments.length; j++) {
+		let segment = segments[j];
+		if (segment === "*" && j === segments.length - 1) {
+			names.push("splat");
+			// `/news/*` matches `/news` too
+			source += "(?:/(.*))?";
+		} else if (segment.startsWith(":")) {
+			names.push(segment.slice(1));
+			source += "/([^/]+)";
+		} else {
+			source += "/" + escapeRegExp(segment);
+		}
+	}
+
+	// `/old` and `/old/` are equivalent
+	let match = new RegExp(`^${source}/?$`).exec(pathname);
+	if (!match) {
+		return;
+	}
+
+	return Object.fromEntries(names.map((name, index) => [name, match[index + 1] ?? ""]));
+}
+
+// Replaces `:splat` and `:placeholder` values in a redirect destination
+export function getRedirectDestination(to, params = {}) {
+	return to.replace(/:(\w+)/g, (match, name) => {
+		return name in params ? params[name] : match;
+	});
+}
+
+/**
+ * @param {string} content - `_redirects` file content
+ * @returns {Array<{from: string, to: string, status: number, force: boolean, query: object}>}
+ */
+export function parseRedirectsFile(content) {
+	let rules = [];
+	for (let line of getLines(content)) {
+		let [from, ...tokens] = line.trim().split(/\s+/);
+
+		// Query parameter conditions are between `from` and `to`, e.g. `/store id=:id /blog/:id`
+		let query = {};
+		while (tokens.length && !isUrl(tokens[0]) && tokens[0].includes("=")) {
+			let [key, value] = tokens.shift().split("=");
+			query[key] = value;
+		}
+
+		let to = tokens.shift();
+		if (!from || !to || !isUrl(from) || !isUrl(to)) {
+			continue;
+		}
+
+		let status = DEFAULT_REDIRECT_STATUS;
+		let force = false;
+		let statusMatch = STATUS_REGEX.exec(tokens[0] || "");
+		if (statusMatch) {
+			tokens.shift();
+			status = parseInt(statusMatch[1], 10);
+			force = statusMatch[2] === "!";
+		}
+
+		// Country, Language, Role, and Cookie conditions can’t be emulated locally
+		if (tokens.length > 0) {
+			continue;
+		}
+
+		rules.push({ from, to, status, force, query });
+	}
+	return rules;
+}
+
+/**
+ * @param {string} content - `_headers` file content
+ * @returns {Array<{path: string, headers: Array<Array<string>>}>}
+ */
+export function parseHeadersFile(content) {
+	let rules = [];
+	let rule;
+	for (let line of getLines(content)) {
+		let trimmed = line.trim();
+		if (isUrl(trimmed)) {
+			rule = { path: trimmed, headers: [] };
+			rules.push(rule);
+			continue;
+		}
+
+		let separatorIndex = trimmed.indexOf(":");
+		if (!rule || separatorIndex < 1) {
+			continue;
+		}
+		rule.headers.push([
+			trimmed.slice(0, separatorIndex).trim(),
+			trimmed.slice(separatorIndex + 1).trim(),
+		]);
+	}
+	return rules;
+}
+
+/**
+ * The first matching redirect rule for a request.
+ *
+ * @param {Array} rules - from `parseRedirectsFile`
+ * @param {string} pathname - Request pathname (without pathPrefix)
+ * @param {URLSearchParams} searchParams - Request query parameters
+ * @param {function} [isFile] - Returns true if a file exists for the pathname. Rules without `!` don’t apply to existing files (shadowing).
+ * @returns {{status: number, to: string, rule: object}|undefined}
+ */
+export function getRedirectMatch(rules, pathname, searchParams, isFile) {
+	for (let rule of rules) {
+		let params = matchPath(rule.from, pathname);
+		if (!params) {
+			continue;
+		}
+
+		let queryMatches = Object.entries(rule.query).every(([key, value]) => {
+			if (!searchParams.has(key)) {
+				return false;
+			}
+			if (value.startsWith(":")) {
+				params[value.slice(1)] = searchParams.get(key);
+				return true;
+			}
+			return searchParams.get(key) === value;
+		});
+		if (!queryMatches) {
+			continue;
+		}
+
+		if (!rule.force && isFile?.(pathname)) {
+			continue;
+		}
+
+		return {
+			status: rule.status,
+			to: getRedirectDestination(rule.to, params),
+			rule,
+		};
+	}
+}
+
+// Headers from every matching rule, multiple values for the same header are joined
+export function getHeadersMatch(rules, pathname) {
+	let headers = {};
+	for (let rule of rules) {
+		if (!matchPath(rule.path, pathname)) {
+			continue;
+		}
+		for (let [name, value] of rule.headers) {
+			let key = name.toLowerCase();
+			if (headers[key]) {
+				headers[key].value += `, ${value}`;
+			} else {
+				headers[key] = { name, value };
+			}
+		}
+	}
+
+	return Object.fromEntries(Object.values(headers).map(({ name, value }) => [name, value]));
+}
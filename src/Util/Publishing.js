@@ -0,0 +1,58 @@
+import { fromISOtoDateUTC } from "./DateParse.js";
+
+const REASONS = {
+	draft: ["draft", "drafts"],
+	scheduled: ["scheduled page", "scheduled pages"],
+};
+
+/**
+ * Why a page is not (yet) published: `draft: true` or a `publishDate` in the future.
+ *
+ * @param {object} data - Template data
+ * @param {object} keys - Configuration keys (`config.keys`)
+ * @param {Date} [now]
+ * @returns {"draft"|"scheduled"|undefined}
+ */
+export function getUnpublishedReason(data, keys, now = new Date()) {
+	if (data?.[keys.draft] === true) {
+		return "draft";
+	}
+
+	let publishDate = data?.[keys.publishDate];
+	if (publishDate === undefined || publishDate === null || publishDate === "") {
+		return;
+	}
+
+	if (!(publishDate instanceof Date)) {
+		publishDate = fromISOtoDateUTC(publishDate, data.page?.inputPath, keys.publishDate);
+	}
+	if (publishDate.getTime() > now.getTime()) {
+		return "scheduled";
+	}
+}
+
+// e.g. `2 drafts, 1 scheduled page`
+export function getUnpublishedSummary(unpublished = []) {
+	let counts = {};
+	for (let { reason } of unpublished) {
+		counts[reason] = (counts[reason] || 0) + 1;
+	}
+
+	return Object.entries(REASONS)
+		.filter(([reason]) => counts[reason])
+		.map(([reason, [singular, plural]]) => {
+			return `${counts[reason]} ${counts[reason] === 1 ? singular : plural}`;
+		})
+		.join(", ");
+}
+
+// Visible marker on unpublished pages in the development server
+export function addUnpublishedBanner(content, reason) {
+	let banner = `<div data-buildawesome-unpublished="${reason}" style="position:fixed;z-index:2147483647;top:0;right:0;padding:.25em .75em;background:#b00020;color:#fff;font:bold 14px/1.5 system-ui,sans-serif;text-transform:uppercase">${reason}</div>`;
+
+	let index = content.lastIndexOf("</body>");
+	if (index > -1) {
+		return content.slice(0, index) + banner + content.slice(index);
+	}
+	return content + banner;
+}
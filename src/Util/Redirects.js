@@ -0,0 +1,34 @@
+import BaseError from "../Errors/BaseError.js";
+
+class RedirectSourceError extends BaseError {}
+
+// Data key with the URL(s) that redirect to a page (string or array)
+export const REDIRECT_FROM_DATA_KEY = "redirectFrom";
+
+// Pagination alias for pages generated by the Redirects plugin (stubs and manifests)
+export const REDIRECT_PAGE_DATA_KEY = "buildawesomeRedirect";
+
+export function getRedirectSources(data) {
+	let value = data?.[REDIRECT_FROM_DATA_KEY];
+	if (value === undefined || value === null || value === false) {
+		return [];
+	}
+
+	let sources = Array.isArray(value) ? value : [value];
+	for (let source of sources) {
+		if (typeof source !== "string" || !source.startsWith("/")) {
+			throw new RedirectSourceError(
+				`Invalid \`${REDIRECT_FROM_DATA_KEY}\` value in ${data.page?.inputPath}: expected a URL starting with \`/\` (or an array of URLs), received: ${JSON.stringify(source)}`,
+			);
+		}
+	}
+	return sources;
+}
+
+// `/old` and `/old/` are the same URL to the development server (and most hosts)
+export function getRedirectUrlKey(url) {
+	if (url.length > 1 && url.endsWith("/")) {
+		return url.slice(0, -1);
+	}
+	return url;
+}
@@ -0,0 +1,139 @@
+import { TemplatePath } from "@11ty/eleventy-utils";
+
+import PathPrefixer from "./PathPrefixer.js";
+import { isGlobMatch } from "./GlobMatcher.js";
+
+export const RELOAD_KINDS = ["css", "reload", "none"];
+
+/**
+ * The reload kind for a changed file (and one of its outputs, if it has any).
+ *
+ * @param {{inputPath: string, outputPath?: string, url?: string}} target
+ * @param {object|function} [strategy] - from `setServerReloadStrategy`
+ * @param {string} [includesDir] - CSS in the includes directory is not served directly
+ * @returns {"css"|"reload"|"none"|undefined} `undefined` uses the default (DOM diffing or a full page reload)
+ */
+export function getReloadKind(target, strategy, includesDir) {
+	if (typeof strategy === "function") {
+		let kind = strategy(Object.assign({}, target));
+		if (kind !== undefined) {
+			return kind;
+		}
+	} else if (strategy) {
+		for (let [glob, kind] of Object.entries(strategy)) {
+			if (
+				isGlobMatch(target.inputPath, [glob]) ||
+				(target.outputPath && isGlobMatch(target.outputPath, [glob]))
+			) {
+				return kind;
+			}
+		}
+	}
+
+	// Output file extension wins, e.g. a `.11ty.js` or Sass template writing to `.css`
+	if (target.outputPath) {
+		return target.outputPath.endsWith(".css") ? "css" : undefined;
+	}
+
+	// TODO how to make this work with relative includes?
+	if (
+		target.inputPath.endsWith(".css") &&
+		!(includesDir && TemplatePath.startsWithSubPath(target.inputPath, includesDir))
+	) {
+		return "css";
+	}
+}
+
+/**
+ * Maps every changed file to its template and passthrough copy outputs (or to itself, if it has
+ * none) and decides how the development server reloads the browser.
+ *
+ * @param {object} options
+ * @param {Array<string>} options.files - Changed input files
+ * @param {Array<object>} options.templates - Written templates (`inputPath`, `outputPath`, `url`, `content`)
+ * @param {Array<object>} options.passthroughCopies - Passthrough copy results (`map` of input to output paths)
+ * @param {object|function} [options.strategy] - from `setServerReloadStrategy`
+ * @param {string} [options.includesDir]
+ * @param {string} options.outputDir
+ * @param {string} [options.pathPrefix]
+ * @returns {object|false} Reload event for the development server, `false` if no reload is needed
+ */
+export function getReloadEvent({
+	files,
+	templates,
+	passthroughCopies,
+	strategy,
+	includesDir,
+	outputDir,
+	pathPrefix,
+}) {
+	let normalizedPathPrefix = PathPrefixer.normalizePathPrefix(pathPrefix);
+	let changed = new Set(files.map((file) => TemplatePath.addLeadingDotSlash(file)));
+
+	/** @type {Array<{inputPath: string, outputPath?: string, url?: string, kind?: string}>} */
+	let targets = [];
+	for (let { inputPath, outputPath, url } of templates) {
+		if (changed.has(inputPath) && outputPath) {
+			targets.push({ inputPath, outputPath, url });
+		}
+	}
+	for (let entry of passthroughCopies) {
+		for (let inputPath in entry.map) {
+			let normalizedInputPath = TemplatePath.addLeadingDotSlash(inputPath);
+			if (changed.has(normalizedInputPath)) {
+				targets.push({
+					inputPath: normalizedInputPath,
+					outputPath: entry.map[inputPath],
+					url: "/" + TemplatePath.stripLeadingSubPath(entry.map[inputPath], outputDir),
+				});
+			}
+		}
+	}
+	for (let inputPath of changed) {
+		if (!targets.some((target) => target.inputPath === inputPath)) {
+			targets.push({ inputPath });
+		}
+	}
+
+	for (let target of targets) {
+		target.kind = getReloadKind(target, strategy, includesDir);
+	}
+
+	let reloadTargets = targets.filter(({ kind }) => kind !== "none");
+	if (targets.length > 0 && reloadTargets.length === 0) {
+		return false;
+	}
+
+	// only `url`, `inputPath`, and `content` are used: https://github.com/11ty/eleventy-dev-server/blob/1c658605f75224fdc76f68aebe7a412eeb4f1bc9/client/reload-client.js#L140
+	let matchingTemplates = templates.map((entry) => {
+		entry.url = PathPrefixer.joinUrlParts(normalizedPathPrefix, entry.url);
+		delete entry.rawInput; // Issue #3481
+		return entry;
+	});
+
+	let stylesheets = new Set(
+		reloadTargets
+			.filter((target) => target.kind === "css" && target.url)
+			.map(({ url }) => PathPrefixer.joinUrlParts(normalizedPathPrefix, url)),
+	);
+
+	let kinds = new Set(reloadTargets.map(({ kind }) => kind));
+	/** @type {{files: Array<string>, subtype: string|undefined, build: object}} */
+	let event = {
+		files,
+		subtype: undefined,
+		build: {
+			stylesheets: Array.from(stylesheets),
+			templates: matchingTemplates,
+		},
+	};
+
+	if (kinds.size === 1 && kinds.has("css")) {
+		event.subtype = "css";
+	} else if (kinds.has("reload") || (kinds.size > 0 && !kinds.has(undefined))) {
+		// An empty template list is a full page reload
+		event.build.templates = [];
+	}
+
+	return event;
+}
@@ -0,0 +1,180 @@
+import escapeXml from "./EscapeXml.js";
+
+// Pagination alias for pages generated by `addTaxonomy`
+export const TAXONOMY_PAGE_DATA_KEY = "taxonomy";
+
+// Template data key for a function returning the input paths a single paginated page depends on
+// See TemplateMap and GlobalDependencyMap->isPageRelevantTo
+export const PAGE_DEPENDENCIES_DATA_KEY = "buildawesomePageDependencies";
+
+function getDefaultPermalink({ name, slug, pageNumber }) {
+	return `/${name}/${slug}/${pageNumber > 0 ? `${pageNumber + 1}/` : ""}`;
+}
+
+// Supports a single string or an array of values, e.g. `tags: [one, two]` or `author: Zach`
+export function getTaxonomyTerms(data, name) {
+	let value = data?.[name];
+	if (value === undefined || value === null || value === false) {
+		return [];
+	}
+
+	let terms = new Set();
+	for (let term of Array.isArray(value) ? value : [value]) {
+		if (term !== undefined && term !== null && term !== "") {
+			terms.add(String(term));
+		}
+	}
+	return Array.from(terms);
+}
+
+/**
+ * Virtual templates for a taxonomy: paginated listing pages for each term and a term index page.
+ *
+ * @param {string} name - Front matter key, e.g. `tags`, `categories`, or `authors`
+ * @param {object} options - Normalized options from `eleventyConfig.addTaxonomy`
+ * @returns {Array<{inputPath: string, content: object}>}
+ */
+export function getTaxonomyTemplates(name, options) {
+	let getPermalink = options.permalink || getDefaultPermalink;
+	// term => { term, slug, items }, populated during pagination
+	let terms = new Map();
+
+	function getTerms(entries, slugify) {
+		let results = new Map();
+		for (let entry of options.reverse ? entries.slice().reverse() : entries) {
+			for (let term of getTaxonomyTerms(entry.data, name)) {
+				if (options.exclude.includes(term)) {
+					continue;
+				}
+				if (!results.has(term)) {
+					results.set(term, { term, slug: slugify(term), items: [] });
+				}
+				results.get(term).items.push(entry);
+			}
+		}
+
+		return results;
+	}
+
+	function getSortedTerms(terms) {
+		return Array.from(terms.values()).sort((a, b) => a.term.localeCompare(b.term));
+	}
+
+	function getTermUrl(term, pageNumber = 0) {
+		return getPermalink({ name, term: term.term, slug: term.slug, pageNumber });
+	}
+
+	/**
+	 * One pagination entry per page of each term
+	 * @this {object} - Filters and shortcodes, via pagination `before`
+	 */
+	function getTermPages(entries) {
+		terms = getTerms(entries, options.slugify || this.slugify);
+
+		let pages = [];
+		for (let term of getSortedTerms(terms)) {
+			let pageCount = Math.ceil(term.items.length / options.pageSize);
+			let hrefs = [];
+			for (let pageNumber = 0; pageNumber < pageCount; pageNumber++) {
+				hrefs.push(getTermUrl(term, pageNumber));
+			}
+
+			for (let pageNumber = 0; pageNumber < pageCount; pageNumber++) {
+				pages.push({
+					name,
+					term: term.term,
+					slug: term.slug,
+					count: term.items.length,
+					items: term.items.slice(
+						pageNumber * options.pageSize,
+						(pageNumber + 1) * options.pageSize,
+					),
+					pageNumber,
+					pageCount,
+					url: hrefs[pageNumber],
+					hrefs,
+					href: {
+						previous: hrefs[pageNumber - 1],
+						next: hrefs[pageNumber + 1],
+						first: hrefs[0],
+						last: hrefs[pageCount - 1],
+					},
+				});
+			}
+		}
+		return pages;
+	}
+
+	/** @this {object} */
+	function getIndexPages(entries) {
+		let slugify = options.slugify || this.slugify;
+		return [
+			{
+				name,
+				terms: getSortedTerms(getTerms(entries, slugify)).map((term) => ({
+					term: term.term,
+					slug: term.slug,
+					count: term.items.length,
+					url: getTermUrl(term),
+				})),
+			},
+		];
+	}
+
+	/** @type {Array<{inputPath: string, content: object}>} */
+	let templates = [
+		{
+			inputPath: `buildawesome-taxonomy-${name}.11ty.js`,
+			content: {
+				data: {
+					layout: options.layout || false,
+					eleventyExcludeFromCollections: true,
+					pagination: {
+						data: "collections.all",
+						size: 1,
+						alias: TAXONOMY_PAGE_DATA_KEY,
+						before: getTermPages,
+					},
+					permalink: (data) => data[TAXONOMY_PAGE_DATA_KEY].url,
+					// Incremental builds only write the pages for terms that include a changed template
+					[PAGE_DEPENDENCIES_DATA_KEY]: (data) =>
+						terms.get(data[TAXONOMY_PAGE_DATA_KEY].term)?.items.map((entry) => entry.inputPath),
+				},
+				render(data) {
+					let items = data[TAXONOMY_PAGE_DATA_KEY].items.map((entry) => {
+						let title = escapeXml(entry.data.title || entry.url);
+						return `<li><a href="${escapeXml(entry.url)}">${title}</a></li>`;
+					});
+					return `<ul>\n${items.join("\n")}\n</ul>\n`;
+				},
+			},
+		},
+	];
+
+	if (options.indexPermalink !== false) {
+		templates.push({
+			inputPath: `buildawesome-taxonomy-${name}-index.11ty.js`,
+			content: {
+				data: {
+					layout: options.indexLayout || options.layout || false,
+					eleventyExcludeFromCollections: true,
+					pagination: {
+						data: "collections.all",
+						size: 1,
+						alias: TAXONOMY_PAGE_DATA_KEY,
+						before: getIndexPages,
+					},
+					permalink: options.indexPermalink || `/${name}/`,
+				},
+				render(data) {
+					let terms = data[TAXONOMY_PAGE_DATA_KEY].terms.map(({ term, url, count }) => {
+						return `<li><a href="${escapeXml(url)}">${escapeXml(term)}</a> (${count})</li>`;
+					});
+					return `<ul>\n${terms.join("\n")}\n</ul>\n`;
+				},
+			},
+		});
+	}
+
+	return templates;
+}
@@ -20,7 +20,7 @@ class TransformsUtil {
 	}
 
 	static async runAll(content, pageData, transforms = {}, options = {}) {
-		let { baseHrefOverride, logger } = options;
+		let { baseHrefOverride, logger, profiler } = options;
 		let { inputPath, outputPath, url } = pageData;
 
 		if (!isPlainObject(transforms)) {
@@ -31,6 +31,7 @@ class TransformsUtil {
 
 		for (let { callback, name } of transformsArray) {
 			debug("Running %o transform on %o: %o", name, inputPath, outputPath);
+			let endProfile = profiler?.start("transform", inputPath, { transform: name, url });
 
 			try {
 				let hadContentBefore = !!content;
@@ -46,6 +47,7 @@ class TransformsUtil {
 					content,
 					outputPath,
 				);
+				endProfile?.();
 
 				if (hadContentBefore && !content) {
 					if (!logger || !logger.warn) {
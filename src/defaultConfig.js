@@ -35,6 +35,8 @@ import TransformsUtil from "./Util/TransformsUtil.js";
  * @property {string} [keys.engineOverride='templateEngineOverride']
  * @property {string} [keys.computed='buildawesomeComputed']
  * @property {string} [keys.dataSchema='buildawesomeDataSchema']
+ * @property {string} [keys.draft='draft'] - `true` excludes a page from builds (not watch/serve or --drafts)
+ * @property {string} [keys.publishDate='publishDate'] - Future dates exclude a page from builds (not watch/serve or --drafts)
  * @property {object} dir
  * @property {string} [dir.input='.']
  * @property {string} [dir.includes='_includes']
@@ -95,6 +97,8 @@ export default function (config) {
 			computed: "buildawesomeComputed",
 			dataSchema: "buildawesomeDataSchema",
 			import: "buildawesomeImport",
+			draft: "draft",
+			publishDate: "publishDate",
 		},
 
 		// Deprecated, define using `export const directories = {}` instead.
@@ -3,6 +3,7 @@ import slugify from "@sindresorhus/slugify";
 
 import { HtmlTransformer } from "./Util/HtmlTransformer.js";
 import { HtmlRelativeCopyPlugin } from "./Plugins/HtmlRelativeCopyPlugin.js";
+import { PassthroughFingerprintPlugin } from "./Plugins/PassthroughFingerprintPlugin.js";
 import MemoizeUtil from "./Util/MemoizeFunction.js";
 import { getEnvValue } from "./Util/EnvironmentVars.cjs";
 
@@ -49,6 +50,11 @@ export default function ($config) {
 	// Requires user configuration, so must run as second-stage
 	$config.addPlugin(HtmlRelativeCopyPlugin);
 
+	// Passthrough copy `{ hash: true }` URL transform and `hashedUrl` filter
+	$config.addPlugin(PassthroughFingerprintPlugin, {
+		immediate: true,
+	});
+
 	// Filter: Maps an input path to output URL
 	$config.addPlugin(InputPathToUrlFilterPlugin, {
 		immediate: true,
@@ -0,0 +1,75 @@
+import test from "ava";
+import fs from "node:fs";
+
+import Eleventy from "../src/Core.js";
+import { deleteDirectory } from "./_testHelpers.js";
+
+const INPUT_DIR = "./test/stubs-build-cache/";
+const OUTPUT_DIR = "./test/stubs-build-cache/_site/";
+const CACHE_DIR = "./test/stubs-build-cache/.cache/";
+
+async function build() {
+  let elev = new Eleventy(INPUT_DIR, OUTPUT_DIR, {
+    config(eleventyConfig) {
+      eleventyConfig.setBuildCache({
+        directory: CACHE_DIR,
+      });
+    },
+  });
+  elev.disableLogger();
+
+  let [, templates] = await elev.write();
+  return templates.map((entry) => entry.inputPath).sort();
+}
+
+function readOutput(filePath) {
+  return fs.readFileSync(OUTPUT_DIR + filePath, "utf8");
+}
+
+test("Build cache skips unchanged templates and restores their output", async (t) => {
+  let aboutPath = INPUT_DIR + "about.md";
+  let layoutPath = INPUT_DIR + "_includes/base.njk";
+  let dataPath = INPUT_DIR + "_data/site.json";
+  let aboutContent = fs.readFileSync(aboutPath, "utf8");
+  let layoutContent = fs.readFileSync(layoutPath, "utf8");
+
+  deleteDirectory(OUTPUT_DIR);
+  deleteDirectory(CACHE_DIR);
+
+  t.teardown(() => {
+    fs.writeFileSync(aboutPath, aboutContent, "utf8");
+    fs.writeFileSync(layoutPath, layoutContent, "utf8");
+    deleteDirectory(INPUT_DIR + "_data/");
+    deleteDirectory(OUTPUT_DIR);
+    deleteDirectory(CACHE_DIR);
+  });
+
+  // Cold cache: full build
+  t.deepEqual(await build(), ["./test/stubs-build-cache/about.md", "./test/stubs-build-cache/index.njk"]);
+  t.true(fs.existsSync(CACHE_DIR + "manifest.json"));
+
+  // Warm cache, empty output directory (e.g. CI)
+  deleteDirectory(OUTPUT_DIR);
+  t.deepEqual(await build(), []);
+  t.is(readOutput("index.html"), "<title>Home</title>Home page\n");
+  t.is(readOutput("about/index.html"), "<title>About</title><h1>About</h1>\n");
+
+  // Changed template
+  fs.writeFileSync(aboutPath, aboutContent.replace("# About", "# About us"), "utf8");
+  t.deepEqual(await build(), ["./test/stubs-build-cache/about.md"]);
+  t.is(readOutput("about/index.html"), "<title>About</title><h1>About us</h1>\n");
+  t.is(readOutput("index.html"), "<title>Home</title>Home page\n");
+
+  // Changed layout (via the dependency graph)
+  fs.writeFileSync(layoutPath, `<title>{{ title }}!</title>{{ content | safe }}`, "utf8");
+  t.deepEqual(await build(), ["./test/stubs-build-cache/about.md", "./test/stubs-build-cache/index.njk"]);
+  t.is(readOutput("index.html"), "<title>Home!</title>Home page\n");
+
+  // New data file (not in the dependency graph) runs a full build
+  fs.mkdirSync(INPUT_DIR + "_data/", { recursive: true });
+  fs.writeFileSync(dataPath, `{ "name": "Test" }`, "utf8");
+  t.deepEqual(await build(), ["./test/stubs-build-cache/about.md", "./test/stubs-build-cache/index.njk"]);
+
+  // Nothing changed
+  t.deepEqual(await build(), []);
+});
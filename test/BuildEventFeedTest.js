@@ -0,0 +1,91 @@
+import test from "ava";
+
+import Eleventy from "../src/Core.js";
+import { deleteDirectory } from "./_testHelpers.js";
+
+function getStream() {
+  let chunks = [];
+  return {
+    chunks,
+    write(chunk) {
+      chunks.push(chunk);
+    },
+    getRecords() {
+      return chunks.join("").trim().split("\n").map((line) => JSON.parse(line));
+    },
+  };
+}
+
+test("Build event stream (--to=ndjson)", async (t) => {
+  let outputDir = "./test/stubs-build-event-feed/_site/";
+  t.teardown(() => {
+    deleteDirectory(outputDir);
+  });
+
+  let stream = getStream();
+  let elev = new Eleventy("./test/stubs-virtual/", outputDir, {
+    config(eleventyConfig) {
+      eleventyConfig.addTemplate("index.md", "# Home");
+      eleventyConfig.addTemplate("about.md", "# About", { permalink: "/about-us/" });
+    },
+  });
+  elev.disableLogger();
+  elev.setBuildEventStream(stream);
+
+  await elev.write();
+  await elev.write();
+
+  // one record per line
+  t.true(stream.chunks.every((chunk) => chunk.endsWith("\n") && chunk.indexOf("\n") === chunk.length - 1));
+
+  let records = stream.getRecords();
+  t.deepEqual(
+    records.map(({ type }) => type),
+    ["build-start", "page", "page", "build-end", "build-start", "page", "page", "build-end"],
+  );
+
+  t.deepEqual(records[0], {
+    type: "build-start",
+    runMode: "build",
+    incremental: false,
+    files: [],
+  });
+
+  let pages = records.slice(1, 3).sort((a, b) => a.url.localeCompare(b.url));
+  t.deepEqual(pages[1], {
+    type: "page",
+    url: "/about-us/",
+    inputPath: "./test/stubs-virtual/about.md",
+    outputPath: "./test/stubs-build-event-feed/_site/about-us/index.html",
+    rawInput: "# About",
+    content: "<h1>About</h1>\n",
+  });
+
+  t.is(records[3].writeCount, 2);
+  t.is(typeof records[3].duration, "number");
+});
+
+test("Build event stream error record", async (t) => {
+  let stream = getStream();
+  let elev = new Eleventy("./test/stubs-virtual/", undefined, {
+    dryRun: true,
+    config(eleventyConfig) {
+      eleventyConfig.addTemplate("index.njk", "{% notarealtag %}");
+    },
+  });
+  elev.disableLogger();
+  elev.setBuildEventStream(stream);
+
+  await t.throwsAsync(() => elev.write());
+
+  let records = stream.getRecords();
+  t.deepEqual(
+    records.map(({ type }) => type),
+    ["build-start", "error"],
+  );
+  t.true(records[1].chain.length > 1);
+  t.is(records[1].chain[0].message, records[1].message);
+  // Same as `getErrorPayload` (`--to=json` and the development server)
+  t.is(records[1].inputPath, "./test/stubs-virtual/index.njk");
+  t.is(records[1].line, 1);
+});
@@ -0,0 +1,101 @@
+import test from "ava";
+import fs from "node:fs";
+
+import Eleventy from "../src/Core.js";
+import { deleteDirectory } from "./_testHelpers.js";
+
+test("Build manifest via `setBuildManifest`", async (t) => {
+  let outputDir = "./test/stubs-build-manifest/_site/";
+  let manifestPath = "./test/stubs-build-manifest/_site-manifest/manifest.json";
+
+  let elev = new Eleventy("./test/stubs-build-manifest/", outputDir, {
+    config(eleventyConfig) {
+      eleventyConfig.addPassthroughCopy("./test/stubs-build-manifest/robots.txt");
+      eleventyConfig.setBuildManifest(manifestPath);
+    },
+  });
+  elev.disableLogger();
+
+  t.teardown(() => {
+    deleteDirectory(outputDir);
+    deleteDirectory("./test/stubs-build-manifest/_site-manifest/");
+  });
+
+  await elev.write();
+
+  let manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  t.is(manifest.version, 1);
+
+  let pages = manifest.pages.sort((a, b) => a.inputPath.localeCompare(b.inputPath));
+  t.deepEqual(pages, [
+    {
+      inputPath: "./test/stubs-build-manifest/index.njk",
+      outputPath: "./test/stubs-build-manifest/_site/index.html",
+      url: "/",
+      layouts: ["./test/stubs-build-manifest/_includes/base.njk"],
+      dataFiles: ["./test/stubs-build-manifest/_data/site.json"],
+      collections: ["all"],
+    },
+    {
+      inputPath: "./test/stubs-build-manifest/posts/first.md",
+      outputPath: "./test/stubs-build-manifest/_site/posts/first/index.html",
+      url: "/posts/first/",
+      layouts: [
+        "./test/stubs-build-manifest/_includes/post.njk",
+        "./test/stubs-build-manifest/_includes/base.njk",
+      ],
+      // doesn’t use `site`
+      dataFiles: ["./test/stubs-build-manifest/posts/posts.json"],
+      collections: ["all", "post"],
+    },
+  ]);
+
+  t.deepEqual(manifest.passthroughCopy, [
+    {
+      inputPath: "./test/stubs-build-manifest/robots.txt",
+      outputPath: "./test/stubs-build-manifest/_site/robots.txt",
+    },
+  ]);
+
+  t.true(
+    manifest.dependencies["test/stubs-build-manifest/posts/first.md"].includes(
+      "test/stubs-build-manifest/_includes/post.njk",
+    ),
+  );
+});
+
+test("Build manifest `manifest` option overrides configuration", async (t) => {
+  let outputDir = "./test/stubs-build-manifest/_site-option/";
+  let manifestPath = "./test/stubs-build-manifest/_site-option/manifest.json";
+
+  let elev = new Eleventy("./test/stubs-build-manifest/", outputDir, {
+    manifest: manifestPath,
+    config(eleventyConfig) {
+      eleventyConfig.setBuildManifest("./test/stubs-build-manifest/_site-option/ignored.json");
+    },
+  });
+  elev.disableLogger();
+
+  t.teardown(() => {
+    deleteDirectory(outputDir);
+  });
+
+  await elev.write();
+
+  t.true(fs.existsSync(manifestPath));
+  t.false(fs.existsSync("./test/stubs-build-manifest/_site-option/ignored.json"));
+});
+
+test("Build manifest is not written for `--dryrun`", async (t) => {
+  let manifestPath = "./test/stubs-build-manifest/_site-dryrun/manifest.json";
+
+  let elev = new Eleventy("./test/stubs-build-manifest/", "./test/stubs-build-manifest/_site-dryrun/", {
+    dryRun: true,
+    manifest: manifestPath,
+  });
+  elev.disableLogger();
+
+  await elev.write();
+
+  t.false(fs.existsSync(manifestPath));
+});
@@ -0,0 +1,128 @@
+import test from "ava";
+
+import Eleventy from "../src/Core.js";
+import ComponentsPlugin from "../src/Plugins/ComponentsPlugin.js";
+import { deleteDirectory } from "./_testHelpers.js";
+
+function getCore(configCallback = () => {}, outputDir) {
+  let elev = new Eleventy("./test/stubs-components/", outputDir, {
+    config: (eleventyConfig) => {
+      eleventyConfig.addPlugin(ComponentsPlugin);
+      configCallback(eleventyConfig);
+    },
+  });
+  elev.disableLogger();
+  return elev;
+}
+
+async function getOutput(elev) {
+  let results = await elev.toJSON();
+  return Object.fromEntries(results.map(({ url, content }) => [url, content]));
+}
+
+// Shortcode errors are wrapped by the template engine
+function getErrorMessages(e) {
+  let messages = [];
+  while (e) {
+    messages.push(e.message);
+    e = e.cause;
+  }
+  return messages.join("\n");
+}
+
+test("Components with props and named slots (Nunjucks and Liquid)", async (t) => {
+  let output = await getOutput(getCore());
+
+  t.is(output["/"].trim(), `<style>.card { border: 1px solid; }</style>
+<article class="card"><h2>Hello</h2>Card body<footer>Card footer</footer></article>`);
+  t.is(output["/badge/"].trim(), `<span class="badge">New!</span>`);
+
+  // Components are not templates
+  t.deepEqual(Object.keys(output).sort(), ["/", "/badge/", "/plain/"]);
+});
+
+test("Component `<style>` is routed to the css bundle", async (t) => {
+  let output = await getOutput(
+    getCore((eleventyConfig) => {
+      eleventyConfig.addPlugin(() => {
+        eleventyConfig.addBundle("css");
+      });
+      eleventyConfig.addTemplate(
+        "bundled.njk",
+        `<style>{% getBundle "css" %}</style>{% component "card", { title: "Bundled", level: 3 } %}Body{% endcomponent %}`,
+        { permalink: "/bundled/" },
+      );
+    }),
+  );
+
+  t.is(
+    output["/bundled/"].trim(),
+    `<style>.card { border: 1px solid; }</style>\n<article class="card"><h3>Bundled</h3>Body</article>`,
+  );
+});
+
+test("Component prop validation errors", async (t) => {
+  let elev = getCore((eleventyConfig) => {
+    eleventyConfig.addTemplate("missing.njk", `{% component "card" %}{% endcomponent %}`);
+  });
+  let e = await t.throwsAsync(() => elev.toJSON());
+  t.truthy(
+    getErrorMessages(e).includes(
+      "Missing required prop `title` for component ./test/stubs-components/_components/card.njk.",
+    ),
+  );
+
+  elev = getCore((eleventyConfig) => {
+    eleventyConfig.addTemplate(
+      "invalid.njk",
+      `{% component "card", { title: "Hi", level: "two" } %}{% endcomponent %}`,
+    );
+  });
+  e = await t.throwsAsync(() => elev.toJSON());
+  t.truthy(
+    getErrorMessages(e).includes(
+      'Invalid prop `level` passed to component ./test/stubs-components/_components/card.njk: expected number, received "two".',
+    ),
+  );
+
+  elev = getCore((eleventyConfig) => {
+    eleventyConfig.addTemplate("unknown.njk", `{% component "nope" %}{% endcomponent %}`);
+  });
+  e = await t.throwsAsync(() => elev.toJSON());
+  t.truthy(getErrorMessages(e).includes('Could not find component "nope"'));
+});
+
+test("Incremental builds re-render templates that use a changed component", async (t) => {
+  let outputDir = "./test/stubs-components/_site/";
+  let elev = getCore(() => {}, outputDir);
+
+  t.teardown(() => {
+    deleteDirectory(outputDir);
+  });
+
+  let [, results] = await elev.write();
+  t.deepEqual(results.map(({ url }) => url).sort(), ["/", "/badge/", "/plain/"]);
+
+  elev.setIncrementalFiles(["./test/stubs-components/_components/card.njk"]);
+  [, results] = await elev.write();
+  t.deepEqual(results.map(({ url }) => url).sort(), ["/"]);
+});
+
+test("11ty.js templates and components (with bundle exports)", async (t) => {
+  let output = await getOutput(
+    getCore((eleventyConfig) => {
+      eleventyConfig.addPlugin(() => {
+        eleventyConfig.addBundle("css");
+      });
+      eleventyConfig.addTemplate("note.11ty.js", {
+        data: { permalink: "/note/" },
+        async render() {
+          let note = await this.component("Read this first.", "note", { kind: "tip" });
+          return `<style>${this.getBundle("css")}</style>${note}`;
+        },
+      });
+    }),
+  );
+
+  t.is(output["/note/"], `<style>.note { color: red; }</style><aside class="tip">Read this first.</aside>`);
+});
@@ -0,0 +1,76 @@
+import test from "ava";
+
+import Eleventy from "../src/Core.js";
+
+function getCore(options = {}, configCallback) {
+  let elev = new Eleventy("./test/stubs-drafts/", undefined, {
+    ...options,
+    config: configCallback,
+  });
+  elev.disableLogger();
+  return elev;
+}
+
+async function getOutput(elev) {
+  let results = await elev.toJSON();
+  return Object.fromEntries(results.map(({ url, content }) => [url, content]));
+}
+
+test("Drafts and scheduled content are excluded from builds", async (t) => {
+  let elev = getCore();
+  let output = await getOutput(elev);
+
+  t.deepEqual(Object.keys(output).sort(), ["/", "/past/", "/published/"]);
+  t.is(output["/"].trim(), "Past,Published,");
+
+  t.deepEqual(
+    elev.writer.getMetadata().unpublished.map(({ url, reason }) => [url, reason]).sort(),
+    [
+      ["/draft/", "draft"],
+      ["/scheduled/", "scheduled"],
+    ],
+  );
+  t.true(elev.logFinished().includes("Skipped 1 draft, 1 scheduled page (use --drafts to include)"));
+});
+
+test("Drafts and scheduled content are included with `drafts: true` (--drafts)", async (t) => {
+  let elev = getCore({ drafts: true });
+  let output = await getOutput(elev);
+
+  t.deepEqual(Object.keys(output).sort(), ["/", "/draft/", "/past/", "/published/", "/scheduled/"]);
+  t.is(output["/"].trim(), "Draft,Past,Published,Scheduled,");
+  t.false(output["/draft/"].includes("data-buildawesome-unpublished"));
+  t.deepEqual(elev.writer.getMetadata().unpublished, []);
+  t.false(elev.logFinished().includes("Skipped"));
+});
+
+test("Drafts and scheduled content are included and marked in serve", async (t) => {
+  let output = await getOutput(getCore({ runMode: "serve" }));
+
+  t.deepEqual(Object.keys(output).sort(), ["/", "/draft/", "/past/", "/published/", "/scheduled/"]);
+  t.true(output["/draft/"].includes(`<div data-buildawesome-unpublished="draft"`));
+  t.true(
+    output["/scheduled/"].includes(`<div data-buildawesome-unpublished="scheduled"`) &&
+      output["/scheduled/"].trim().endsWith("</div></body></html>"),
+  );
+  t.false(output["/published/"].includes("data-buildawesome-unpublished"));
+});
+
+test("Drafts are included in watch (not marked)", async (t) => {
+  let output = await getOutput(getCore({ runMode: "watch" }));
+
+  t.true("/draft/" in output);
+  t.false(output["/draft/"].includes("data-buildawesome-unpublished"));
+});
+
+test("Invalid `publishDate`", async (t) => {
+  let elev = getCore({}, (eleventyConfig) => {
+    eleventyConfig.addTemplate("invalid.md", "Invalid", { publishDate: "tomorrow" });
+  });
+
+  let e = await t.throwsAsync(() => elev.toJSON());
+  t.is(
+    e.cause.message,
+    "Data cascade value for `publishDate` (tomorrow) is invalid for ./test/stubs-drafts/invalid.md",
+  );
+});
@@ -0,0 +1,102 @@
+import test from "ava";
+
+import Eleventy from "../src/Core.js";
+import { deleteDirectory } from "./_testHelpers.js";
+
+const INPUT_DIR = "./test/stubs-incremental-deps/";
+
+function getCore(outputDir) {
+  let elev = new Eleventy(INPUT_DIR, outputDir);
+  elev.disableLogger();
+  return elev;
+}
+
+// Full build, then an incremental build for the changed files
+async function getIncrementalUrls(t, name, changedFiles) {
+  let outputDir = `${INPUT_DIR}_site-${name}/`;
+  t.teardown(() => {
+    deleteDirectory(outputDir);
+  });
+
+  let elev = getCore(outputDir);
+  let [, results] = await elev.write();
+  t.deepEqual(results.map(({ url }) => url).sort(), [
+    "/",
+    "/about/",
+    "/blog/post/",
+    "/contact/",
+    "/dynamic/",
+  ]);
+
+  elev.setIncrementalFiles(changedFiles.map((file) => `${INPUT_DIR}${file}`));
+  [, results] = await elev.write();
+  return results.map(({ url }) => url).sort();
+}
+
+// `/dynamic/` uses an include that isn’t known statically and is always relevant to changed non-template files
+
+test("Changed nested include", async (t) => {
+  t.deepEqual(await getIncrementalUrls(t, "include", ["_includes/nav.njk"]), ["/", "/dynamic/"]);
+});
+
+test("Changed Liquid `render` include", async (t) => {
+  t.deepEqual(await getIncrementalUrls(t, "render", ["_includes/footer.liquid"]), [
+    "/contact/",
+    "/dynamic/",
+  ]);
+});
+
+test("Changed layout (from directory data)", async (t) => {
+  t.deepEqual(await getIncrementalUrls(t, "layout", ["_includes/post.njk"]), [
+    "/blog/post/",
+    "/dynamic/",
+  ]);
+});
+
+test("Changed global data file only renders templates using its key", async (t) => {
+  // `nav` is used via the header and nav includes
+  t.deepEqual(await getIncrementalUrls(t, "nav", ["_data/nav.json"]), ["/", "/dynamic/"]);
+});
+
+test("Changed global data file used in a template", async (t) => {
+  t.deepEqual(await getIncrementalUrls(t, "site", ["_data/site.json"]), ["/about/", "/dynamic/"]);
+});
+
+test("Changed directory data file", async (t) => {
+  t.deepEqual(await getIncrementalUrls(t, "dirdata", ["blog/blog.json"]), [
+    "/blog/post/",
+    "/dynamic/",
+  ]);
+});
+
+test("Templates using project filters render for any changed data file", async (t) => {
+  let outputDir = `${INPUT_DIR}_site-filter/`;
+  t.teardown(() => {
+    deleteDirectory(outputDir);
+  });
+
+  let elev = new Eleventy(INPUT_DIR, outputDir, {
+    config(eleventyConfig) {
+      // Reads global data without referencing `site` in the template
+      eleventyConfig.addFilter("siteValue", function (key) {
+        return this.ctx.site[key];
+      });
+      eleventyConfig.addTemplate("filter.njk", `{{ "title" | siteValue }}`);
+    },
+  });
+  elev.disableLogger();
+  await elev.write();
+
+  elev.setIncrementalFiles([`${INPUT_DIR}_data/site.json`]);
+  let [, results] = await elev.write();
+  t.deepEqual(results.map(({ url }) => url).sort(), ["/about/", "/dynamic/", "/filter/"]);
+});
+
+test("Unknown non-template files run a full build", async (t) => {
+  let elev = getCore();
+  await elev.toJSON();
+
+  t.true(elev.isIncrementalBuildPossible([`${INPUT_DIR}_includes/header.njk`]));
+  t.true(elev.isIncrementalBuildPossible([`${INPUT_DIR}_data/site.json`]));
+  t.false(elev.isIncrementalBuildPossible([`${INPUT_DIR}_includes/unused.njk`]));
+});
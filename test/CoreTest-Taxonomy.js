@@ -0,0 +1,116 @@
+import test from "ava";
+
+import Eleventy from "../src/Core.js";
+import { deleteDirectory } from "./_testHelpers.js";
+
+function getCore(configCallback, outputDir) {
+  let elev = new Eleventy("./test/stubs-taxonomy/", outputDir, {
+    config: configCallback,
+  });
+  elev.disableLogger();
+  return elev;
+}
+
+async function getOutput(elev) {
+  let results = await elev.toJSON();
+  return Object.fromEntries(results.map(({ url, content }) => [url, content]));
+}
+
+test("Paginated term pages and a term index page for `tags`", async (t) => {
+  let output = await getOutput(
+    getCore((eleventyConfig) => {
+      eleventyConfig.addTaxonomy("tags", { pageSize: 1 });
+    }),
+  );
+
+  t.deepEqual(Object.keys(output).filter((url) => url.startsWith("/tags/")).sort(), [
+    "/tags/",
+    "/tags/css/",
+    "/tags/css/2/",
+    "/tags/js/",
+    "/tags/js/2/",
+    "/tags/web-components/",
+  ]);
+
+  t.is(output["/tags/js/"], `<ul>\n<li><a href="/posts/first/">First</a></li>\n</ul>\n`);
+  t.is(output["/tags/js/2/"], `<ul>\n<li><a href="/posts/second/">Second</a></li>\n</ul>\n`);
+  t.is(output["/tags/web-components/"], `<ul>\n<li><a href="/posts/third/">Third &amp; Last</a></li>\n</ul>\n`);
+  t.is(
+    output["/tags/"],
+    `<ul>
+<li><a href="/tags/css/">css</a> (2)</li>
+<li><a href="/tags/js/">js</a> (2)</li>
+<li><a href="/tags/web-components/">Web Components</a> (1)</li>
+</ul>
+`,
+  );
+});
+
+test("Any front matter key as a taxonomy (with layout and permalink)", async (t) => {
+  let output = await getOutput(
+    getCore((eleventyConfig) => {
+      eleventyConfig.addTemplate(
+        "_includes/author.njk",
+        "{{ taxonomy.term }} ({{ taxonomy.count }}, page {{ taxonomy.pageNumber + 1 }} of {{ taxonomy.pageCount }}, next: {{ taxonomy.href.next }}){{ content | safe }}",
+      );
+      eleventyConfig.addTaxonomy("author", {
+        layout: "author.njk",
+        pageSize: 1,
+        reverse: true,
+        permalink: ({ slug, pageNumber }) => `/people/${slug}/${pageNumber ? `page-${pageNumber}/` : ""}`,
+        indexPermalink: false,
+      });
+    }),
+  );
+
+  t.deepEqual(Object.keys(output).filter((url) => url.startsWith("/people/")).sort(), [
+    "/people/ada/",
+    "/people/zach/",
+    "/people/zach/page-1/",
+  ]);
+  t.is(output["/author/"], undefined);
+  t.is(
+    output["/people/zach/"],
+    `Zach (2, page 1 of 2, next: /people/zach/page-1/)<ul>\n<li><a href="/posts/second/">Second</a></li>\n</ul>\n`,
+  );
+});
+
+test("addTaxonomy errors", async (t) => {
+  let elev = getCore((eleventyConfig) => {
+    eleventyConfig.addTaxonomy("tags");
+    t.throws(() => eleventyConfig.addTaxonomy("tags"), {
+      message: "`addTaxonomy(\"tags\")` already exists. Each taxonomy can only be added once.",
+    });
+    t.throws(() => eleventyConfig.addTaxonomy("categories", { pageSize: 0 }), {
+      message: "Invalid `pageSize` passed to `addTaxonomy(\"categories\")`: 0. Expected a positive integer.",
+    });
+  });
+
+  await elev.init();
+});
+
+test("Incremental builds only write the term pages for a changed template", async (t) => {
+  let outputDir = "./test/stubs-taxonomy/_site/";
+  let elev = getCore((eleventyConfig) => {
+    eleventyConfig.addTaxonomy("tags");
+  }, outputDir);
+
+  t.teardown(() => {
+    deleteDirectory(outputDir);
+  });
+
+  let [, results] = await elev.write();
+  t.deepEqual(results.map(({ url }) => url).sort(), [
+    "/posts/first/",
+    "/posts/second/",
+    "/posts/third/",
+    "/tags/",
+    "/tags/css/",
+    "/tags/js/",
+    "/tags/web-components/",
+  ]);
+
+  elev.setIncrementalFiles(["./test/stubs-taxonomy/posts/second.md"]);
+  [, results] = await elev.write();
+  t.deepEqual(results.map(({ url }) => url).sort(), ["/posts/second/", "/tags/", "/tags/js/"]);
+});
@@ -1166,6 +1166,8 @@ parkour:
 
 test("Eleventy data schema (success) #879", async (t) => {
   let elev = new Eleventy("./test/stubs-virtual/", undefined, {
+    // `draft: true` templates are otherwise excluded from builds
+    drafts: true,
     config: configApi => {
       configApi.addTemplate("index1.html", "", {
         draft: true,
@@ -0,0 +1,105 @@
+import test from "ava";
+
+import Eleventy from "../src/Core.js";
+
+const SCHEMA_PATH = "./test/stubs-data-schemas/post.schema.json";
+
+test("JSON Schema via `addDataSchema` and the data cascade, all violations reported", async (t) => {
+  let elev = new Eleventy("./test/stubs-virtual/", undefined, {
+    config(eleventyConfig) {
+      eleventyConfig.addDataSchema("post", SCHEMA_PATH);
+      eleventyConfig.addDataSchema("all", {
+        properties: {
+          draft: { type: "boolean" },
+        },
+      });
+
+      eleventyConfig.addTemplate("valid.md", "", {
+        tags: "post",
+        title: "Valid",
+        date: "2024-01-01",
+        authors: [{ name: "Zach" }],
+      });
+      eleventyConfig.addTemplate("invalid.md", "", {
+        tags: "post",
+        date: "2024-01-01",
+        authors: [{ name: 1 }],
+      });
+      eleventyConfig.addTemplate("page.md", "", {
+        draft: "yes",
+        eleventyDataSchema: {
+          type: "object",
+          required: ["description"],
+        },
+      });
+    },
+  });
+  elev.disableLogger();
+
+  let e = await t.throwsAsync(() => elev.toJSON());
+  let { violations, message } = e.cause || e;
+
+  t.true(message.startsWith("Data schema validation failed with 4 errors:"));
+  t.true(message.includes(`/authors/0/name must be string (via ${SCHEMA_PATH})`));
+
+  t.deepEqual(
+    violations
+      .map(({ inputPath, instancePath, keyword, schema }) => ({ inputPath, instancePath, keyword, schema }))
+      .sort((a, b) => `${a.inputPath}${a.instancePath}`.localeCompare(`${b.inputPath}${b.instancePath}`)),
+    [
+      {
+        inputPath: "./test/stubs-virtual/invalid.md",
+        instancePath: "/authors/0/name",
+        keyword: "type",
+        schema: SCHEMA_PATH,
+      },
+      {
+        inputPath: "./test/stubs-virtual/invalid.md",
+        instancePath: "/title",
+        keyword: "required",
+        schema: SCHEMA_PATH,
+      },
+      {
+        inputPath: "./test/stubs-virtual/page.md",
+        instancePath: "/description",
+        keyword: "required",
+        schema: "inline schema",
+      },
+      {
+        inputPath: "./test/stubs-virtual/page.md",
+        instancePath: "/draft",
+        keyword: "type",
+        schema: "inline schema",
+      },
+    ],
+  );
+});
+
+test("JSON Schema file path in the data cascade (success)", async (t) => {
+  let elev = new Eleventy("./test/stubs-virtual/", undefined, {
+    config(eleventyConfig) {
+      eleventyConfig.addTemplate("index.md", "# Hi", {
+        title: "Hi",
+        date: new Date("2024-01-01"),
+        eleventyDataSchema: SCHEMA_PATH,
+      });
+    },
+  });
+  elev.disableLogger();
+
+  let results = await elev.toJSON();
+  t.is(results.length, 1);
+});
+
+test("Missing JSON Schema file", async (t) => {
+  let elev = new Eleventy("./test/stubs-virtual/", undefined, {
+    config(eleventyConfig) {
+      eleventyConfig.addDataSchema("all", "./test/stubs-data-schemas/missing.json");
+      eleventyConfig.addTemplate("index.md", "# Hi");
+    },
+  });
+  elev.disableLogger();
+
+  let e = await t.throwsAsync(() => elev.toJSON());
+  t.is((e.cause || e).message, "Could not find the JSON Schema file: ./test/stubs-data-schemas/missing.json");
+});
@@ -0,0 +1,106 @@
+import test from "ava";
+
+import Eleventy from "../src/Core.js";
+import { getCodeFrame, getErrorChain, getErrorPayload } from "../src/Errors/ErrorPayload.js";
+import BaseError from "../src/Errors/BaseError.js";
+import ErrorUtil from "../src/Errors/ErrorUtil.js";
+
+async function getBuildErrorPayload(t, filename) {
+  let elev = new Eleventy(`./test/stubs-error-payload/${filename}`, undefined, {
+    quietMode: true,
+  });
+  elev.disableLogger();
+
+  let error = await t.throwsAsync(() => elev.toJSON());
+  return getErrorPayload(error);
+}
+
+test("Code frame", (t) => {
+  let content = "one\ntwo\nthree\nfour\nfive\nsix";
+  t.is(getCodeFrame(content, 3, 2), ["  1 | one", "  2 | two", "> 3 | three", "    |  ^", "  4 | four", "  5 | five"].join("\n"));
+  t.is(getCodeFrame(content, 1), ["> 1 | one", "  2 | two", "  3 | three"].join("\n"));
+});
+
+test("Error chain (originalError, cause, and embedded errors)", (t) => {
+  let root = new Error("Root");
+  let embedded = new Error(`Engine error ${ErrorUtil.convertErrorToString(root)}`);
+  let cause = new Error("Cause", { cause: embedded });
+  let error = new BaseError("Outer", cause);
+
+  t.deepEqual(
+    getErrorChain(error).map(({ message }) => ErrorUtil.cleanMessage(message).trim()),
+    ["Outer", "Cause", "Engine error", "Root"],
+  );
+});
+
+test("Payload survives the development server serialization", (t) => {
+  let payload = getErrorPayload(new BaseError("Outer", new TypeError("Inner")));
+  // via @11ty/eleventy-dev-server `sendError`
+  let serialized = JSON.parse(JSON.stringify(payload, Object.getOwnPropertyNames(payload)));
+
+  t.is(serialized.message, "Outer");
+  t.deepEqual(serialized.chain, [
+    { name: "BaseError", message: "Outer" },
+    { name: "TypeError", message: "Inner" },
+  ]);
+});
+
+test("Nunjucks render error location (after front matter)", async (t) => {
+  let payload = await getBuildErrorPayload(t, "nunjucks.njk");
+
+  t.is(payload.name, "TemplateContentRenderError");
+  t.is(payload.inputPath, "./test/stubs-error-payload/nunjucks.njk");
+  t.is(payload.line, 5);
+  // Nunjucks reports the position of the call
+  t.is(payload.column, 22);
+  t.true(payload.codeFrame.includes("> 5 | <p>{{ missingFunction() }}</p>"));
+  t.deepEqual(
+    payload.chain.map(({ name }) => name),
+    ["TemplateContentRenderError", "Template render error", "Error"],
+  );
+});
+
+test("Liquid error location in an include", async (t) => {
+  let payload = await getBuildErrorPayload(t, "liquid.liquid");
+
+  t.is(payload.inputPath, "./test/stubs-error-payload/_includes/broken.liquid");
+  t.is(payload.line, 2);
+  t.is(payload.column, 1);
+  t.true(payload.codeFrame.includes(`> 2 | {% include "missing.liquid" %}`));
+  t.is(payload.chain[0].inputPath, "./test/stubs-error-payload/liquid.liquid");
+});
+
+test("Front matter error location", async (t) => {
+  let payload = await getBuildErrorPayload(t, "frontmatter.md");
+
+  t.is(payload.name, "TemplateContentFrontMatterError");
+  t.is(payload.inputPath, "./test/stubs-error-payload/frontmatter.md");
+  t.is(payload.line, 3);
+  t.is(payload.chain[1].name, "YAMLException");
+});
+
+test("JavaScript template error location (from the stack trace)", async (t) => {
+  let payload = await getBuildErrorPayload(t, "javascript.11ty.js");
+
+  t.is(payload.inputPath, "./test/stubs-error-payload/javascript.11ty.js");
+  t.is(payload.line, 3);
+  t.true(payload.codeFrame.includes("> 3 | \treturn `<p>${data.title}</p>`;"));
+  t.true(payload.stack.startsWith("TypeError"));
+});
+
+test("Computed data error has a data cascade location", async (t) => {
+  let payload = await getBuildErrorPayload(t, "computed.njk");
+
+  t.is(payload.dataPath, "eleventyComputed.description");
+  t.is(payload.inputPath, "./test/stubs-error-payload/computed.njk");
+  // Line numbers are relative to the computed data string, not the file
+  t.is(payload.line, undefined);
+  t.is(payload.codeFrame, undefined);
+  t.true(
+    payload.chain.some(
+      ({ name, message }) =>
+        name === "ComputedDataError" &&
+        message === "Having trouble computing `eleventyComputed.description` for ./test/stubs-error-payload/computed.njk",
+    ),
+  );
+});
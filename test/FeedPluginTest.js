@@ -0,0 +1,144 @@
+import test from "ava";
+
+import Eleventy from "../src/Core.js";
+import FeedPlugin from "../src/Plugins/FeedPlugin.js";
+import I18nPlugin from "../src/Plugins/I18nPlugin.js";
+
+const METADATA = {
+  title: "Blog & Notes",
+  subtitle: "Posts",
+  base: "https://example.com/",
+  author: { name: "Zach" },
+};
+
+function addPosts(eleventyConfig, prefix = "") {
+  eleventyConfig.addTemplate(`${prefix}one.md`, "[Two](../two/) ![](/img.png)", {
+    tags: "post",
+    title: "One",
+    date: "2024-01-01",
+  });
+  eleventyConfig.addTemplate(`${prefix}two.md`, "Hello <b>world</b>", {
+    tags: "post",
+    title: "Two",
+    date: "2024-02-01",
+  });
+}
+
+async function getFeeds(pluginOptions, prefixes = [""], coreOptions = {}) {
+  let elev = new Eleventy("./test/stubs-virtual/", undefined, {
+    ...coreOptions,
+    config(eleventyConfig) {
+      for (let options of [pluginOptions].flat()) {
+        eleventyConfig.addPlugin(FeedPlugin, options);
+      }
+      for (let prefix of prefixes) {
+        addPosts(eleventyConfig, prefix);
+      }
+      coreOptions.config?.(eleventyConfig);
+    },
+  });
+  elev.disableLogger();
+
+  let results = await elev.toJSON();
+  return Object.fromEntries(
+    results.filter(({ url }) => /\.(xml|json)$/.test(url)).map(({ url, content }) => [url, content]),
+  );
+}
+
+test("Atom feed", async (t) => {
+  let feeds = await getFeeds({ type: "atom", collection: "post", metadata: METADATA }, [""], { pathPrefix: "/blog/" });
+
+  t.is(
+    feeds["/feed.xml"],
+    `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+<title>Blog &amp; Notes</title>
+<subtitle>Posts</subtitle>
+<link href="https://example.com/blog/feed.xml" rel="self"/>
+<link href="https://example.com/blog/"/>
+<updated>2024-02-01T00:00:00.000Z</updated>
+<id>https://example.com/blog/</id>
+<author><name>Zach</name></author>
+<entry>
+<title>Two</title>
+<link href="https://example.com/blog/two/"/>
+<updated>2024-02-01T00:00:00.000Z</updated>
+<id>https://example.com/blog/two/</id>
+<content type="html">&lt;p&gt;Hello &lt;b&gt;world&lt;/b&gt;&lt;/p&gt;
+</content>
+</entry>
+<entry>
+<title>One</title>
+<link href="https://example.com/blog/one/"/>
+<updated>2024-01-01T00:00:00.000Z</updated>
+<id>https://example.com/blog/one/</id>
+<content type="html">&lt;p&gt;&lt;a href=&quot;https://example.com/blog/two/&quot;&gt;Two&lt;/a&gt; &lt;img src=&quot;https://example.com/blog/img.png&quot; alt=&quot;&quot;&gt;&lt;/p&gt;
+</content>
+</entry>
+</feed>
+`,
+  );
+});
+
+test("RSS and JSON feeds, `limit`", async (t) => {
+  let feeds = await getFeeds([
+    { type: "rss", collection: { name: "post", limit: 1 }, metadata: { ...METADATA, language: "en" } },
+    { type: "json", collection: "post", metadata: METADATA },
+  ]);
+
+  t.deepEqual(Object.keys(feeds).sort(), ["/feed.json", "/feed.xml"]);
+  t.is(
+    feeds["/feed.xml"],
+    `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+<channel>
+<title>Blog &amp; Notes</title>
+<link>https://example.com/</link>
+<atom:link href="https://example.com/feed.xml" rel="self" type="application/rss+xml"/>
+<description>Posts</description>
+<language>en</language>
+<item>
+<title>Two</title>
+<link>https://example.com/two/</link>
+<description>&lt;p&gt;Hello &lt;b&gt;world&lt;/b&gt;&lt;/p&gt;
+</description>
+<pubDate>Thu, 01 Feb 2024 00:00:00 GMT</pubDate>
+<guid>https://example.com/two/</guid>
+</item>
+</channel>
+</rss>
+`,
+  );
+
+  let json = JSON.parse(feeds["/feed.json"]);
+  t.is(json.version, "https://jsonfeed.org/version/1.1");
+  t.is(json.feed_url, "https://example.com/feed.json");
+  t.deepEqual(json.authors, [{ name: "Zach" }]);
+  t.deepEqual(
+    json.items.map(({ id, date_published }) => ({ id, date_published })),
+    [
+      { id: "https://example.com/two/", date_published: "2024-02-01T00:00:00.000Z" },
+      { id: "https://example.com/one/", date_published: "2024-01-01T00:00:00.000Z" },
+    ],
+  );
+  t.is(json.items[1].content_html, `<p><a href="https://example.com/two/">Two</a> <img src="https://example.com/img.png" alt=""></p>\n`);
+});
+
+test("One feed per locale with the I18n plugin", async (t) => {
+  let feeds = await getFeeds({ type: "json", collection: "post", i18n: true, metadata: METADATA }, ["en/", "es/"], {
+    config(eleventyConfig) {
+      eleventyConfig.addPlugin(I18nPlugin, { defaultLanguage: "en" });
+    },
+  });
+
+  t.deepEqual(Object.keys(feeds).sort(), ["/en/feed.json", "/es/feed.json"]);
+
+  let es = JSON.parse(feeds["/es/feed.json"]);
+  t.is(es.language, "es");
+  t.is(es.home_page_url, "https://example.com/es/");
+  t.deepEqual(
+    es.items.map(({ url }) => url),
+    ["https://example.com/es/two/", "https://example.com/es/one/"],
+  );
+  t.is(es.items[1].content_html, `<p><a href="https://example.com/es/two/">Two</a> <img src="https://example.com/img.png" alt=""></p>\n`);
+});
@@ -1,6 +1,8 @@
 import test from "ava";
-import { Comparator, LangUtils, default as I18nPlugin } from "../src/Plugins/I18nPlugin.js";
+import yaml from "js-yaml";
+import { Comparator, LangUtils, Translations, default as I18nPlugin } from "../src/Plugins/I18nPlugin.js";
 import Eleventy from "../src/Core.js";
+import ConsoleLogger from "../src/Util/ConsoleLogger.js";
 import { normalizeNewLines } from "./Util/normalizeNewLines.js";
 
 test("Comparator.isLangCode", (t) => {
@@ -158,3 +160,185 @@ en`
 en-us`
   );
 });
+
+test("Translations: interpolation, plurals, nested keys, and region fallback", (t) => {
+  let translations = new Translations({ defaultLanguage: "en", errorMode: "strict" });
+  translations.setDictionaries({
+    en: {
+      greeting: "Hello, {name}!",
+      nav: { home: "Home" },
+      apples: { one: "{count} apple", other: "{count} apples" },
+    },
+    ar: {
+      apples: { zero: "zero", one: "one", two: "two", few: "few", many: "many", other: "other" },
+    },
+  });
+
+  t.is(translations.translate("greeting", { name: "Zach" }), "Hello, Zach!");
+  t.is(translations.translate("greeting"), "Hello, {name}!");
+  t.is(translations.translate("nav.home"), "Home");
+  t.is(translations.translate("apples", { count: 1 }), "1 apple");
+  t.is(translations.translate("apples", { count: 2 }), "2 apples");
+  t.is(translations.translate("apples", { count: 2 }, "en-us"), "2 apples");
+
+  // Intl.PluralRules categories
+  t.is(translations.translate("apples", { count: 0 }, "ar"), "zero");
+  t.is(translations.translate("apples", { count: 2 }, "ar"), "two");
+  t.is(translations.translate("apples", { count: 3 }, "ar"), "few");
+  t.is(translations.translate("apples", { count: 11 }, "ar"), "many");
+  t.is(translations.translate("apples", { count: 100 }, "ar"), "other");
+
+  t.deepEqual(translations.getMissing(), {});
+});
+
+test("Translations: errorMode", (t) => {
+  let dictionaries = {
+    en: { home: "Home" },
+    es: {},
+  };
+
+  let strict = new Translations({ defaultLanguage: "en", errorMode: "strict" });
+  strict.setDictionaries(dictionaries);
+  t.throws(() => strict.translate("home", {}, "es"), {
+    message: /not found in the `es` dictionary/,
+  });
+
+  let fallback = new Translations({ defaultLanguage: "en", errorMode: "allow-fallback" });
+  fallback.setDictionaries(dictionaries);
+  t.is(fallback.translate("home", {}, "es"), "Home");
+  t.throws(() => fallback.translate("missing", {}, "es"), {
+    message: /not found in the `es` or default language \(en\) dictionaries/,
+  });
+
+  let never = new Translations({ defaultLanguage: "en", errorMode: "never" });
+  never.setDictionaries(dictionaries);
+  t.is(never.translate("home", {}, "es"), "Home");
+  t.is(never.translate("missing", {}, "es"), "missing");
+  t.is(never.translate("missing"), "missing");
+  t.deepEqual(never.getMissing(), {
+    en: ["missing"],
+    es: ["home", "missing"],
+  });
+});
+
+test("Translation dictionaries with the `t` filter and shortcode", async (t) => {
+  let warnings = [];
+  let logger = new ConsoleLogger();
+  logger.isVerbose = true;
+  logger.overrideLogger({
+    log() {},
+    warn(message) {
+      warnings.push(message);
+    },
+  });
+
+  let elev = new Eleventy("./test/stubs-i18n-translations/", undefined, {
+    config(eleventyConfig) {
+      eleventyConfig.addDataExtension("yaml", (s) => yaml.load(s));
+      eleventyConfig.addPlugin(I18nPlugin, {
+        defaultLanguage: "en",
+        errorMode: "allow-fallback",
+      });
+    },
+  });
+  await elev.init();
+  elev.logger = logger;
+
+  let results = await elev.toJSON();
+  let getContent = (url) => results.find((entry) => entry.url === url).content.trim();
+
+  t.is(getContent("/en/"), "Hello, Zach!|Home|No items|1 item|3 items|Made in Iowa");
+  t.is(getContent("/es/"), "¡Hola, Zach!|Inicio|1 artículo|5 artículos|Made in Iowa");
+  t.is(getContent("/es/page/"), "Inicio|Hello, Zach!");
+
+  t.is(results.length, 3);
+  t.deepEqual(warnings, ["[11ty] Missing translations (I18N plugin):\n[11ty]   es: footer"]);
+});
+
+test("hreflang alternate links and missing localized pages", async (t) => {
+  let warnings = [];
+  let logger = new ConsoleLogger();
+  logger.isVerbose = true;
+  logger.overrideLogger({
+    log() {},
+    warn(message) {
+      warnings.push(message);
+    },
+  });
+
+  let elev = new Eleventy("./test/stubs-virtual/", undefined, {
+    pathPrefix: "/docs/",
+    config(eleventyConfig) {
+      eleventyConfig.addPlugin(I18nPlugin, {
+        defaultLanguage: "en",
+        dictionaries: false,
+        hreflang: {
+          enabled: true,
+          base: "https://example.com/",
+        },
+        warnOnMissingPages: true,
+      });
+
+      let html = `<html><head><title>Test</title></head><body></body></html>`;
+      eleventyConfig.addTemplate("en/about.njk", html);
+      eleventyConfig.addTemplate("es/about.njk", html);
+      eleventyConfig.addTemplate("en-us/about.njk", html);
+      eleventyConfig.addTemplate("en/contact.njk", html);
+      eleventyConfig.addTemplate("es/manual.njk", `<html><head><link rel="alternate" hreflang="en" href="/en/"></head></html>`);
+      eleventyConfig.addTemplate("es/manual2.njk", html);
+      eleventyConfig.addTemplate("en/manual.njk", html);
+    },
+  });
+  await elev.init();
+  elev.logger = logger;
+
+  let results = await elev.toJSON();
+  let getContent = (url) => results.find((entry) => entry.url === url).content;
+
+  t.is(
+    getContent("/en/about/"),
+    `<html><head><title>Test</title><link rel="alternate" hreflang="en" href="https://example.com/docs/en/about/">
+<link rel="alternate" hreflang="en-us" href="https://example.com/docs/en-us/about/">
+<link rel="alternate" hreflang="es" href="https://example.com/docs/es/about/">
+<link rel="alternate" hreflang="x-default" href="https://example.com/docs/en/about/">
+</head><body></body></html>`,
+  );
+  t.is(getContent("/es/about/"), getContent("/en/about/"));
+
+  // No localized versions
+  t.is(getContent("/en/contact/"), `<html><head><title>Test</title></head><body></body></html>`);
+
+  // Existing alternates are kept
+  t.is(getContent("/es/manual/"), `<html><head><link rel="alternate" hreflang="en" href="/en/"></head></html>`);
+
+  t.deepEqual(warnings, [
+    `[11ty] Missing localized pages (I18N plugin):
+[11ty]   /en/contact/ (./test/stubs-virtual/en/contact.njk): en-us, es
+[11ty]   /en/manual/ (./test/stubs-virtual/en/manual.njk): en-us`,
+  ]);
+});
+
+test("hreflang alternate links via `hreflang: true`", async (t) => {
+  let elev = new Eleventy("./test/stubs-virtual/", undefined, {
+    config(eleventyConfig) {
+      eleventyConfig.addPlugin(I18nPlugin, {
+        defaultLanguage: "en",
+        dictionaries: false,
+        hreflang: true,
+      });
+
+      let html = `<html><head></head><body></body></html>`;
+      eleventyConfig.addTemplate("en/about.njk", html);
+      eleventyConfig.addTemplate("es/about.njk", html);
+    },
+  });
+
+  let results = await elev.toJSON();
+  t.is(
+    results.find((entry) => entry.url === "/es/about/").content,
+    `<html><head><link rel="alternate" hreflang="en" href="/en/about/">
+<link rel="alternate" hreflang="es" href="/es/about/">
+<link rel="alternate" hreflang="x-default" href="/en/about/">
+</head><body></body></html>`,
+  );
+});
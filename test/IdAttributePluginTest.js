@@ -173,3 +173,79 @@ test("Issue #3424, filter callback skips", async (t) => {
 	t.is(results[0].content.trim(), `<h1 id="testing-2">Testing</h1><h1 id="testing">Testing</h1>`);
 	t.is(results[1].content.trim(), `<h1 id="testing">Testing</h1><h1 id="testing">Testing</h1>`);
 });
+
+test("Table of contents filter (HTML and JSON)", async (t) => {
+  let elev = new Eleventy("./test/stubs-virtual/", "./test/stubs-virtual/_site", {
+    config: function ($config) {
+      $config.addPlugin(IdAttributePlugin, {
+        toc: true,
+      });
+
+      let content = `<h1>Title</h1><h2>Install &amp; Setup</h2><h3>Options</h3><h4 id="custom">Custom <span buildawesome:id-ignore>#</span></h4><h2>Usage</h2><h3 buildawesome:toc-ignore>Hidden</h3><h5>Too deep</h5><h2>Usage</h2>`;
+      $config.addTemplate("_includes/layout.njk", `<nav>{{ content | toc | safe }}</nav><script>{{ content | toc("json") | dump | safe }}</script>{{ content | safe }}`);
+      $config.addTemplate("test.njk", content, { layout: "layout.njk" });
+    },
+  });
+
+  let [result] = await elev.toJSON();
+  let [, nav, json, content] = result.content.match(/^<nav>(.*)<\/nav><script>(.*)<\/script>(.*)$/);
+
+  t.is(content, `<h1 id="title">Title</h1><h2 id="install-and-setup">Install &amp; Setup</h2><h3 id="options">Options</h3><h4 id="custom">Custom <span buildawesome:id-ignore>#</span></h4><h2 id="usage">Usage</h2><h3 id="hidden">Hidden</h3><h5 id="too-deep">Too deep</h5><h2 id="usage-2">Usage</h2>`);
+  t.is(nav, `<ol><li><a href="#install-and-setup">Install &amp; Setup</a><ol><li><a href="#options">Options</a><ol><li><a href="#custom">Custom</a></li></ol></li></ol></li><li><a href="#usage">Usage</a></li><li><a href="#usage-2">Usage</a></li></ol>`);
+  t.deepEqual(JSON.parse(json), [
+    {
+      level: 2,
+      id: "install-and-setup",
+      text: "Install & Setup",
+      children: [
+        {
+          level: 3,
+          id: "options",
+          text: "Options",
+          children: [{ level: 4, id: "custom", text: "Custom", children: [] }],
+        },
+      ],
+    },
+    { level: 2, id: "usage", text: "Usage", children: [] },
+    { level: 2, id: "usage-2", text: "Usage", children: [] },
+  ]);
+});
+
+test("Table of contents filter options", async (t) => {
+  let elev = new Eleventy("./test/stubs-virtual/", "./test/stubs-virtual/_site", {
+    config: function ($config) {
+      $config.addPlugin(IdAttributePlugin, {
+        toc: {
+          filter: "tableOfContents",
+          levels: [1, 2],
+          listType: "ul",
+        },
+      });
+
+      $config.addTemplate("test.liquid", `{% capture body %}<h1>One</h1><h3>Skipped</h3><h2>Two <span eleventy:id-ignore>ignored</span></h2>{% endcapture %}{{ body | tableOfContents }}`);
+    },
+  });
+
+  let [result] = await elev.toJSON();
+  t.is(result.content, `<ul><li><a href="#one">One</a><ul><li><a href="#two">Two</a></li></ul></li></ul>`);
+});
+
+test("Table of contents filter with headings in the layout", async (t) => {
+  let elev = new Eleventy("./test/stubs-virtual/", "./test/stubs-virtual/_site", {
+    config: function ($config) {
+      $config.addPlugin(IdAttributePlugin, {
+        toc: true,
+      });
+
+      $config.addTemplate("_includes/layout-headings.njk", `<h2>Intro</h2><nav>{{ content | toc | safe }}</nav><main>{{ content | safe }}</main><script>{{ content | toc("json") | dump | safe }}</script>`);
+      $config.addTemplate("test.md", `## Intro\n\nText\n\n## Usage`, { layout: "layout-headings.njk" });
+    },
+  });
+
+  let [result] = await elev.toJSON();
+  let [, nav, content, json] = result.content.match(/^<h2 id="intro">Intro<\/h2><nav>(.*)<\/nav><main>(.*)<\/main><script>(.*)<\/script>$/s);
+
+  t.is(content, `<h2 id="intro-2">Intro</h2>\n<p>Text</p>\n<h2 id="usage">Usage</h2>\n`);
+  t.is(nav, `<ol><li><a href="#intro-2">Intro</a></li><li><a href="#usage">Usage</a></li></ol>`);
+  t.deepEqual(JSON.parse(json).map(({ id }) => id), ["intro-2", "usage"]);
+});
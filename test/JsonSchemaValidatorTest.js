@@ -0,0 +1,81 @@
+import test from "ava";
+
+import JsonSchemaValidator from "../src/Util/JsonSchemaValidator.js";
+
+function validate(schema, value) {
+  return new JsonSchemaValidator(schema).validate(value);
+}
+
+test("Types", (t) => {
+  t.deepEqual(validate({ type: "string" }, "hi"), []);
+  t.deepEqual(validate({ type: "string" }, new Date()), []);
+  t.deepEqual(validate({ type: ["number", "null"] }, null), []);
+  t.deepEqual(validate({ type: "integer" }, 1.5), [
+    { instancePath: "", keyword: "type", message: "must be integer" },
+  ]);
+  t.deepEqual(validate({ type: "object" }, []), [
+    { instancePath: "", keyword: "type", message: "must be object" },
+  ]);
+  t.deepEqual(validate(true, 1), []);
+  t.is(validate(false, 1).length, 1);
+});
+
+test("Objects use JSON Pointers", (t) => {
+  let schema = {
+    type: "object",
+    required: ["title", "a/b"],
+    properties: {
+      tags: { type: "array", items: { type: "string" }, uniqueItems: true },
+    },
+    additionalProperties: { type: ["string", "array"] },
+  };
+
+  t.deepEqual(validate(schema, { title: "Hi", "a/b": "", tags: ["a", 1, "a"], count: 1 }), [
+    { instancePath: "/tags/1", keyword: "type", message: "must be string" },
+    { instancePath: "/tags", keyword: "uniqueItems", message: "must NOT have duplicate items (item 2)" },
+    { instancePath: "/count", keyword: "type", message: "must be string or array" },
+  ]);
+
+  t.deepEqual(validate(schema, {}), [
+    { instancePath: "/title", keyword: "required", message: "is required" },
+    { instancePath: "/a~1b", keyword: "required", message: "is required" },
+  ]);
+});
+
+test("Strings, numbers, and formats", (t) => {
+  t.deepEqual(validate({ minLength: 2, pattern: "^[a-z]+$" }, "A"), [
+    { instancePath: "", keyword: "minLength", message: "must NOT have fewer than 2 characters" },
+    { instancePath: "", keyword: "pattern", message: 'must match pattern "^[a-z]+$"' },
+  ]);
+  t.deepEqual(validate({ format: "date" }, "2024-01-01"), []);
+  t.deepEqual(validate({ format: "date" }, new Date("2024-01-01")), []);
+  t.deepEqual(validate({ format: "email" }, "nope"), [
+    { instancePath: "", keyword: "format", message: 'must match format "email"' },
+  ]);
+  t.deepEqual(validate({ minimum: 1, exclusiveMaximum: 10, multipleOf: 0.1 }, 10), [
+    { instancePath: "", keyword: "exclusiveMaximum", message: "must be < 10" },
+  ]);
+  t.deepEqual(validate({ enum: ["draft", "published"] }, "other"), [
+    { instancePath: "", keyword: "enum", message: 'must be one of "draft", "published"' },
+  ]);
+});
+
+test("Composition and references", (t) => {
+  let schema = {
+    $defs: { positive: { type: "number", exclusiveMinimum: 0 } },
+    anyOf: [{ type: "string" }, { $ref: "#/$defs/positive" }],
+  };
+  t.deepEqual(validate(schema, 5), []);
+  t.deepEqual(validate(schema, -5), [
+    { instancePath: "", keyword: "anyOf", message: "must match a schema in anyOf" },
+  ]);
+  t.deepEqual(validate({ oneOf: [{ type: "number" }, { type: "integer" }] }, 1), [
+    { instancePath: "", keyword: "oneOf", message: "must match exactly one schema in oneOf (matched 2)" },
+  ]);
+  t.deepEqual(validate({ if: { type: "string" }, then: { minLength: 1 } }, ""), [
+    { instancePath: "", keyword: "minLength", message: "must NOT have fewer than 1 characters" },
+  ]);
+  t.deepEqual(validate({ $ref: "#/$defs/missing" }, 1), [
+    { instancePath: "", keyword: "$ref", message: "can’t resolve reference #/$defs/missing" },
+  ]);
+});
@@ -0,0 +1,105 @@
+import test from "ava";
+
+import Eleventy from "../src/Core.js";
+import LinkCheckPlugin from "../src/Plugins/LinkCheckPlugin.js";
+import { IdAttributePlugin } from "../src/Plugins/IdAttributePlugin.js";
+import ConsoleLogger from "../src/Util/ConsoleLogger.js";
+import { deleteDirectory } from "./_testHelpers.js";
+
+const STUB_DIR = "./test/stubs-link-check/";
+const OUTPUT_DIR = STUB_DIR + "_site/";
+
+function getLogger(warnings) {
+  let logger = new ConsoleLogger();
+  logger.isVerbose = true;
+  logger.overrideLogger({
+    log() {},
+    warn(message) {
+      warnings.push(message);
+    },
+  });
+  return logger;
+}
+
+function addPages(eleventyConfig) {
+  eleventyConfig.addPlugin(IdAttributePlugin);
+  eleventyConfig.addTemplate("about.njk", `<h1>About</h1><h2>Team</h2><a name="legacy"></a>`);
+  eleventyConfig.addTemplate(
+    "index.njk",
+    [
+      `<a href="/about/">About</a>`,
+      `<a href="/about">About</a>`,
+      `<a href="about/index.html#team">Team</a>`,
+      `<a href="/about/#legacy">Legacy</a>`,
+      `<a href="/about/#nope">Nope</a>`,
+      `<a href="#top">Top</a>`,
+      `<a href="#local">Local</a>`,
+      `<a href="/missing/">Missing</a>`,
+      `<a href="/missing/">Missing (duplicate)</a>`,
+      `<a href="https://example.com/missing/">External</a>`,
+      `<a href="mailto:hi@example.com">Email</a>`,
+      `<a href="/generated/skip/">Ignored</a>`,
+      `<img src="/logo.svg">`,
+    ].join("\n"),
+  );
+}
+
+test("Broken links and anchors are reported (warn)", async (t) => {
+  t.teardown(() => {
+    deleteDirectory(OUTPUT_DIR);
+  });
+
+  let warnings = [];
+  let elev = new Eleventy("./test/stubs-virtual/", OUTPUT_DIR, {
+    config(eleventyConfig) {
+      eleventyConfig.addPlugin(LinkCheckPlugin, { mode: "warn", ignore: [/^\/generated\//] });
+      eleventyConfig.addPassthroughCopy({ [STUB_DIR + "public/"]: "/" });
+      addPages(eleventyConfig);
+    },
+  });
+  elev.disableLogger();
+  await elev.init();
+  elev.logger = getLogger(warnings);
+
+  await elev.write();
+
+  t.deepEqual(warnings, [
+    `[11ty] Found 3 broken internal links (Link Check plugin):
+[11ty]   ./test/stubs-virtual/index.njk (/):
+[11ty]     /about/#nope (anchor not found)
+[11ty]     #local (anchor not found)
+[11ty]     /missing/ (not found)`,
+  ]);
+});
+
+test("Broken links fail the build (error), with pathPrefix", async (t) => {
+  let elev = new Eleventy("./test/stubs-virtual/", undefined, {
+    pathPrefix: "/docs/",
+    config(eleventyConfig) {
+      eleventyConfig.addPlugin(LinkCheckPlugin);
+      eleventyConfig.addTemplate("about.njk", `<h1 id="about">About</h1>`);
+      eleventyConfig.addTemplate("index.njk", `<a href="/docs/about/">About</a><a href="/docs/about/#about">About</a><img src="/docs/logo.svg">`);
+    },
+  });
+  elev.disableLogger();
+
+  let e = await t.throwsAsync(() => elev.toJSON());
+  t.is(
+    e.message,
+    `Found 1 broken internal link (Link Check plugin):
+  ./test/stubs-virtual/index.njk (/):
+    /docs/logo.svg (not found)`,
+  );
+});
+
+test("Invalid `mode`", async (t) => {
+  let elev = new Eleventy("./test/stubs-virtual/", undefined, {
+    config(eleventyConfig) {
+      eleventyConfig.addPlugin(LinkCheckPlugin, { mode: "throw" });
+    },
+  });
+  elev.disableLogger();
+
+  let e = await t.throwsAsync(() => elev.init());
+  t.is(e.originalError.message, `The \`mode\` option in the Link Check plugin must be "error" or "warn". Received: throw`);
+});
@@ -0,0 +1,118 @@
+import test from "ava";
+import fs from "node:fs";
+
+import Eleventy from "../src/Core.js";
+import eventBus from "../src/EventBus.js";
+import { deleteDirectory } from "./_testHelpers.js";
+
+const INPUT_DIR = "./test/stubs-virtual/";
+
+async function build(outputDir, permalink, cleanupOptions = {}) {
+  let elev = new Eleventy(INPUT_DIR, outputDir, {
+    config(eleventyConfig) {
+      eleventyConfig.setCleanOrphanedOutput(
+        Object.assign({ directory: outputDir + ".cache/" }, cleanupOptions),
+      );
+      eleventyConfig.addTemplate("page.md", "# Page", { permalink });
+      eleventyConfig.addTemplate("index.md", "# Home");
+    },
+  });
+  elev.disableLogger();
+
+  await elev.write();
+}
+
+test("Orphaned output is deleted when a permalink changes", async (t) => {
+  let outputDir = "./test/stubs-output-cleanup/_site-delete/";
+  t.teardown(() => {
+    deleteDirectory(outputDir);
+  });
+
+  await build(outputDir, "/old/nested/index.html");
+  t.true(fs.existsSync(outputDir + "old/nested/index.html"));
+
+  // written by another tool, never tracked
+  fs.writeFileSync(outputDir + "search-index.json", "{}");
+
+  await build(outputDir, "/new/index.html");
+  t.true(fs.existsSync(outputDir + "new/index.html"));
+  t.true(fs.existsSync(outputDir + "index.html"));
+  t.true(fs.existsSync(outputDir + "search-index.json"));
+  t.false(fs.existsSync(outputDir + "old/nested/index.html"));
+  // empty parent directories are removed too
+  t.false(fs.existsSync(outputDir + "old/"));
+});
+
+test("Orphaned output cleanup `dryRun` and `ignore`", async (t) => {
+  let outputDir = "./test/stubs-output-cleanup/_site-dryrun/";
+  t.teardown(() => {
+    deleteDirectory(outputDir);
+  });
+
+  await build(outputDir, "/first/index.html");
+  await build(outputDir, "/second/index.html", { dryRun: true });
+  t.true(fs.existsSync(outputDir + "first/index.html"));
+
+  // orphans from a dry run are still tracked
+  await build(outputDir, "/third/index.html", { ignore: "first/**" });
+  t.true(fs.existsSync(outputDir + "first/index.html"));
+  t.false(fs.existsSync(outputDir + "second/index.html"));
+  t.true(fs.existsSync(outputDir + "third/index.html"));
+});
+
+test("Orphaned output is deleted by an incremental build (watch/serve)", async (t) => {
+  let inputDir = "./test/stubs-output-cleanup/_input-incremental/";
+  let outputDir = "./test/stubs-output-cleanup/_site-incremental/";
+  t.teardown(() => {
+    deleteDirectory(inputDir);
+    deleteDirectory(outputDir);
+  });
+
+  fs.mkdirSync(inputDir, { recursive: true });
+  fs.writeFileSync(inputDir + "index.md", "# Home");
+  fs.writeFileSync(inputDir + "page.md", "---\npermalink: /old/index.html\n---\n# Page");
+
+  let elev = new Eleventy(inputDir, outputDir, {
+    config(eleventyConfig) {
+      eleventyConfig.setCleanOrphanedOutput({ directory: outputDir + ".cache/" });
+    },
+  });
+  elev.disableLogger();
+
+  await elev.write();
+  t.true(fs.existsSync(outputDir + "old/index.html"));
+
+  fs.writeFileSync(inputDir + "page.md", "---\npermalink: /new/index.html\n---\n# Page");
+  // what the watcher does for a changed file
+  eventBus.emit("buildawesome.resourcemodified", inputDir + "page.md");
+
+  elev.setIncrementalFiles([inputDir + "page.md"]);
+  let [, results] = await elev.write();
+  t.deepEqual(
+    results.map(({ url }) => url),
+    ["/new/"],
+  );
+  t.true(fs.existsSync(outputDir + "new/index.html"));
+  // not rendered by the incremental build but still current
+  t.true(fs.existsSync(outputDir + "index.html"));
+  t.false(fs.existsSync(outputDir + "old/"));
+});
+
+test("Orphaned output that is now a directory is skipped", async (t) => {
+  let outputDir = "./test/stubs-output-cleanup/_site-directory/";
+  t.teardown(() => {
+    deleteDirectory(outputDir);
+  });
+
+  await build(outputDir, "/about.html");
+  t.true(fs.statSync(outputDir + "about.html").isFile());
+
+  // replaced by another tool
+  fs.rmSync(outputDir + "about.html");
+  fs.mkdirSync(outputDir + "about.html/");
+  fs.writeFileSync(outputDir + "about.html/data.json", "{}");
+
+  await build(outputDir, "/about/index.html");
+  t.true(fs.existsSync(outputDir + "about/index.html"));
+  t.true(fs.existsSync(outputDir + "about.html/data.json"));
+});
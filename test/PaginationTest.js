@@ -915,3 +915,93 @@ test("Pagination and eleventyComputed data, issues #2512, #2837, #3013", async (
     );
   }
 });
+
+test("Pagination `groupBy` key path", async (t) => {
+  let elev = new Eleventy("./test/stubs-virtual/", undefined, {
+    config(eleventyConfig) {
+      eleventyConfig.addGlobalData("posts", [
+        { title: "A", year: 2024 },
+        { title: "B", year: 2024 },
+        { title: "C", year: 2023 },
+        { title: "D", year: 2024 },
+      ]);
+      eleventyConfig.addTemplate(
+        "archive.njk",
+        `{{ pagination.group.key }} {{ pagination.group.pageNumber + 1 }}/{{ pagination.group.pageCount }} ({{ pagination.group.count }}): {% for post in pagination.items %}{{ post.title }}{% endfor %} previous:{{ pagination.group.href.previous }} next:{{ pagination.group.href.next }} groups:{{ pagination.group.previous.key }}|{{ pagination.group.next.href }}`,
+        {
+          pagination: {
+            data: "posts",
+            size: 2,
+            groupBy: "year",
+          },
+          permalink:
+            "/archive/{{ pagination.group.key }}/{% if pagination.group.pageNumber > 0 %}{{ pagination.group.pageNumber + 1 }}/{% endif %}",
+        },
+      );
+    },
+  });
+  elev.disableLogger();
+
+  let results = await elev.toJSON();
+  t.deepEqual(
+    results.map(({ url, content }) => [url, content]),
+    [
+      ["/archive/2024/", "2024 1/2 (3): AB previous: next:/archive/2024/2/ groups:|/archive/2023/"],
+      ["/archive/2024/2/", "2024 2/2 (3): D previous:/archive/2024/ next: groups:|/archive/2023/"],
+      ["/archive/2023/", "2023 1/1 (1): C previous: next: groups:2024|"],
+    ],
+  );
+});
+
+test("Pagination `groupBy` function", async (t) => {
+  let elev = new Eleventy("./test/stubs-virtual/", undefined, {
+    config(eleventyConfig) {
+      eleventyConfig.addTemplate("archive.11ty.js", {
+        data: {
+          posts: [new Date("2024-01-01"), new Date("2024-06-01"), new Date("2025-01-01")],
+          pagination: {
+            data: "posts",
+            size: 10,
+            groupBy: (date) => date.getUTCFullYear(),
+          },
+          permalink: (data) => `/archive/${data.pagination.group.key}/`,
+        },
+        render({ pagination }) {
+          return `${pagination.items.length} ${pagination.groups.map(({ key, href, count }) => `${key}:${href}:${count}`).join(",")}`;
+        },
+      });
+    },
+  });
+  elev.disableLogger();
+
+  let results = await elev.toJSON();
+  t.deepEqual(
+    results.map(({ url, content }) => [url, content]),
+    [
+      ["/archive/2024/", "2 2024:/archive/2024/:2,2025:/archive/2025/:1"],
+      ["/archive/2025/", "1 2024:/archive/2024/:2,2025:/archive/2025/:1"],
+    ],
+  );
+});
+
+test("Pagination `groupBy` must be a string or function", async (t) => {
+  let elev = new Eleventy("./test/stubs-virtual/", undefined, {
+    config(eleventyConfig) {
+      eleventyConfig.addTemplate("archive.njk", "", {
+        posts: [1, 2],
+        pagination: {
+          data: "posts",
+          size: 1,
+          groupBy: true,
+        },
+      });
+    },
+  });
+  elev.disableLogger();
+
+  let e = await t.throwsAsync(() => elev.toJSON());
+  t.is(
+    e.cause.message,
+    "Invalid pagination `groupBy` (./test/stubs-virtual/archive.njk): expected a key path string or a function. Received: true",
+  );
+});
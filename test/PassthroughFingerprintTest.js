@@ -0,0 +1,58 @@
+import test from "ava";
+import fs from "node:fs";
+import { createHashHexSync } from "@11ty/eleventy-utils";
+
+import Eleventy from "../src/Core.js";
+import { deleteDirectory } from "./_testHelpers.js";
+
+const STUB_DIR = "./test/stubs-passthrough-fingerprint/";
+const OUTPUT_DIR = STUB_DIR + "_site/";
+
+function getHash(filePath) {
+  return createHashHexSync(fs.readFileSync(STUB_DIR + filePath)).slice(0, 10);
+}
+
+test("Passthrough copy with `hash: true` writes fingerprinted files and rewrites URLs", async (t) => {
+  t.teardown(() => {
+    deleteDirectory(OUTPUT_DIR);
+  });
+
+  let elev = new Eleventy(STUB_DIR + "src/", OUTPUT_DIR, {
+    config(eleventyConfig) {
+      eleventyConfig.addPassthroughCopy({ [STUB_DIR + "public/"]: "/" }, { hash: true });
+      eleventyConfig.addPassthroughCopy(STUB_DIR + "src/script.js");
+    },
+  });
+  elev.disableLogger();
+
+  let [passthroughCopy] = await elev.write();
+
+  let css = `/css/style.${getHash("public/css/style.css")}.css`;
+  let svg = `/img/logo.${getHash("public/img/logo.svg")}.svg`;
+
+  t.true(fs.existsSync(OUTPUT_DIR + css));
+  t.true(fs.existsSync(OUTPUT_DIR + svg));
+  t.false(fs.existsSync(OUTPUT_DIR + "css/style.css"));
+  // not hashed
+  t.true(fs.existsSync(OUTPUT_DIR + "script.js"));
+
+  t.deepEqual(
+    passthroughCopy.map(({ map }) => Object.values(map)).flat().sort(),
+    [
+      `test/stubs-passthrough-fingerprint/_site${css}`,
+      `test/stubs-passthrough-fingerprint/_site${svg}`,
+      "test/stubs-passthrough-fingerprint/_site/script.js",
+    ],
+  );
+
+  t.is(
+    fs.readFileSync(OUTPUT_DIR + "index.html", "utf8").trim(),
+    `<link rel="stylesheet" href="${css}?v=1">
+<img src="${svg.slice(1)}">
+<script src="/script.js"></script>
+<a href="https://example.com/css/style.css">External</a>
+<p>${css} ${svg} /missing.css</p>`,
+  );
+
+  t.is(fs.readFileSync(OUTPUT_DIR + "about/index.html", "utf8").trim(), `<img src="..${svg}#icon">`);
+});
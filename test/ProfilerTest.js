@@ -0,0 +1,97 @@
+import test from "ava";
+import fs from "node:fs";
+
+import Eleventy from "../src/Core.js";
+import BenchmarkManager from "../src/Benchmark/BenchmarkManager.js";
+import { deleteDirectory } from "./_testHelpers.js";
+
+test("Profiler records nothing unless enabled", async (t) => {
+  let bench = new BenchmarkManager();
+  bench.profiler.start("render", "./index.njk")();
+
+  let filter = bench.wrapCallback("filters", "upper", (str) => str.toUpperCase());
+  t.is(filter("hi"), "HI");
+
+  let report = bench.profiler.getReport();
+  t.deepEqual(report.templates, []);
+  t.deepEqual(report.filters, []);
+});
+
+test("Profiler aggregates async callbacks", async (t) => {
+  let bench = new BenchmarkManager();
+  bench.profiler.enable();
+
+  let shortcode = bench.wrapCallback("shortcodes", "image", async (src) => `<img src="${src}">`);
+  t.is(await shortcode("a.png"), `<img src="a.png">`);
+  t.is(await shortcode("b.png"), `<img src="b.png">`);
+
+  let [entry] = bench.profiler.getReport().shortcodes;
+  t.is(entry.name, "image");
+  t.is(entry.calls, 2);
+});
+
+test("Profile report via `profile` option", async (t) => {
+  let outputDir = "./test/stubs-profile/_site/";
+  let profilePath = "./test/stubs-profile/_site-profile/profile.json";
+
+  let elev = new Eleventy("./test/stubs-profile/", outputDir, {
+    profile: profilePath,
+    config(eleventyConfig) {
+      eleventyConfig.addPassthroughCopy("./test/stubs-profile/robots.txt");
+      eleventyConfig.addFilter("shout", (str) => `${str}!`);
+      eleventyConfig.addShortcode("greet", (name) => `Hello ${name}`);
+    },
+  });
+  elev.disableLogger();
+
+  t.teardown(() => {
+    deleteDirectory(outputDir);
+    deleteDirectory("./test/stubs-profile/_site-profile/");
+  });
+
+  await elev.write();
+
+  let report = JSON.parse(fs.readFileSync(profilePath, "utf8"));
+  t.is(report.version, 1);
+  t.is(report.counts.writeCount, 1);
+  t.is(report.counts.copyCount, 1);
+  t.true(report.duration > 0);
+
+  let [template] = report.templates;
+  t.is(template.inputPath, "./test/stubs-profile/index.njk");
+  for (let phase of ["read", "compile", "render", "layout", "write"]) {
+    t.is(typeof template[phase], "number", phase);
+  }
+
+  t.deepEqual(
+    report.filters.map(({ name, calls }) => ({ name, calls })),
+    [{ name: "shout", calls: 1 }],
+  );
+  t.deepEqual(
+    report.shortcodes.map(({ name, calls }) => ({ name, calls })),
+    [{ name: "greet", calls: 1 }],
+  );
+
+  t.true(report.data.some(({ inputPath, global }) => inputPath === "./test/stubs-profile/_data/site.json" && global));
+  t.deepEqual(
+    report.passthrough.map(({ inputPath, outputPath, size }) => ({ inputPath, outputPath, size })),
+    [
+      {
+        inputPath: "./test/stubs-profile/robots.txt",
+        outputPath: "./test/stubs-profile/_site/robots.txt",
+        size: 14,
+      },
+    ],
+  );
+
+  t.is(typeof report.benchmarks, "object");
+
+  // Chrome trace event format
+  t.is(report.displayTimeUnit, "ms");
+  let threads = report.traceEvents.filter(({ ph }) => ph === "M").map(({ args }) => args.name);
+  t.true(threads.includes("./test/stubs-profile/index.njk"));
+  t.true(threads.includes("Build"));
+  let render = report.traceEvents.find(({ ph, cat }) => ph === "X" && cat === "render");
+  t.is(typeof render.ts, "number");
+  t.is(typeof render.dur, "number");
+});
@@ -0,0 +1,142 @@
+import test from "ava";
+
+import Eleventy from "../src/Core.js";
+import RedirectsPlugin from "../src/Plugins/RedirectsPlugin.js";
+
+function getCore(pluginOptions, configCallback, coreOptions = {}) {
+  let elev = new Eleventy("./test/stubs-virtual/", undefined, {
+    ...coreOptions,
+    config(eleventyConfig) {
+      eleventyConfig.addPlugin(RedirectsPlugin, pluginOptions);
+
+      eleventyConfig.addTemplate("new.njk", "New", { redirectFrom: ["/old/", "/older.html"] });
+      eleventyConfig.addTemplate("about.njk", "About", { redirectFrom: "/about-us" });
+
+      configCallback?.(eleventyConfig);
+    },
+  });
+  elev.disableLogger();
+  return elev;
+}
+
+async function getOutput(elev) {
+  let results = await elev.toJSON();
+  return Object.fromEntries(results.map(({ url, content }) => [url, content]));
+}
+
+test("HTML redirect stubs", async (t) => {
+  let redirects;
+  let output = await getOutput(
+    getCore({}, (eleventyConfig) => {
+      eleventyConfig.on("buildawesome.redirects", (arg) => {
+        redirects = arg.redirects;
+      });
+    }),
+  );
+
+  t.deepEqual(Object.keys(output).sort(), ["/about-us/", "/about/", "/new/", "/old/", "/older.html"]);
+  t.is(
+    output["/old/"],
+    `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Redirecting…</title>
+<meta name="robots" content="noindex">
+<link rel="canonical" href="/new/">
+<meta http-equiv="refresh" content="0; url=/new/">
+</head>
+<body><p>Redirecting to <a href="/new/">/new/</a></p></body>
+</html>
+`,
+  );
+  t.true(output["/about-us/"].includes(`<meta http-equiv="refresh" content="0; url=/about/">`));
+
+  t.deepEqual(redirects, [
+    { from: "/about-us", to: "/about/", status: 301 },
+    { from: "/old/", to: "/new/", status: 301 },
+    { from: "/older.html", to: "/new/", status: 301 },
+  ]);
+});
+
+test("Redirect manifests (with a pathPrefix)", async (t) => {
+  let output = await getOutput(
+    getCore({ formats: ["netlify", "nginx", "json"], status: 308 }, undefined, { pathPrefix: "/docs/" }),
+  );
+
+  t.deepEqual(Object.keys(output).sort(), ["/_redirects", "/about/", "/new/", "/redirects.json", "/redirects.nginx.conf"]);
+  t.is(
+    output["/_redirects"],
+    `/docs/about-us /docs/about/ 308
+/docs/old/ /docs/new/ 308
+/docs/older.html /docs/new/ 308
+`,
+  );
+  t.is(
+    output["/redirects.nginx.conf"],
+    `location = /docs/about-us { return 308 /docs/about/; }
+location = /docs/old/ { return 308 /docs/new/; }
+location = /docs/older.html { return 308 /docs/new/; }
+`,
+  );
+  t.deepEqual(JSON.parse(output["/redirects.json"])[0], { from: "/docs/about-us", to: "/docs/about/", status: 308 });
+});
+
+test("Redirects can’t collide with a page", async (t) => {
+  let elev = getCore({ formats: "json" }, (eleventyConfig) => {
+    eleventyConfig.addTemplate("contact.njk", "Contact", { redirectFrom: "/about/" });
+  });
+
+  let e = await t.throwsAsync(() => elev.toJSON());
+  t.is(
+    e.message,
+    `The redirect from \`/about/\` in "./test/stubs-virtual/contact.njk" conflicts with an existing page at the same URL ("./test/stubs-virtual/about.njk").`,
+  );
+});
+
+test("Redirects can’t collide with another redirect", async (t) => {
+  let elev = getCore({}, (eleventyConfig) => {
+    eleventyConfig.addTemplate("contact.njk", "Contact", { redirectFrom: "/older.html" });
+  });
+
+  let e = await t.throwsAsync(() => elev.toJSON());
+  t.is(
+    e.message,
+    `Multiple pages redirect from \`/older.html\`: "./test/stubs-virtual/new.njk" and "./test/stubs-virtual/contact.njk".`,
+  );
+});
+
+test("Redirects collide with a page regardless of the trailing slash", async (t) => {
+  let elev = getCore({}, (eleventyConfig) => {
+    eleventyConfig.addTemplate("contact.njk", "Contact", { redirectFrom: "/about" });
+  });
+
+  let e = await t.throwsAsync(() => elev.toJSON());
+  t.is(
+    e.message,
+    `The redirect from \`/about\` in "./test/stubs-virtual/contact.njk" conflicts with an existing page at the same URL ("./test/stubs-virtual/about.njk").`,
+  );
+});
+
+test("Invalid `redirectFrom` values", async (t) => {
+  let elev = getCore({}, (eleventyConfig) => {
+    eleventyConfig.addTemplate("contact.njk", "Contact", { redirectFrom: "old-a" });
+  });
+
+  let e = await t.throwsAsync(() => elev.toJSON());
+  t.is(e.cause.name, "RedirectSourceError");
+  t.true(e.cause.message.startsWith("Invalid `redirectFrom` value in ./test/stubs-virtual/contact.njk"));
+});
+
+test("`redirectFrom` is not checked without the plugin", async (t) => {
+  let elev = new Eleventy("./test/stubs-virtual/", undefined, {
+    config(eleventyConfig) {
+      eleventyConfig.addTemplate("new.njk", "New", { redirectFrom: "old-a" });
+      eleventyConfig.addTemplate("about.njk", "About", { redirectFrom: "/new/" });
+    },
+  });
+  elev.disableLogger();
+
+  let results = await elev.toJSON();
+  t.is(results.length, 2);
+});
@@ -0,0 +1,138 @@
+import test from "ava";
+import http from "node:http";
+
+import Eleventy from "../src/Core.js";
+import { deleteDirectory } from "./_testHelpers.js";
+
+async function getServer(routes) {
+  let requests = [];
+  let server = http.createServer((req, res) => {
+    requests.push(req.url);
+    let route = routes[req.url];
+    if (!route) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { "Content-Type": route.type });
+    res.end(route.body);
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    requests,
+    url: `http://127.0.0.1:${server.address().port}`,
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+function getCore(directory, sources) {
+  let elev = new Eleventy("./test/stubs-virtual/", undefined, {
+    config(eleventyConfig) {
+      for (let [name, source] of Object.entries(sources)) {
+        eleventyConfig.addRemoteData(name, { directory, ...source });
+      }
+      eleventyConfig.addTemplate("index.njk", "{{ posts | length }} {{ posts[0].title }}|{{ feed | safe }}");
+    },
+  });
+  elev.disableLogger();
+  return elev;
+}
+
+function getBenchmarkTypes(elev) {
+  return Object.keys(elev.eleventyConfig.getConfig().benchmarkManager.get("Data").benchmarks).filter(
+    (type) => type.startsWith("Remote data"),
+  );
+}
+
+test("Remote data is fetched once and cached on disk", async (t) => {
+  let directory = "./test/.cache/remote-data-cached/";
+  deleteDirectory(directory);
+
+  let server = await getServer({
+    "/posts.json": { type: "application/json", body: JSON.stringify([{ title: "Hello" }, { title: "World" }]) },
+    "/feed.xml": { type: "application/xml", body: "<feed/>" },
+  });
+  t.teardown(async () => {
+    await server.close();
+    deleteDirectory(directory);
+  });
+
+  let sources = {
+    posts: { url: `${server.url}/posts.json` },
+    feed: { url: new URL("/feed.xml", server.url), type: "xml" },
+  };
+
+  let elev = getCore(directory, sources);
+  let [result] = await elev.toJSON();
+  t.is(result.content, "2 Hello|<feed/>");
+  t.deepEqual(server.requests.sort(), ["/feed.xml", "/posts.json"]);
+  t.deepEqual(getBenchmarkTypes(elev).sort(), ["Remote data `feed` (network)", "Remote data `posts` (network)"]);
+
+  let elev2 = getCore(directory, sources);
+  let [result2] = await elev2.toJSON();
+  t.is(result2.content, "2 Hello|<feed/>");
+  t.is(server.requests.length, 2);
+  t.deepEqual(getBenchmarkTypes(elev2).sort(), ["Remote data `feed` (cached)", "Remote data `posts` (cached)"]);
+});
+
+test("Expired remote data is used when the network is unavailable", async (t) => {
+  let directory = "./test/.cache/remote-data-stale/";
+  deleteDirectory(directory);
+  t.teardown(() => {
+    deleteDirectory(directory);
+  });
+
+  let server = await getServer({
+    "/posts.json": { type: "application/json", body: JSON.stringify([{ title: "Hello" }]) },
+  });
+
+  let sources = {
+    posts: { url: `${server.url}/posts.json`, duration: "0s" },
+  };
+
+  let [result] = await getCore(directory, sources).toJSON();
+  t.is(result.content, "1 Hello|");
+
+  await server.close();
+
+  let elev = getCore(directory, sources);
+  let [result2] = await elev.toJSON();
+  t.is(result2.content, "1 Hello|");
+  t.true(getBenchmarkTypes(elev).includes("Remote data `posts` (stale)"));
+
+  let offline = getCore(directory, {
+    posts: { url: sources.posts.url, duration: "0s", offline: true },
+  });
+  let [result3] = await offline.toJSON();
+  t.is(result3.content, "1 Hello|");
+  t.deepEqual(getBenchmarkTypes(offline), ["Remote data `posts` (offline)"]);
+});
+
+test("Remote data errors", async (t) => {
+  let directory = "./test/.cache/remote-data-errors/";
+  deleteDirectory(directory);
+
+  let server = await getServer({});
+  t.teardown(async () => {
+    await server.close();
+    deleteDirectory(directory);
+  });
+
+  let e = await t.throwsAsync(() => getCore(directory, { posts: { url: `${server.url}/missing.json` } }).toJSON());
+  t.is(e.message, `Could not fetch remote data \`posts\` from ${server.url}/missing.json`);
+  t.is(e.originalError.message, `Bad response for ${server.url}/missing.json (404): Not Found`);
+
+  let e2 = await t.throwsAsync(() => getCore(directory, { posts: { url: `${server.url}/posts.json`, offline: true } }).toJSON());
+  t.is(e2.message, `Remote data \`posts\` is in offline mode but has no cached response for ${server.url}/posts.json`);
+
+  let e3 = await t.throwsAsync(() => getCore(directory, { posts: { url: `${server.url}/posts.json`, duration: "soon" } }).toJSON());
+  t.is(e3.message, 'Invalid remote data `duration`: "soon". Expected a number with a unit (e.g. `1d`) or `*`.');
+
+  let e4 = await t.throwsAsync(() => getCore(directory, { posts: { url: `${server.url}/posts.json`, type: "yaml" } }).init());
+  t.is(e4.message, 'Invalid `type` passed to `addRemoteData("posts")`: "yaml". Expected one of: json, text, xml.');
+});
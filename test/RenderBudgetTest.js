@@ -0,0 +1,115 @@
+import test from "ava";
+
+import Eleventy from "../src/Core.js";
+import RenderBudget from "../src/Benchmark/RenderBudget.js";
+import ConsoleLogger from "../src/Util/ConsoleLogger.js";
+
+function getLogger(messages) {
+  let logger = new ConsoleLogger();
+  logger.isVerbose = true;
+  logger.overrideLogger({
+    log(message) {
+      messages.log.push(message);
+    },
+    warn(message) {
+      messages.warn.push(message);
+    },
+  });
+  return logger;
+}
+
+function addPages(eleventyConfig) {
+  eleventyConfig.addShortcode("slow", async function (ms) {
+    await new Promise((resolve) => setTimeout(resolve, ms));
+    return "slow";
+  });
+  eleventyConfig.addFilter("fast", (str) => str);
+
+  eleventyConfig.addTemplate("_includes/base.njk", `<main>{{ content | safe }}</main>`);
+  eleventyConfig.addTemplate("slow.njk", `{% slow 120 %}{{ "hi" | fast }}`, { layout: "base.njk" });
+  eleventyConfig.addTemplate("fast.njk", `{{ "hi" | fast }}`);
+}
+
+test("Slowest pages (without a build)", (t) => {
+  let budget = new RenderBudget();
+  budget.addPageTime({ inputPath: "./index.njk", url: "/" }, 10);
+  t.deepEqual(budget.getSlowestPages(), []);
+
+  budget.setOptions({ slowest: 1 });
+  budget.addPageTime({ inputPath: "./index.njk", url: "/" }, 10);
+  budget.addPageTime({ inputPath: "./about.njk", url: "/about/" }, 5);
+  budget.addPageTime({ inputPath: "./index.njk", url: "/" }, 20);
+  budget.setPageLayouts({ inputPath: "./index.njk", url: "/" }, ["./_includes/base.njk"]);
+  budget.addCallbackTime({ inputPath: "./index.njk", url: "/" }, "shortcodes", "image", 12);
+  budget.addCallbackTime({ inputPath: "./index.njk", url: "/" }, "shortcodes", "image", 3);
+  // Not rendering a page
+  budget.addCallbackTime(undefined, "filters", "slugify", 1);
+
+  let pages = budget.getSlowestPages();
+  t.deepEqual(pages, [
+    {
+      inputPath: "./index.njk",
+      url: "/",
+      ms: 30,
+      layouts: ["./_includes/base.njk"],
+      callbacks: [{ kind: "shortcodes", name: "image", calls: 2, ms: 15 }],
+    },
+  ]);
+  t.is(RenderBudget.formatPage(pages[0]), "30ms ./index.njk (/) via ./_includes/base.njk, heaviest: image (shortcode) 15ms 2×");
+});
+
+test("Over budget pages warn by default", async (t) => {
+  let messages = { log: [], warn: [] };
+  let elev = new Eleventy("./test/stubs-virtual/", undefined, {
+    config(eleventyConfig) {
+      eleventyConfig.setRenderBudget({ perPageMs: 100, slowest: 1 });
+      addPages(eleventyConfig);
+    },
+  });
+  await elev.init();
+  elev.logger = getLogger(messages);
+
+  let results = await elev.toJSON();
+  t.is(results.length, 2);
+
+  let [slowest] = messages.log.filter((message) => message.includes("Slowest page:"));
+  t.true(slowest.includes("./test/stubs-virtual/slow.njk (/slow/) via ./test/stubs-virtual/_includes/base.njk, heaviest: slow (shortcode)"));
+  t.false(slowest.includes("fast.njk"));
+
+  t.is(messages.warn.length, 1);
+  t.true(messages.warn[0].includes("Render budget exceeded (via `setRenderBudget`):"));
+  t.true(messages.warn[0].includes("./test/stubs-virtual/slow.njk"));
+  t.true(messages.warn[0].includes("(budget: 100ms per page)"));
+});
+
+test("Over budget pages fail the build with `onExceeded: \"error\"`", async (t) => {
+  let elev = new Eleventy("./test/stubs-virtual/", undefined, {
+    config(eleventyConfig) {
+      eleventyConfig.setRenderBudget({ perPageMs: 100, onExceeded: "error" });
+      addPages(eleventyConfig);
+    },
+  });
+  elev.disableLogger();
+
+  let error = await t.throwsAsync(() => elev.toJSON(), {
+    name: "RenderBudgetExceededError",
+  });
+  t.deepEqual(
+    error.pages.map(({ inputPath, callbacks }) => [inputPath, callbacks.map(({ name }) => name)]),
+    [["./test/stubs-virtual/slow.njk", ["slow", "fast"]]],
+  );
+});
+
+test("Total build budget", async (t) => {
+  let elev = new Eleventy("./test/stubs-virtual/", undefined, {
+    config(eleventyConfig) {
+      eleventyConfig.setRenderBudget({ totalMs: 0, onExceeded: "error" });
+      addPages(eleventyConfig);
+    },
+  });
+  elev.disableLogger();
+
+  await t.throwsAsync(() => elev.toJSON(), {
+    message: /Build took \d+ms \(budget: 0ms\)/,
+  });
+});
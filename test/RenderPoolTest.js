@@ -0,0 +1,113 @@
+import test from "ava";
+import fs from "node:fs";
+
+import Eleventy from "../src/Core.js";
+import { deleteDirectory } from "./_testHelpers.js";
+
+const INPUT_DIR = "./test/stubs-render-workers/src/";
+const CONFIG_PATH = "./test/stubs-render-workers/buildawesome.config.js";
+
+async function build(outputDir, options = {}) {
+  let elev = new Eleventy(INPUT_DIR, outputDir, {
+    configPath: CONFIG_PATH,
+    ...options,
+  });
+  elev.disableLogger();
+
+  let [, templates] = await elev.write();
+  return { elev, templates };
+}
+
+// Results and files on disk, relative to the output directory
+function getOutput(templates, outputDir) {
+  return templates
+    .map(({ outputPath }) => {
+      return [outputPath.slice(outputDir.length), fs.readFileSync(outputPath, "utf8")];
+    })
+    .sort(([a], [b]) => a.localeCompare(b));
+}
+
+test("Render workers write the same output as the main thread", async (t) => {
+  let mainDir = "./test/stubs-render-workers/_site-main/";
+  let workersDir = "./test/stubs-render-workers/_site-workers/";
+  t.teardown(() => {
+    deleteDirectory(mainDir);
+    deleteDirectory(workersDir);
+  });
+
+  let main = await build(mainDir);
+  let workers = await build(workersDir, { workers: 2 });
+
+  t.deepEqual(getOutput(workers.templates, workersDir), getOutput(main.templates, mainDir));
+  t.is(workers.templates.length, 7);
+  t.is(workers.elev.writer.getMetadata().writeCount, 7);
+
+  // Collection consumers (and the templates they consume) are rendered on the main thread
+  let { templates } = await workers.elev.writer.templateMap.renderPoolPromise;
+  t.deepEqual(Array.from(new Set(templates.map(({ inputPath }) => inputPath))).sort(), [
+    "./test/stubs-render-workers/src/about.njk",
+    "./test/stubs-render-workers/src/letters.njk",
+  ]);
+});
+
+test("Render workers with `templateContent` from a collection without `eleventyImport`", async (t) => {
+  let input = "./test/stubs-render-workers-collections/src/";
+  let mainDir = "./test/stubs-render-workers-collections/_site-main/";
+  let workersDir = "./test/stubs-render-workers-collections/_site-workers/";
+  t.teardown(() => {
+    deleteDirectory(mainDir);
+    deleteDirectory(workersDir);
+  });
+
+  let main = new Eleventy(input, mainDir, { configPath: CONFIG_PATH });
+  main.disableLogger();
+  let [, mainTemplates] = await main.write();
+
+  let workers = new Eleventy(input, workersDir, { configPath: CONFIG_PATH, workers: 2 });
+  workers.disableLogger();
+  let [, workersTemplates] = await workers.write();
+
+  t.deepEqual(getOutput(workersTemplates, workersDir), getOutput(mainTemplates, mainDir));
+  t.true(
+    fs
+      .readFileSync(`${workersDir}feed/index.html`, "utf8")
+      .includes("<article><h1>First post</h1>\n</article>"),
+  );
+
+  // The consumer and every template in the collections it may read are rendered on the main thread
+  let { templates } = await workers.writer.templateMap.renderPoolPromise;
+  t.deepEqual(
+    templates.map(({ inputPath }) => inputPath),
+    [`${input}about.njk`],
+  );
+});
+
+test("Render workers are not used with the `config` callback option", async (t) => {
+  let outputDir = "./test/stubs-render-workers/_site-callback/";
+  t.teardown(() => {
+    deleteDirectory(outputDir);
+  });
+
+  let { elev, templates } = await build(outputDir, {
+    workers: 2,
+    config(eleventyConfig) {
+      eleventyConfig.setRenderWorkers(2);
+    },
+  });
+
+  t.is(templates.length, 7);
+  t.is(elev.writer.templateMap.renderPoolPromise, undefined);
+});
+
+test("Invalid `workers` option", async (t) => {
+  let elev = new Eleventy(INPUT_DIR, "./test/stubs-render-workers/_site-invalid/", {
+    configPath: CONFIG_PATH,
+    workers: "two",
+  });
+  elev.disableLogger();
+  await elev.init();
+
+  t.throws(() => elev.renderPool.isEnabled(), {
+    message: 'Invalid number of render workers: "two". Expected a non-negative integer.',
+  });
+});
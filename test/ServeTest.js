@@ -1,4 +1,6 @@
 import test from "ava";
+import fs from "node:fs";
+import path from "node:path";
 
 import Serve from "../src/Serve.js";
 import TemplateConfig from "../src/TemplateConfig.js";
@@ -81,3 +83,194 @@ test("Custom output dir is set correctly", async (t) => {
 
   t.is(es.server.dir, "x");
 });
+
+test("Redirects from the Redirects plugin (with a pathPrefix)", async (t) => {
+  let eleventyConfig = new TemplateConfig();
+  await eleventyConfig.init({ pathPrefix: "/web/" });
+
+  let es = new Serve();
+  es.eleventyConfig = eleventyConfig;
+  es.logger = new ConsoleLogger();
+
+  await eleventyConfig.userConfig.emit("buildawesome.redirects", {
+    redirects: [
+      { from: "/old/", to: "/new/", status: 301 },
+      { from: "/legacy", to: "/new/", status: 301 },
+    ],
+  });
+
+  await es.init();
+
+  t.deepEqual(es.getRedirect("/web/old/?page=2"), { status: 301, location: "/web/new/?page=2" });
+  // with or without a trailing slash
+  t.deepEqual(es.getRedirect("/web/old"), { status: 301, location: "/web/new/" });
+  t.deepEqual(es.getRedirect("/web/legacy"), { status: 301, location: "/web/new/" });
+  t.deepEqual(es.getRedirect("/web/legacy/"), { status: 301, location: "/web/new/" });
+  t.is(es.getRedirect("/old/"), undefined);
+  t.is(es.getRedirect("/web/new/"), undefined);
+
+  let [middleware] = es.options.middleware;
+  let response = {};
+  middleware(
+    { url: "/web/old/" },
+    {
+      writeHead(status, headers) {
+        Object.assign(response, { status, headers });
+      },
+      end() {
+        response.ended = true;
+      },
+    },
+    () => t.fail(),
+  );
+  t.deepEqual(response, { status: 301, headers: { Location: "/web/new/" }, ended: true });
+});
+
+async function getPlatformFilesServer(serverOptions = {}, pathPrefix = "/") {
+  let eleventyConfig = new TemplateConfig();
+  await eleventyConfig.init({ pathPrefix, serverOptions });
+
+  let es = new Serve();
+  es.eleventyConfig = eleventyConfig;
+  es.logger = new ConsoleLogger();
+  es.setOutputDir("./test/stubs-serve-platform/");
+  await es.init();
+  return es;
+}
+
+test("Platform files are opt-in", async (t) => {
+  let es = await getPlatformFilesServer();
+  t.is(es.getPlatformFiles(), false);
+  t.is(es.getPlatformRedirect("/old/"), undefined);
+  t.deepEqual(es.getPlatformHeaders("/"), {});
+  t.is(es.options.middleware, undefined);
+});
+
+test("Redirects from a `_redirects` file", async (t) => {
+  let es = await getPlatformFilesServer({ platformFiles: true });
+  let isFile = (url) => ["/about/", "/blog/hello/"].includes(url);
+
+  t.deepEqual(es.getPlatformRedirect("/old/", isFile), { status: 301, location: "/about/" });
+  t.deepEqual(es.getPlatformRedirect("/old", isFile), { status: 301, location: "/about/" });
+  t.deepEqual(es.getPlatformRedirect("/news/2025/hi/?a=1", isFile), {
+    status: 302,
+    location: "/blog/2025/hi/?a=1",
+  });
+  t.deepEqual(es.getPlatformRedirect("/posts/2025/hello/", isFile), {
+    status: 301,
+    location: "/blog/hello",
+  });
+  t.deepEqual(es.getPlatformRedirect("/store?id=42", isFile), {
+    status: 301,
+    location: "/products/42",
+  });
+  t.is(es.getPlatformRedirect("/store", isFile), undefined);
+
+  // Shadowing: existing files are not redirected unless forced
+  t.is(es.getPlatformRedirect("/about/", isFile), undefined);
+  t.deepEqual(es.getPlatformRedirect("/about/"), { status: 301, location: "/elsewhere/" });
+
+  // Rewrites
+  t.deepEqual(es.getPlatformRedirect("/app/dashboard/", isFile), {
+    status: 200,
+    url: "/about/index.html",
+  });
+  t.deepEqual(es.getPlatformRedirect("/gone/", isFile), { status: 410, url: "/404.html" });
+
+  // Unsupported: proxies and conditions
+  t.is(es.getPlatformRedirect("/proxy/test", isFile), undefined);
+  t.is(es.getPlatformRedirect("/geo/", isFile), undefined);
+});
+
+test("Platform files with a pathPrefix", async (t) => {
+  let es = await getPlatformFilesServer({ platformFiles: { headers: false } }, "/web/");
+
+  t.deepEqual(es.getPlatformRedirect("/web/old/"), { status: 301, location: "/web/about/" });
+  t.is(es.getPlatformRedirect("/old/"), undefined);
+  t.deepEqual(es.getPlatformHeaders("/web/"), {});
+});
+
+test("Headers from a `_headers` file", async (t) => {
+  let es = await getPlatformFilesServer({ platformFiles: true });
+
+  t.deepEqual(es.getPlatformHeaders("/"), {
+    "X-Frame-Options": "DENY",
+    "Cache-Control": "public",
+  });
+  t.deepEqual(es.getPlatformHeaders("/blog/hello/"), {
+    "X-Frame-Options": "DENY",
+    "Cache-Control": "public, max-age=60",
+    "X-Robots-Tag": "noindex",
+  });
+});
+
+test("Platform files middleware (headers, rewrites, and a custom 404 page)", async (t) => {
+  let es = await getPlatformFilesServer({ platformFiles: { notFound: "/404.html" } });
+  let [middleware] = es.options.middleware;
+
+  // Mock of the development server instance
+  let rendered = [];
+  let server = {
+    mapUrlToFilePath(url) {
+      if (url === "/about/" || url === "/about/index.html") {
+        return { statusCode: 200, filepath: "test/stubs-serve-platform/about/index.html" };
+      }
+      if (url === "/404.html") {
+        return { statusCode: 200, filepath: "test/stubs-serve-platform/404.html" };
+      }
+      return { statusCode: 404 };
+    },
+    renderFile(filepath, res) {
+      rendered.push({ filepath, status: res.statusCode });
+    },
+  };
+
+  function getResponse() {
+    return {
+      headers: {},
+      setHeader(name, value) {
+        this.headers[name] = value;
+      },
+    };
+  }
+
+  let req = { url: "/app/settings/" };
+  let res = getResponse();
+  let nextCalled = false;
+  middleware.call(server, req, res, () => {
+    nextCalled = true;
+  });
+  t.true(nextCalled);
+  t.is(req.url, "/about/index.html");
+  t.is(res.headers["X-Frame-Options"], "DENY");
+
+  middleware.call(server, { url: "/gone/" }, getResponse(), () => t.fail());
+  middleware.call(server, { url: "/missing/" }, getResponse(), () => t.fail());
+  t.deepEqual(rendered, [
+    { filepath: "test/stubs-serve-platform/404.html", status: 410 },
+    { filepath: "test/stubs-serve-platform/404.html", status: 404 },
+  ]);
+});
+
+test("Platform files are reloaded when they change", async (t) => {
+  let dir = "./test/stubs-serve-platform-reload/";
+  fs.mkdirSync(dir, { recursive: true });
+  t.teardown(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  fs.writeFileSync(path.join(dir, "_redirects"), "/old/ /first/\n");
+
+  let es = await getPlatformFilesServer({ platformFiles: true });
+  es.setOutputDir(dir);
+  t.deepEqual(es.getPlatformRedirect("/old/"), { status: 301, location: "/first/" });
+
+  fs.writeFileSync(path.join(dir, "_redirects"), "/old/ /second/ 302\n");
+  // Make sure the modified time changes
+  let future = new Date(Date.now() + 5000);
+  fs.utimesSync(path.join(dir, "_redirects"), future, future);
+  t.deepEqual(es.getPlatformRedirect("/old/"), { status: 302, location: "/second/" });
+
+  fs.rmSync(path.join(dir, "_redirects"));
+  t.is(es.getPlatformRedirect("/old/"), undefined);
+});
@@ -0,0 +1,126 @@
+import test from "ava";
+
+import { getReloadKind, getReloadEvent } from "../src/Util/ServerReload.js";
+
+function getEvent(files, options = {}) {
+  return getReloadEvent(
+    Object.assign(
+      {
+        files,
+        templates: [],
+        passthroughCopies: [],
+        includesDir: "./src/_includes",
+        outputDir: "./_site",
+      },
+      options,
+    ),
+  );
+}
+
+test("Default reload kinds", (t) => {
+  t.is(getReloadKind({ inputPath: "./src/style.css" }, undefined, "./src/_includes"), "css");
+  t.is(getReloadKind({ inputPath: "./src/_includes/style.css" }, undefined, "./src/_includes"), undefined);
+  t.is(getReloadKind({ inputPath: "./src/index.njk" }), undefined);
+  t.is(getReloadKind({ inputPath: "./src/style.11ty.js", outputPath: "./_site/style.css" }), "css");
+  // Output path wins over the input path
+  t.is(getReloadKind({ inputPath: "./src/style.css", outputPath: "./_site/style/index.html" }), undefined);
+});
+
+test("Reload kinds from a glob strategy (input and output paths)", (t) => {
+  let strategy = {
+    "src/scripts/**": "reload",
+    "**/*.txt": "none",
+    "_site/feed.xml": "reload",
+  };
+  t.is(getReloadKind({ inputPath: "./src/scripts/app.js" }, strategy), "reload");
+  t.is(getReloadKind({ inputPath: "./src/notes.txt" }, strategy), "none");
+  t.is(getReloadKind({ inputPath: "./src/feed.njk", outputPath: "./_site/feed.xml" }, strategy), "reload");
+  t.is(getReloadKind({ inputPath: "./src/style.css" }, strategy), "css");
+});
+
+test("Reload kinds from a callback strategy", (t) => {
+  let strategy = ({ inputPath, url }) => {
+    if (inputPath.endsWith(".scss")) {
+      return "css";
+    }
+    if (url === "/") {
+      return "reload";
+    }
+  };
+  t.is(getReloadKind({ inputPath: "./src/main.scss" }, strategy), "css");
+  t.is(getReloadKind({ inputPath: "./src/index.njk", outputPath: "./_site/index.html", url: "/" }, strategy), "reload");
+  t.is(getReloadKind({ inputPath: "./src/style.css" }, strategy), "css");
+  t.is(getReloadKind({ inputPath: "./src/about.njk", outputPath: "./_site/about/index.html", url: "/about/" }, strategy), undefined);
+});
+
+test("Passthrough copy CSS is hot-swapped", (t) => {
+  let event = getEvent(["./src/css/style.css"], {
+    passthroughCopies: [{ map: { "src/css/style.css": "_site/css/style.css" } }],
+    pathPrefix: "/docs/",
+  });
+  t.is(event.subtype, "css");
+  t.deepEqual(event.build.stylesheets, ["/docs/css/style.css"]);
+});
+
+test("Template output CSS is hot-swapped", (t) => {
+  let event = getEvent(["./src/style.11ty.js"], {
+    templates: [
+      { inputPath: "./src/style.11ty.js", outputPath: "./_site/style.css", url: "/style.css", rawInput: "" },
+    ],
+  });
+  t.is(event.subtype, "css");
+  t.deepEqual(event.build.stylesheets, ["/style.css"]);
+  t.is(event.build.templates[0].rawInput, undefined);
+});
+
+test("Template changes use DOM diffing", (t) => {
+  let templates = [{ inputPath: "./src/index.njk", outputPath: "./_site/index.html", url: "/", content: "" }];
+  let event = getEvent(["./src/index.njk"], { templates, pathPrefix: "/docs/" });
+  t.is(event.subtype, undefined);
+  t.deepEqual(event.build.templates, [
+    { inputPath: "./src/index.njk", outputPath: "./_site/index.html", url: "/docs/", content: "" },
+  ]);
+
+  // CSS mixed with template changes
+  event = getEvent(["./src/index.njk", "./src/style.css"], {
+    templates: [{ inputPath: "./src/index.njk", outputPath: "./_site/index.html", url: "/", content: "" }],
+  });
+  t.is(event.subtype, undefined);
+  t.is(event.build.templates.length, 1);
+});
+
+test("Full page reloads", (t) => {
+  let templates = [{ inputPath: "./src/index.njk", outputPath: "./_site/index.html", url: "/", content: "" }];
+  let passthroughCopies = [{ map: { "src/js/app.js": "_site/js/app.js" } }];
+
+  let event = getEvent(["./src/js/app.js"], {
+    templates,
+    passthroughCopies,
+    strategy: { "**/*.js": "reload" },
+  });
+  t.is(event.subtype, undefined);
+  t.deepEqual(event.build.templates, []);
+
+  event = getEvent(["./src/index.njk"], {
+    templates: [{ inputPath: "./src/index.njk", outputPath: "./_site/index.html", url: "/", content: "" }],
+    strategy: { "src/index.njk": "reload" },
+  });
+  t.is(event.subtype, undefined);
+  t.deepEqual(event.build.templates, []);
+
+  // CSS and JavaScript
+  event = getEvent(["./src/js/app.js", "./src/style.css"], {
+    passthroughCopies,
+    strategy: { "**/*.js": "reload" },
+  });
+  t.is(event.subtype, undefined);
+  t.deepEqual(event.build.templates, []);
+});
+
+test("No reload", (t) => {
+  t.false(getEvent(["./src/notes.txt"], { strategy: { "**/*.txt": "none" } }));
+
+  // Ignored alongside other changes
+  let event = getEvent(["./src/notes.txt", "./src/style.css"], { strategy: { "**/*.txt": "none" } });
+  t.is(event.subtype, "css");
+});
@@ -0,0 +1,132 @@
+import test from "ava";
+
+import Eleventy from "../src/Core.js";
+import SitemapPlugin from "../src/Plugins/SitemapPlugin.js";
+import I18nPlugin from "../src/Plugins/I18nPlugin.js";
+
+function getCore(pluginOptions, configCallback) {
+  let elev = new Eleventy("./test/stubs-virtual/", undefined, {
+    pathPrefix: "/docs/",
+    config(eleventyConfig) {
+      eleventyConfig.addPlugin(SitemapPlugin, pluginOptions);
+
+      eleventyConfig.addTemplate("index.md", "# Home", { date: "2024-01-01" });
+      eleventyConfig.addTemplate("about.md", "# About", {
+        date: "2024-02-01",
+        sitemap: { priority: 0.8, changefreq: "monthly" },
+      });
+      eleventyConfig.addTemplate("draft.md", "# Draft", { sitemap: { exclude: true } });
+      eleventyConfig.addTemplate("hidden.md", "# Hidden", { eleventyExcludeFromCollections: true });
+      eleventyConfig.addTemplate("nowrite.md", "# No write", { permalink: false });
+      eleventyConfig.addTemplate("data.njk", "[]", { permalink: "/data.json" });
+      eleventyConfig.addTemplate("search.md", "# Search & Find", { date: "2024-03-01", permalink: "/search&find/" });
+
+      configCallback?.(eleventyConfig);
+    },
+  });
+  elev.disableLogger();
+  return elev;
+}
+
+async function getOutput(elev) {
+  let results = await elev.toJSON();
+  return Object.fromEntries(
+    results.filter(({ url }) => /\.(xml|txt)$/.test(url)).map(({ url, content }) => [url, content]),
+  );
+}
+
+test("Sitemap", async (t) => {
+  let output = await getOutput(
+    getCore({
+      baseHref: "https://example.com/",
+      // falls back to the page date for files not in git
+      lastmod: "git",
+      defaults: { changefreq: "weekly" },
+    }),
+  );
+
+  t.deepEqual(Object.keys(output), ["/sitemap.xml"]);
+  t.is(
+    output["/sitemap.xml"],
+    `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+<url><loc>https://example.com/docs/</loc><lastmod>2024-01-01T00:00:00.000Z</lastmod><changefreq>weekly</changefreq></url>
+<url><loc>https://example.com/docs/about/</loc><lastmod>2024-02-01T00:00:00.000Z</lastmod><changefreq>monthly</changefreq><priority>0.8</priority></url>
+<url><loc>https://example.com/docs/search&amp;find/</loc><lastmod>2024-03-01T00:00:00.000Z</lastmod><changefreq>weekly</changefreq></url>
+</urlset>
+`,
+  );
+});
+
+test("Sitemap index when over `maxUrls`, robots.txt", async (t) => {
+  let output = await getOutput(
+    getCore({
+      baseHref: "https://example.com/",
+      maxUrls: 2,
+      lastmod: false,
+      robots: "User-agent: *\nDisallow: /private/",
+    }),
+  );
+
+  t.deepEqual(Object.keys(output).sort(), ["/robots.txt", "/sitemap-1.xml", "/sitemap-2.xml", "/sitemap.xml"]);
+  t.is(
+    output["/sitemap.xml"],
+    `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+<sitemap><loc>https://example.com/docs/sitemap-1.xml</loc></sitemap>
+<sitemap><loc>https://example.com/docs/sitemap-2.xml</loc></sitemap>
+</sitemapindex>
+`,
+  );
+  t.is(
+    output["/sitemap-2.xml"],
+    `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+<url><loc>https://example.com/docs/search&amp;find/</loc></url>
+</urlset>
+`,
+  );
+  t.is(
+    output["/robots.txt"],
+    `User-agent: *
+Disallow: /private/
+
+Sitemap: https://example.com/docs/sitemap.xml
+`,
+  );
+});
+
+test("Sitemap requires an absolute `baseHref`", async (t) => {
+  let elev = getCore({ baseHref: "/" });
+  let e = await t.throwsAsync(() => elev.toJSON());
+  t.is(
+    (e.originalError || e).message,
+    "The `baseHref` option in the Sitemap plugin must be an absolute URL (e.g. https://example.com/). Received: /",
+  );
+});
+
+test("Sitemap alternates for localized pages", async (t) => {
+  let elev = new Eleventy("./test/stubs-virtual/", undefined, {
+    config(eleventyConfig) {
+      eleventyConfig.addPlugin(I18nPlugin, { defaultLanguage: "en", dictionaries: false });
+      eleventyConfig.addPlugin(SitemapPlugin, { baseHref: "https://example.com/", lastmod: false, i18n: true });
+
+      eleventyConfig.addTemplate("en/about.md", "# About");
+      eleventyConfig.addTemplate("es/about.md", "# Acerca de");
+      eleventyConfig.addTemplate("en/contact.md", "# Contact");
+    },
+  });
+  elev.disableLogger();
+
+  let output = await getOutput(elev);
+  t.is(
+    output["/sitemap.xml"],
+    `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+<url><loc>https://example.com/en/about/</loc><xhtml:link rel="alternate" hreflang="en" href="https://example.com/en/about/"/><xhtml:link rel="alternate" hreflang="es" href="https://example.com/es/about/"/></url>
+<url><loc>https://example.com/en/contact/</loc></url>
+<url><loc>https://example.com/es/about/</loc><xhtml:link rel="alternate" hreflang="en" href="https://example.com/en/about/"/><xhtml:link rel="alternate" hreflang="es" href="https://example.com/es/about/"/></url>
+</urlset>
+`,
+  );
+});
@@ -1045,6 +1045,26 @@ test("Liquid Parse for Symbols", async (t) => {
   t.deepEqual(engine.parseForSymbols("{{ collections.mine | test }}>"), ["collections.mine"]);
 });
 
+test("Liquid Parse for Includes", async (t) => {
+  let tr = await getNewTemplateRender("liquid", "./test/stubs/");
+  let engine = tr.engine;
+
+  t.deepEqual(engine.parseForIncludes("<p>{{ name }}</p>"), []);
+  t.deepEqual(
+    engine.parseForIncludes(`{% include 'a' %}{% if x %}{% render "b.liquid", title: x %}{% endif %}{% layout "base" %}{% layout none %}`),
+    ["a", "b.liquid", "base"],
+  );
+  // Not statically known
+  t.deepEqual(engine.parseForIncludes("{% include name %}"), [undefined]);
+
+  t.deepEqual(engine.getIncludeCandidates("a", "./test/stubs/index.liquid"), [
+    "test/stubs/a",
+    "test/stubs/a.liquid",
+    "test/stubs/_includes/a",
+    "test/stubs/_includes/a.liquid",
+  ]);
+});
+
 test("Eleventy shortcode uses new built-in Liquid argument parsing behavior (spaces)", async (t) => {
   let elev = new Eleventy("./test/stubs-virtual/", undefined, {
     config: $config => {
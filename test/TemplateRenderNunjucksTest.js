@@ -891,6 +891,24 @@ test("Nunjucks Parse for Symbols with custom block", async (t) => {
   t.deepEqual(engine.parseForSymbols("<p>{{ name }} {% test %}</p>"), ["name"]);
 });
 
+test("Nunjucks Parse for Includes", async (t) => {
+  let tr = await getNewTemplateRender("njk");
+  let engine = tr.engine;
+
+  t.deepEqual(engine.parseForIncludes("<p>{{ name }}</p>"), []);
+  t.deepEqual(
+    engine.parseForIncludes(`{% extends "base.njk" %}{% include "a.njk" %}{% import "macros.njk" as m %}{% from "forms.njk" import field %}`),
+    ["a.njk", "base.njk", "macros.njk", "forms.njk"],
+  );
+  t.deepEqual(engine.parseForIncludes("{% if x %}{% include './relative.njk' %}{% endif %}"), ["./relative.njk"]);
+  // Not statically known
+  t.deepEqual(engine.parseForIncludes("{% include name %}{% include 'a' + b %}"), [undefined, undefined]);
+
+  t.deepEqual(engine.getIncludeCandidates("./relative.njk", "./test/stubs/nested/index.njk"), [
+    "test/stubs/nested/relative.njk",
+  ]);
+});
+
 test("Use addNunjucksGlobal with function", async (t) => {
   let templateConfig = await getTemplateConfigInstanceCustomCallback(
     {},
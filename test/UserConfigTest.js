@@ -270,3 +270,40 @@ test("addJavaScriptFunction feeds into `getFilter` #3365", (t) => {
 
   t.is(typeof userCfg.getFilter("increment"), "function");
 });
+
+test("Server reload strategy", (t) => {
+  let userCfg = new UserConfig();
+  userCfg.setServerReloadStrategy({ "**/*.scss": "css" });
+  t.deepEqual(userCfg.getMergingConfigObject().serverReloadStrategy, { "**/*.scss": "css" });
+
+  let callback = () => "reload";
+  userCfg.setServerReloadStrategy(callback);
+  t.is(userCfg.serverReloadStrategy, callback);
+
+  t.throws(() => userCfg.setServerReloadStrategy("css"), {
+    message: /must be an object/,
+  });
+  t.throws(() => userCfg.setServerReloadStrategy({ "**/*.scss": "hot" }), {
+    message: "Invalid reload kind for `**/*.scss` passed to `setServerReloadStrategy`: hot. Expected one of: css, reload, none",
+  });
+  // no module hot replacement in the development server client
+  t.throws(() => userCfg.setServerReloadStrategy({ "**/*.js": "js" }), {
+    message: /Invalid reload kind/,
+  });
+});
+
+test("Render budget", (t) => {
+  let userCfg = new UserConfig();
+  userCfg.setRenderBudget({ perPageMs: 200, onExceeded: "error" });
+  t.deepEqual(userCfg.getMergingConfigObject().renderBudget, { perPageMs: 200, onExceeded: "error" });
+
+  t.throws(() => userCfg.setRenderBudget(200), {
+    message: /must be an object/,
+  });
+  t.throws(() => userCfg.setRenderBudget({ totalMs: "1s" }), {
+    message: "Invalid `totalMs` passed to `setRenderBudget`: 1s. Expected a number (0 or more).",
+  });
+  t.throws(() => userCfg.setRenderBudget({ onExceeded: "fail" }), {
+    message: "Invalid `onExceeded` passed to `setRenderBudget`: fail. Expected one of: warn, error",
+  });
+});
@@ -56,3 +56,17 @@ test("Test data should not process in a --version", async (t) => {
     );
   });
 });
+
+test("Test command line --to=json errors", async (t) => {
+  await new Promise((resolve) => {
+    exec("node ./cmd.cjs --input=test/stubs/exitCode --to=json", (error, stdout, stderr) => {
+      t.is(error.code, 1);
+
+      let { errors } = JSON.parse(stdout);
+      t.is(errors.length, 1);
+      t.is(errors[0].inputPath, "./test/stubs/exitCode/failure.njk");
+      t.is(errors[0].chain.at(-1).message, "Unable to call `test`, which is undefined or falsey");
+      resolve();
+    });
+  });
+});
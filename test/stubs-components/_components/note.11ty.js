@@ -0,0 +1,4 @@
+export const bundle = { css: ".note { color: red; }" };
+export function render({ kind, slots }) {
+  return `<aside class="${kind}">${slots.default}</aside>`;
+}
@@ -0,0 +1,4 @@
+export default function () {
+	let data;
+	return `<p>${data.title}</p>`;
+}
@@ -0,0 +1,3 @@
+export default function (data) {
+  return `${this.t("nav.home")}|${this.t("greeting", { name: "Zach" }, "en")}`;
+}
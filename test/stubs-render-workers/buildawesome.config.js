@@ -0,0 +1,3 @@
+export default function (eleventyConfig) {
+	eleventyConfig.addFilter("shout", (str) => `${str.toUpperCase()}!`);
+}